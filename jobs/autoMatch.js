@@ -0,0 +1,22 @@
+const { runAutoMatch } = require('../services/autoMatch');
+
+const INTERVAL_MINUTES = parseInt(process.env.AUTO_MATCH_INTERVAL_MINUTES) || 10;
+
+const runAutoMatchJob = async () => {
+    try {
+        const matches = await runAutoMatch();
+        if (matches.length > 0) {
+            console.log(`🤝 Auto-matched ${matches.length} booking(s)`);
+        }
+    } catch (error) {
+        console.error('Auto-match job error:', error);
+    }
+};
+
+// Run once at startup, then on a fixed interval
+const startAutoMatchJob = () => {
+    runAutoMatchJob();
+    return setInterval(runAutoMatchJob, INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = { runAutoMatchJob, startAutoMatchJob };
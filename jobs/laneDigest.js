@@ -0,0 +1,25 @@
+const { sendLaneDigests } = require('../services/laneAlerts');
+
+const DIGEST_HOURS = parseFloat(process.env.LANE_DIGEST_HOURS) || 24;
+
+// Check often so a digest goes out soon after each subscriber's window elapses
+const CHECK_INTERVAL_MINUTES = 30;
+
+const runLaneDigest = async () => {
+    try {
+        const sent = await sendLaneDigests(DIGEST_HOURS);
+        if (sent > 0) {
+            console.log(`📬 Sent ${sent} lane alert digest(s)`);
+        }
+    } catch (error) {
+        console.error('Lane digest job error:', error);
+    }
+};
+
+// Run once at startup, then on a fixed interval
+const startLaneDigestJob = () => {
+    runLaneDigest();
+    return setInterval(runLaneDigest, CHECK_INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = { runLaneDigest, startLaneDigestJob };
@@ -0,0 +1,36 @@
+const { pool } = require('../config/database');
+const { expireStaleQuotes } = require('../services/quoteLifecycle');
+const { createNotification } = require('../routes/notifications');
+
+const INTERVAL_MINUTES = parseInt(process.env.QUOTE_EXPIRY_INTERVAL_MINUTES) || 15;
+
+const runQuoteExpiry = async () => {
+    try {
+        const expired = await expireStaleQuotes(pool);
+
+        for (const quote of expired) {
+            await createNotification({
+                userId: quote.provider_id,
+                type: 'quote',
+                title: 'Quote Expired',
+                message: `Your $${quote.amount} quote for ${quote.cargo_type} from ${quote.pickup_city}, ${quote.pickup_state} has expired`,
+                link: `/dashboard/${quote.provider_role}?section=quotes`,
+                metadata: { quoteId: quote.id, bookingId: quote.booking_id }
+            });
+        }
+
+        if (expired.length > 0) {
+            console.log(`⏰ Expired ${expired.length} stale quote(s)`);
+        }
+    } catch (error) {
+        console.error('Quote expiry job error:', error);
+    }
+};
+
+// Run once at startup, then on a fixed interval
+const startQuoteExpiryJob = () => {
+    runQuoteExpiry();
+    return setInterval(runQuoteExpiry, INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = { runQuoteExpiry, startQuoteExpiryJob };
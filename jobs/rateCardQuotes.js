@@ -0,0 +1,42 @@
+const { pool } = require('../config/database');
+const { generateDraftsForBooking } = require('../services/rateCards');
+
+const INTERVAL_MINUTES = parseInt(process.env.RATE_CARD_INTERVAL_MINUTES) || 5;
+
+// Older open bookings have already been through the rate cards that existed at the time
+const LOOKBACK_DAYS = 7;
+
+const runRateCardQuotes = async () => {
+    try {
+        const [bookings] = await pool.query(`
+            SELECT * FROM bookings
+            WHERE status IN ('pending_quote', 'quoted') AND carrier_id IS NULL
+            AND NOT (bid_type = 'sealed' AND bid_deadline <= NOW())
+            AND created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+            ORDER BY created_at ASC
+        `, [LOOKBACK_DAYS]);
+
+        let created = 0;
+        for (const booking of bookings) {
+            try {
+                created += (await generateDraftsForBooking(booking)).length;
+            } catch (error) {
+                console.error(`Rate card quote error for booking ${booking.id}:`, error);
+            }
+        }
+
+        if (created > 0) {
+            console.log(`🧾 Generated ${created} rate card quote(s)`);
+        }
+    } catch (error) {
+        console.error('Rate card quote job error:', error);
+    }
+};
+
+// Run once at startup, then on a fixed interval
+const startRateCardQuoteJob = () => {
+    runRateCardQuotes();
+    return setInterval(runRateCardQuotes, INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = { runRateCardQuotes, startRateCardQuoteJob };
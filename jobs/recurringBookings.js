@@ -0,0 +1,48 @@
+const { pool } = require('../config/database');
+const { materializeSchedule } = require('../services/bookingTemplates');
+
+const INTERVAL_MINUTES = parseInt(process.env.RECURRING_BOOKING_INTERVAL_MINUTES) || 60;
+
+// Turn the upcoming dates of every active schedule into bookings, one schedule at a time
+const runRecurringBookings = async () => {
+    try {
+        const [schedules] = await pool.query(`
+            SELECT s.*, t.id as template_id, t.shipper_id, t.name as template_name, t.payload, t.source_booking_id
+            FROM booking_schedules s
+            JOIN booking_templates t ON s.template_id = t.id
+            JOIN users u ON t.shipper_id = u.id
+            WHERE s.active = 1 AND u.status = 'active'
+            AND (s.end_date IS NULL OR s.end_date >= CURDATE())
+        `);
+
+        let created = 0;
+        for (const schedule of schedules) {
+            const template = {
+                id: schedule.template_id,
+                shipper_id: schedule.shipper_id,
+                name: schedule.template_name,
+                payload: schedule.payload,
+                source_booking_id: schedule.source_booking_id
+            };
+            try {
+                created += (await materializeSchedule(schedule, template)).length;
+            } catch (error) {
+                console.error(`Recurring booking error for schedule ${schedule.id}:`, error);
+            }
+        }
+
+        if (created > 0) {
+            console.log(`🔁 Created ${created} recurring booking(s)`);
+        }
+    } catch (error) {
+        console.error('Recurring booking job error:', error);
+    }
+};
+
+// Run once at startup, then on a fixed interval
+const startRecurringBookingJob = () => {
+    runRecurringBookings();
+    return setInterval(runRecurringBookings, INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = { runRecurringBookings, startRecurringBookingJob };
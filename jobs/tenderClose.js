@@ -0,0 +1,113 @@
+const { pool } = require('../config/database');
+const { createNotification } = require('../routes/notifications');
+const { closeTender } = require('../services/tenders');
+const { autoMatchBooking, notifyAutoMatch } = require('../services/autoMatch');
+
+const INTERVAL_MINUTES = parseInt(process.env.TENDER_CLOSE_INTERVAL_MINUTES) || 1;
+
+// Close one tender in its own transaction; returns the bid count, or null if another run got there first
+const closeDueTender = async (bookingId) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [rows] = await connection.query(`
+            SELECT * FROM bookings
+            WHERE id = ? AND bid_type = 'sealed' AND status IN ('pending_quote', 'quoted') AND bid_deadline <= NOW()
+            FOR UPDATE
+        `, [bookingId]);
+        if (rows.length === 0) {
+            await connection.rollback();
+            return null;
+        }
+
+        const bidCount = await closeTender(connection, rows[0]);
+        await connection.commit();
+        return bidCount;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+const notifyTenderClosed = async (booking, bidCount) => {
+    const lane = `${booking.cargo_type} from ${booking.pickup_city}, ${booking.pickup_state}`;
+
+    const [admins] = await pool.query('SELECT id FROM users WHERE role = "admin"');
+    for (const admin of admins) {
+        await createNotification({
+            userId: admin.id,
+            type: 'booking_update',
+            title: 'Sealed Bidding Closed',
+            message: `${bidCount} bid(s) are ready for evaluation on the ${lane} tender`,
+            link: '/dashboard/admin?section=quotes',
+            metadata: { bookingId: booking.id, bidCount }
+        });
+    }
+
+    await createNotification({
+        userId: booking.shipper_id,
+        type: 'booking_update',
+        title: 'Bidding Closed',
+        message: `Bidding on your ${lane} tender has closed with ${bidCount} bid(s) under evaluation`,
+        link: '/dashboard/shipper?section=bookings',
+        metadata: { bookingId: booking.id }
+    });
+
+    const [bidders] = await pool.query(`
+        SELECT q.provider_id, u.role
+        FROM quotes q
+        JOIN users u ON q.provider_id = u.id
+        WHERE q.booking_id = ? AND q.status = 'pending'
+    `, [booking.id]);
+    for (const bidder of bidders) {
+        await createNotification({
+            userId: bidder.provider_id,
+            type: 'quote',
+            title: 'Bidding Closed',
+            message: `Bidding on the ${lane} tender has closed and your bid is under evaluation`,
+            link: `/dashboard/${bidder.role}?section=quotes`,
+            metadata: { bookingId: booking.id }
+        });
+    }
+};
+
+const runTenderClose = async () => {
+    try {
+        const [due] = await pool.query(`
+            SELECT * FROM bookings
+            WHERE bid_type = 'sealed' AND status IN ('pending_quote', 'quoted') AND bid_deadline <= NOW()
+        `);
+
+        for (const booking of due) {
+            const bidCount = await closeDueTender(booking.id);
+            if (bidCount === null) continue;
+
+            await notifyTenderClosed(booking, bidCount);
+
+            if (booking.auto_award) {
+                const match = await autoMatchBooking(booking.id, {
+                    strategy: 'lowest_price',
+                    note: 'Tender auto-awarded to the lowest qualified bid'
+                });
+                if (match) await notifyAutoMatch(match);
+            }
+        }
+
+        if (due.length > 0) {
+            console.log(`🔒 Closed ${due.length} sealed-bid tender(s)`);
+        }
+    } catch (error) {
+        console.error('Tender close job error:', error);
+    }
+};
+
+// Run once at startup, then on a fixed interval
+const startTenderCloseJob = () => {
+    runTenderClose();
+    return setInterval(runTenderClose, INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = { runTenderClose, startTenderCloseJob };
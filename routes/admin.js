@@ -2,7 +2,42 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
 const { authMiddleware } = require('../middleware/auth');
-const { createNotification } = require('./notifications');
+const { v4: uuidv4 } = require('uuid');
+const { attachStops, getBookingStops } = require('../services/bookingStops');
+const { attachEscorts, assignEscortFromQuote } = require('../services/bookingEscorts');
+const { DEFAULT_MARKUP_PERCENT } = require('../services/pricing');
+const {
+    acceptCarrierQuote,
+    notifyCarrierAssigned,
+    notifyEscortAssigned
+} = require('../services/quoteAcceptance');
+const { assessBooking } = require('../services/permitRules');
+const { setSetting } = require('../services/settings');
+const { SCORE_WEIGHTS, rankQuotesForBooking } = require('../services/quoteRanking');
+const { areBidsSealed } = require('../services/tenders');
+const {
+    AUTO_MATCH_ENABLED_SETTING,
+    BIDDING_WINDOW_SETTING,
+    getAutoMatchSettings
+} = require('../services/autoMatch');
+const {
+    MARKETPLACE_MODES,
+    MARKETPLACE_MODE_SETTING,
+    getDefaultMode,
+    getGlobalMode,
+    getMarketplaceMode
+} = require('../services/marketplaceMode');
+const {
+    ESCORT_POSITIONS,
+    calculateEscortRequirement,
+    getRequiredPositions
+} = require('../services/escortRules');
+const {
+    CANCELLATION_POLICY_SETTING,
+    DEFAULT_CANCELLATION_POLICY,
+    normalizeCancellationPolicy,
+    getCancellationPolicy
+} = require('../services/cancellations');
 
 // @route   GET /api/admin/stats
 // @desc    Get dashboard summary stats
@@ -35,7 +70,7 @@ router.get('/stats', authMiddleware, async (req, res) => {
             FROM bookings b
             JOIN users u ON b.shipper_id = u.id
             LEFT JOIN profiles p ON b.shipper_id = p.user_id
-            WHERE b.status IN ('pending_quote', 'quoted')
+            WHERE b.status IN ('pending_quote', 'quoted', 'evaluation')
             ORDER BY b.created_at DESC
             LIMIT 3
         `);
@@ -76,10 +111,16 @@ router.get('/unmatched-bookings', authMiddleware, async (req, res) => {
             FROM bookings b
             JOIN users u ON b.shipper_id = u.id
             LEFT JOIN profiles p ON b.shipper_id = p.user_id
-            WHERE b.status IN ('pending_quote', 'quoted')
+            WHERE b.status IN ('pending_quote', 'quoted', 'evaluation')
             ORDER BY b.created_at DESC
         `);
 
+        // Dispatchers need to know about permits before matching providers
+        await attachStops(pool, bookings);
+        for (const booking of bookings) {
+            booking.permit_assessment = assessBooking(booking, booking.stops);
+        }
+
         res.json({ success: true, data: bookings });
     } catch (error) {
         console.error('Fetch unmatched bookings error:', error);
@@ -88,7 +129,7 @@ router.get('/unmatched-bookings', authMiddleware, async (req, res) => {
 });
 
 // @route   POST /api/admin/assign-providers
-// @desc    Assign carrier and escort to a booking (Admin Only)
+// @desc    Assign carrier and escorts to a booking (Admin Only)
 // @access  Private (Admin)
 router.post('/assign-providers', authMiddleware, async (req, res) => {
     const connection = await pool.getConnection();
@@ -97,7 +138,10 @@ router.post('/assign-providers', authMiddleware, async (req, res) => {
             return res.status(403).json({ success: false, message: 'Unauthorized' });
         }
 
-        const { booking_id, carrier_quote_id, escort_quote_id } = req.body;
+        const { booking_id, carrier_quote_id, escort_quote_id, escort_quote_ids } = req.body;
+
+        // Accept either a list of escort quotes (one per position) or the older single id
+        const escortQuoteIds = Array.isArray(escort_quote_ids) ? escort_quote_ids : (escort_quote_id ? [escort_quote_id] : []);
 
         if (!booking_id || !carrier_quote_id) {
             return res.status(400).json({ success: false, message: 'Missing booking ID or carrier quote ID' });
@@ -105,92 +149,492 @@ router.post('/assign-providers', authMiddleware, async (req, res) => {
 
         await connection.beginTransaction();
 
+        const [currentBooking] = await connection.query('SELECT * FROM bookings WHERE id = ? FOR UPDATE', [booking_id]);
+        if (currentBooking.length === 0) throw new Error('Booking not found');
+
         // 1. Get carrier quote details
         const [cQuote] = await connection.query('SELECT * FROM quotes WHERE id = ?', [carrier_quote_id]);
         if (cQuote.length === 0) throw new Error('Carrier quote not found');
         const carrierQuote = cQuote[0];
 
-        // 2. Start building update query for booking
-        let updateQuery = 'UPDATE bookings SET carrier_id = ?, assigned_driver_id = ?, agreed_price = ?, status = "booked"';
-        let updateParams = [carrierQuote.provider_id, carrierQuote.driver_id, carrierQuote.amount];
+        // 2. Assign the carrier, price the booking and reject competing carrier quotes
+        const carrierAssignment = await acceptCarrierQuote(connection, {
+            booking: currentBooking[0],
+            quote: carrierQuote,
+            actorId: req.user.id,
+            actorRole: 'admin',
+            note: 'Providers assigned by admin'
+        });
+        if (carrierAssignment.error) throw new Error(carrierAssignment.error);
+
+        // 3. Assign each escort to the position it bid on (escort bids for other open positions stay pending)
+        const escortQuotes = [];
+        for (const quoteId of escortQuoteIds) {
+            const [eQuote] = await connection.query('SELECT * FROM quotes WHERE id = ? AND booking_id = ?', [quoteId, booking_id]);
+            if (eQuote.length === 0) throw new Error('Escort quote not found');
+
+            const [bookingRows] = await connection.query('SELECT * FROM bookings WHERE id = ?', [booking_id]);
+            const assignment = await assignEscortFromQuote(connection, bookingRows[0], eQuote[0]);
+            if (assignment.error) throw new Error(assignment.error);
+            escortQuotes.push({ quote: eQuote[0], position: assignment.position });
+        }
+
+        await connection.commit();
 
-        // 3. Handle escort if provided
-        if (escort_quote_id) {
-            const [eQuote] = await connection.query('SELECT * FROM quotes WHERE id = ?', [escort_quote_id]);
-            if (eQuote.length > 0) {
-                updateQuery += ', escort_id = ?';
-                updateParams.push(eQuote[0].provider_id);
+        // 4. Notify carrier, competing carriers, escorts and shipper
+        const booking = currentBooking[0];
+        await notifyCarrierAssigned({
+            booking,
+            quote: carrierQuote,
+            rejectedProviderIds: carrierAssignment.rejectedProviderIds,
+            acceptedBy: 'admin'
+        });
+        for (const { quote, position } of escortQuotes) {
+            await notifyEscortAssigned({ booking, quote, position });
+        }
+
+        res.json({ success: true, message: 'Providers assigned and booking confirmed' });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Assign providers error:', error);
+        res.status(500).json({ success: false, message: error.message || 'Server error assigning providers' });
+    } finally {
+        connection.release();
+    }
+});
+
+// @route   GET /api/admin/bookings/:id/escort-requirement
+// @desc    Get the stored escort requirement, the rules result and the override log
+// @access  Private (Admin only)
+router.get('/bookings/:id/escort-requirement', authMiddleware, async (req, res) => {
+    try {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({ success: false, message: 'Unauthorized' });
+        }
+
+        const { id } = req.params;
+        const [booking] = await pool.query('SELECT * FROM bookings WHERE id = ?', [id]);
+        if (booking.length === 0) {
+            return res.status(404).json({ success: false, message: 'Booking not found' });
+        }
 
-                // Mark escort quote as accepted
-                await connection.query('UPDATE quotes SET status = "accepted" WHERE id = ?', [escort_quote_id]);
+        const b = booking[0];
+        const stops = await getBookingStops(pool, id);
+
+        const [overrides] = await pool.query(`
+            SELECT o.*, u.full_name as admin_name
+            FROM escort_requirement_overrides o
+            LEFT JOIN users u ON o.admin_id = u.id
+            WHERE o.booking_id = ?
+            ORDER BY o.created_at DESC
+        `, [id]);
+
+        res.json({
+            success: true,
+            data: {
+                source: b.escort_requirement_source,
+                positions: getRequiredPositions(b),
+                shipperRequestedEscort: b.shipper_requested_escort,
+                calculated: calculateEscortRequirement(b, stops),
+                overrides
             }
+        });
+    } catch (error) {
+        console.error('Fetch escort requirement error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching escort requirement' });
+    }
+});
+
+// @route   PUT /api/admin/bookings/:id/escort-requirement
+// @desc    Override the calculated escort requirement (or revert to the rules) with a logged reason
+// @access  Private (Admin only)
+router.put('/bookings/:id/escort-requirement', authMiddleware, async (req, res) => {
+    try {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({ success: false, message: 'Unauthorized' });
         }
 
-        updateQuery += ' WHERE id = ?';
-        updateParams.push(booking_id);
+        const { id } = req.params;
+        const { positions, useRules, reason } = req.body;
 
-        // 4. Update booking
-        await connection.query(updateQuery, updateParams);
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({ success: false, message: 'A reason is required to override the escort requirement' });
+        }
 
-        // 5. Mark carrier quote as accepted
-        await connection.query('UPDATE quotes SET status = "accepted" WHERE id = ?', [carrier_quote_id]);
+        const [booking] = await pool.query('SELECT * FROM bookings WHERE id = ?', [id]);
+        if (booking.length === 0) {
+            return res.status(404).json({ success: false, message: 'Booking not found' });
+        }
 
-        // 6. Reject other quotes for this booking
-        await connection.query('UPDATE quotes SET status = "rejected" WHERE booking_id = ? AND status = "pending"', [booking_id]);
+        const b = booking[0];
+        let newPositions;
+        let source;
+
+        if (useRules) {
+            const stops = await getBookingStops(pool, id);
+            newPositions = calculateEscortRequirement(b, stops).positions;
+            source = 'rules';
+        } else {
+            if (!Array.isArray(positions) || positions.some(p => !ESCORT_POSITIONS.includes(p))) {
+                return res.status(400).json({ success: false, message: `Positions must be a list of: ${ESCORT_POSITIONS.join(', ')}` });
+            }
+            newPositions = ESCORT_POSITIONS.filter(p => positions.includes(p));
+            source = 'admin_override';
+        }
 
-        // 7. Get booking and shipper details for notifications
-        const [bookingDetails] = await connection.query(`
-            SELECT b.*, u.full_name as shipper_name, u.id as shipper_id
-            FROM bookings b
-            JOIN users u ON b.shipper_id = u.id
-            WHERE b.id = ?
-        `, [booking_id]);
-        const booking = bookingDetails[0];
-
-        // 8. Notify carrier
-        await createNotification({
-            userId: carrierQuote.provider_id,
-            type: 'quote_accepted',
-            title: 'Quote Accepted!',
-            message: `Your quote for ${booking.cargo_type} shipment has been accepted`,
-            link: '/dashboard/carrier?section=bookings',
-            metadata: { bookingId: booking_id, quoteId: carrier_quote_id }
+        await pool.query(`
+            UPDATE bookings
+            SET requires_escort = ?, required_escort_count = ?, required_escort_positions = ?, escort_requirement_source = ?
+            WHERE id = ?
+        `, [newPositions.length > 0 ? 1 : 0, newPositions.length, JSON.stringify(newPositions), source, id]);
+
+        await pool.query(`
+            INSERT INTO escort_requirement_overrides (id, booking_id, admin_id, previous_positions, new_positions, reason)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [uuidv4(), id, req.user.id, JSON.stringify(getRequiredPositions(b)), JSON.stringify(newPositions), reason.trim()]);
+
+        res.json({
+            success: true,
+            message: 'Escort requirement updated',
+            data: { source, positions: newPositions, count: newPositions.length }
+        });
+    } catch (error) {
+        console.error('Override escort requirement error:', error);
+        res.status(500).json({ success: false, message: 'Server error updating escort requirement' });
+    }
+});
+
+// @route   GET /api/admin/bookings/:id/recommendations
+// @desc    Rank the open quotes on a booking with a per-factor score breakdown
+// @access  Private (Admin only)
+router.get('/bookings/:id/recommendations', authMiddleware, async (req, res) => {
+    try {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({ success: false, message: 'Unauthorized' });
+        }
+
+        const [bookings] = await pool.query('SELECT * FROM bookings WHERE id = ?', [req.params.id]);
+        if (bookings.length === 0) {
+            return res.status(404).json({ success: false, message: 'Booking not found' });
+        }
+
+        if (areBidsSealed(bookings[0])) {
+            return res.status(400).json({ success: false, message: 'Bids on this tender stay sealed until bidding closes' });
+        }
+
+        const ranking = await rankQuotesForBooking(pool, bookings[0]);
+
+        res.json({
+            success: true,
+            data: {
+                weights: SCORE_WEIGHTS,
+                carriers: ranking.carriers,
+                escorts: ranking.escorts
+            }
         });
+    } catch (error) {
+        console.error('Fetch quote recommendations error:', error);
+        res.status(500).json({ success: false, message: 'Server error ranking quotes' });
+    }
+});
+
+// @route   GET /api/admin/settings/auto-match
+// @desc    Get the auto-match setting and bidding window
+// @access  Private (Admin only)
+router.get('/settings/auto-match', authMiddleware, async (req, res) => {
+    try {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({ success: false, message: 'Unauthorized' });
+        }
+
+        res.json({ success: true, data: await getAutoMatchSettings(pool) });
+    } catch (error) {
+        console.error('Fetch auto-match settings error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching auto-match settings' });
+    }
+});
+
+// @route   PUT /api/admin/settings/auto-match
+// @desc    Turn auto-matching on or off and set the bidding window in hours
+// @access  Private (Admin only)
+router.put('/settings/auto-match', authMiddleware, async (req, res) => {
+    try {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({ success: false, message: 'Unauthorized' });
+        }
+
+        const { enabled, biddingWindowHours } = req.body;
+        if (enabled !== undefined && typeof enabled !== 'boolean') {
+            return res.status(400).json({ success: false, message: 'enabled must be true or false' });
+        }
+        if (biddingWindowHours !== undefined && !(parseFloat(biddingWindowHours) > 0)) {
+            return res.status(400).json({ success: false, message: 'Bidding window must be a positive number of hours' });
+        }
+
+        if (enabled !== undefined) {
+            await setSetting(pool, AUTO_MATCH_ENABLED_SETTING, String(enabled), req.user.id);
+        }
+        if (biddingWindowHours !== undefined) {
+            await setSetting(pool, BIDDING_WINDOW_SETTING, String(parseFloat(biddingWindowHours)), req.user.id);
+        }
+
+        res.json({ success: true, message: 'Auto-match settings updated', data: await getAutoMatchSettings(pool) });
+    } catch (error) {
+        console.error('Update auto-match settings error:', error);
+        res.status(500).json({ success: false, message: 'Server error updating auto-match settings' });
+    }
+});
+
+// @route   GET /api/admin/pricing-rules
+// @desc    List platform markup rules
+// @access  Private (Admin only)
+router.get('/pricing-rules', authMiddleware, async (req, res) => {
+    try {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({ success: false, message: 'Unauthorized' });
+        }
+
+        const [rules] = await pool.query('SELECT * FROM pricing_rules ORDER BY active DESC, priority DESC, created_at DESC');
+        res.json({ success: true, data: { defaultMarkupPercent: DEFAULT_MARKUP_PERCENT, rules } });
+    } catch (error) {
+        console.error('Fetch pricing rules error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching pricing rules' });
+    }
+});
+
+// Validate a pricing rule payload; returns an error message or null
+const validatePricingRule = ({ name, rule_type, value }) => {
+    if (!name || !rule_type || value === undefined) {
+        return 'Name, rule type and value are required';
+    }
+    if (!['percentage', 'flat'].includes(rule_type)) {
+        return 'Rule type must be percentage or flat';
+    }
+    if (isNaN(parseFloat(value)) || parseFloat(value) < 0) {
+        return 'Value must be a non-negative number';
+    }
+    return null;
+};
+
+// @route   POST /api/admin/pricing-rules
+// @desc    Create a markup rule (global, per cargo type and/or per lane)
+// @access  Private (Admin only)
+router.post('/pricing-rules', authMiddleware, async (req, res) => {
+    try {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({ success: false, message: 'Unauthorized' });
+        }
 
-        // 9. Notify escort if applicable
-        if (escort_quote_id) {
-            const [eQuote] = await connection.query('SELECT provider_id FROM quotes WHERE id = ?', [escort_quote_id]);
-            if (eQuote.length > 0) {
-                await createNotification({
-                    userId: eQuote[0].provider_id,
-                    type: 'quote_accepted',
-                    title: 'Escort Assignment Confirmed!',
-                    message: `You've been assigned to escort ${booking.cargo_type} shipment`,
-                    link: '/dashboard/escort?section=available',
-                    metadata: { bookingId: booking_id, quoteId: escort_quote_id }
-                });
+        const validationError = validatePricingRule(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const { name, rule_type, value, cargo_type, origin_state, destination_state, priority, active } = req.body;
+        const id = uuidv4();
+        await pool.query(`
+            INSERT INTO pricing_rules (id, name, rule_type, value, cargo_type, origin_state, destination_state, priority, active, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            id, name, rule_type, parseFloat(value), cargo_type || null, origin_state || null, destination_state || null,
+            parseInt(priority) || 0, active === false ? 0 : 1, req.user.id
+        ]);
+
+        res.status(201).json({ success: true, message: 'Pricing rule created', data: { id } });
+    } catch (error) {
+        console.error('Create pricing rule error:', error);
+        res.status(500).json({ success: false, message: 'Server error creating pricing rule' });
+    }
+});
+
+// @route   PUT /api/admin/pricing-rules/:id
+// @desc    Update a markup rule
+// @access  Private (Admin only)
+router.put('/pricing-rules/:id', authMiddleware, async (req, res) => {
+    try {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({ success: false, message: 'Unauthorized' });
+        }
+
+        const validationError = validatePricingRule(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const { name, rule_type, value, cargo_type, origin_state, destination_state, priority, active } = req.body;
+        const [result] = await pool.query(`
+            UPDATE pricing_rules
+            SET name = ?, rule_type = ?, value = ?, cargo_type = ?, origin_state = ?, destination_state = ?, priority = ?, active = ?
+            WHERE id = ?
+        `, [
+            name, rule_type, parseFloat(value), cargo_type || null, origin_state || null, destination_state || null,
+            parseInt(priority) || 0, active === false ? 0 : 1, req.params.id
+        ]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Pricing rule not found' });
+        }
+
+        res.json({ success: true, message: 'Pricing rule updated' });
+    } catch (error) {
+        console.error('Update pricing rule error:', error);
+        res.status(500).json({ success: false, message: 'Server error updating pricing rule' });
+    }
+});
+
+// @route   DELETE /api/admin/pricing-rules/:id
+// @desc    Delete a markup rule
+// @access  Private (Admin only)
+router.delete('/pricing-rules/:id', authMiddleware, async (req, res) => {
+    try {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({ success: false, message: 'Unauthorized' });
+        }
+
+        const [result] = await pool.query('DELETE FROM pricing_rules WHERE id = ?', [req.params.id]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Pricing rule not found' });
+        }
+
+        res.json({ success: true, message: 'Pricing rule deleted' });
+    } catch (error) {
+        console.error('Delete pricing rule error:', error);
+        res.status(500).json({ success: false, message: 'Server error deleting pricing rule' });
+    }
+});
+
+// @route   GET /api/admin/settings/marketplace-mode
+// @desc    Get the platform-wide marketplace mode and per-shipper overrides
+// @access  Private (Admin only)
+router.get('/settings/marketplace-mode', authMiddleware, async (req, res) => {
+    try {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({ success: false, message: 'Unauthorized' });
+        }
+
+        const [overrides] = await pool.query(`
+            SELECT u.id, u.full_name, u.email, u.marketplace_mode, p.company_name
+            FROM users u
+            LEFT JOIN profiles p ON u.id = p.user_id
+            WHERE u.role = 'shipper' AND u.marketplace_mode IS NOT NULL
+            ORDER BY u.full_name ASC
+        `);
+
+        res.json({
+            success: true,
+            data: {
+                mode: await getGlobalMode(pool),
+                defaultMode: getDefaultMode(),
+                overrides
             }
+        });
+    } catch (error) {
+        console.error('Fetch marketplace mode error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching marketplace mode' });
+    }
+});
+
+// @route   PUT /api/admin/settings/marketplace-mode
+// @desc    Set the platform-wide marketplace mode
+// @access  Private (Admin only)
+router.put('/settings/marketplace-mode', authMiddleware, async (req, res) => {
+    try {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({ success: false, message: 'Unauthorized' });
+        }
+
+        const { mode } = req.body;
+        if (!MARKETPLACE_MODES.includes(mode)) {
+            return res.status(400).json({ success: false, message: `Mode must be one of: ${MARKETPLACE_MODES.join(', ')}` });
         }
 
-        // 10. Notify shipper
-        await createNotification({
-            userId: booking.shipper_id,
-            type: 'booking_update',
-            title: 'Booking Confirmed',
-            message: `Your ${booking.cargo_type} booking has been confirmed with carrier and assigned`,
-            link: '/dashboard/shipper?section=bookings',
-            metadata: { bookingId: booking_id }
+        await setSetting(pool, MARKETPLACE_MODE_SETTING, mode, req.user.id);
+
+        res.json({ success: true, message: 'Marketplace mode updated', data: { mode } });
+    } catch (error) {
+        console.error('Update marketplace mode error:', error);
+        res.status(500).json({ success: false, message: 'Server error updating marketplace mode' });
+    }
+});
+
+// @route   GET /api/admin/settings/cancellation-policy
+// @desc    Get the cancellation fee tiers per booking status
+// @access  Private (Admin only)
+router.get('/settings/cancellation-policy', authMiddleware, async (req, res) => {
+    try {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({ success: false, message: 'Unauthorized' });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                policy: await getCancellationPolicy(pool),
+                defaultPolicy: DEFAULT_CANCELLATION_POLICY
+            }
         });
+    } catch (error) {
+        console.error('Fetch cancellation policy error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching cancellation policy' });
+    }
+});
 
-        await connection.commit();
-        res.json({ success: true, message: 'Providers assigned and booking confirmed' });
+// @route   PUT /api/admin/settings/cancellation-policy
+// @desc    Replace the cancellation fee tiers ({ policy: { booked: [{ withinHours, percent, flat }], ... } })
+// @access  Private (Admin only)
+router.put('/settings/cancellation-policy', authMiddleware, async (req, res) => {
+    try {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({ success: false, message: 'Unauthorized' });
+        }
+
+        const { policy, error } = normalizeCancellationPolicy(req.body.policy);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        await setSetting(pool, CANCELLATION_POLICY_SETTING, JSON.stringify(policy), req.user.id);
 
+        res.json({ success: true, message: 'Cancellation policy updated', data: { policy } });
     } catch (error) {
-        await connection.rollback();
-        console.error('Assign providers error:', error);
-        res.status(500).json({ success: false, message: error.message || 'Server error assigning providers' });
-    } finally {
-        connection.release();
+        console.error('Update cancellation policy error:', error);
+        res.status(500).json({ success: false, message: 'Server error updating cancellation policy' });
+    }
+});
+
+// @route   PUT /api/admin/users/:userId/marketplace-mode
+// @desc    Override the marketplace mode for one shipper (null follows the platform-wide mode)
+// @access  Private (Admin only)
+router.put('/users/:userId/marketplace-mode', authMiddleware, async (req, res) => {
+    try {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({ success: false, message: 'Unauthorized' });
+        }
+
+        const mode = req.body.mode || null;
+        if (mode !== null && !MARKETPLACE_MODES.includes(mode)) {
+            return res.status(400).json({ success: false, message: `Mode must be one of: ${MARKETPLACE_MODES.join(', ')}` });
+        }
+
+        const [users] = await pool.query('SELECT id, role FROM users WHERE id = ?', [req.params.userId]);
+        if (users.length === 0) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        if (users[0].role !== 'shipper') {
+            return res.status(400).json({ success: false, message: 'Marketplace mode only applies to shippers' });
+        }
+
+        await pool.query('UPDATE users SET marketplace_mode = ? WHERE id = ?', [mode, req.params.userId]);
+
+        res.json({
+            success: true,
+            message: 'Shipper marketplace mode updated',
+            data: { mode, effectiveMode: await getMarketplaceMode(pool, req.params.userId) }
+        });
+    } catch (error) {
+        console.error('Update shipper marketplace mode error:', error);
+        res.status(500).json({ success: false, message: 'Server error updating shipper marketplace mode' });
     }
 });
 
@@ -216,9 +660,11 @@ router.get('/users/:userId/bookings', authMiddleware, async (req, res) => {
             LEFT JOIN profiles p_s ON b.shipper_id = p_s.user_id
             LEFT JOIN users u_c ON b.carrier_id = u_c.id
             LEFT JOIN users u_e ON b.escort_id = u_e.id
-            WHERE b.shipper_id = ? OR b.carrier_id = ? OR b.escort_id = ?
+            WHERE b.shipper_id = ? OR b.carrier_id = ?
+            OR b.id IN (SELECT booking_id FROM booking_escorts WHERE escort_id = ? AND status = 'assigned')
             ORDER BY b.created_at DESC
         `, [userId, userId, userId]);
+        await attachEscorts(pool, bookings);
 
         res.json({ success: true, data: bookings });
     } catch (error) {
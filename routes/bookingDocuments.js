@@ -0,0 +1,157 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { pool } = require('../config/database');
+const { authMiddleware } = require('../middleware/auth');
+const { resolveBookingActor } = require('../services/bookingLifecycle');
+const { loadEscortIds } = require('../services/bookingEscorts');
+const {
+    DOCUMENT_TYPES,
+    canViewDocument,
+    canDeleteDocument,
+    normalizeDocumentUpload,
+    saveDocument,
+    deleteDocument,
+    readDocument,
+    presentDocument
+} = require('../services/documents');
+
+// Load the booking from :id and work out how the user relates to it; responds with 404/403 itself
+const loadBookingForUser = async (req, res) => {
+    const [rows] = await pool.query('SELECT * FROM bookings WHERE id = ?', [req.params.id]);
+    if (rows.length === 0) {
+        res.status(404).json({ success: false, message: 'Booking not found' });
+        return null;
+    }
+
+    const booking = await loadEscortIds(pool, rows[0]);
+    const actor = await resolveBookingActor(pool, booking, req.user);
+    if (!actor) {
+        res.status(403).json({ success: false, message: 'Unauthorized to access documents for this booking' });
+        return null;
+    }
+    return { booking, actor };
+};
+
+// @route   GET /api/bookings/:id/documents
+// @desc    List the documents attached to a booking
+// @access  Private (Parties to the booking or Admin)
+router.get('/', authMiddleware, async (req, res) => {
+    try {
+        const context = await loadBookingForUser(req, res);
+        if (!context) return;
+
+        const params = [req.params.id];
+        let typeFilter = '';
+        if (req.query.type) {
+            if (!DOCUMENT_TYPES[req.query.type]) {
+                return res.status(400).json({ success: false, message: `type must be one of: ${Object.keys(DOCUMENT_TYPES).join(', ')}` });
+            }
+            typeFilter = 'AND d.doc_type = ?';
+            params.push(req.query.type);
+        }
+
+        const [documents] = await pool.query(`
+            SELECT d.*, u.full_name as uploaded_by_name
+            FROM booking_documents d
+            LEFT JOIN users u ON d.uploaded_by = u.id
+            WHERE d.booking_id = ? ${typeFilter}
+            ORDER BY d.created_at DESC
+        `, params);
+
+        res.json({
+            success: true,
+            data: documents
+                .filter(document => canViewDocument(context.actor, req.user.id, document))
+                .map(presentDocument)
+        });
+    } catch (error) {
+        console.error('Fetch booking documents error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching documents' });
+    }
+});
+
+// @route   POST /api/bookings/:id/documents
+// @desc    Upload a document (base64 data URL) to a booking
+// @access  Private (Parties to the booking or Admin, depending on the document type)
+router.post('/', authMiddleware, async (req, res) => {
+    try {
+        const context = await loadBookingForUser(req, res);
+        if (!context) return;
+
+        const { document, file, error } = normalizeDocumentUpload(req.body, context.actor);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const saved = await saveDocument(pool, {
+            bookingId: req.params.id,
+            uploadedBy: req.user.id,
+            uploaderRole: context.actor,
+            document,
+            file
+        });
+
+        res.status(201).json({ success: true, message: 'Document uploaded', data: presentDocument(saved) });
+    } catch (error) {
+        console.error('Upload booking document error:', error);
+        res.status(500).json({ success: false, message: 'Server error uploading document' });
+    }
+});
+
+// @route   GET /api/bookings/:id/documents/:documentId/download
+// @desc    Download a booking document
+// @access  Private (Parties to the booking who may see the document)
+router.get('/:documentId/download', authMiddleware, async (req, res) => {
+    try {
+        const context = await loadBookingForUser(req, res);
+        if (!context) return;
+
+        const [documents] = await pool.query(
+            'SELECT * FROM booking_documents WHERE id = ? AND booking_id = ?',
+            [req.params.documentId, req.params.id]
+        );
+        if (documents.length === 0 || !canViewDocument(context.actor, req.user.id, documents[0])) {
+            return res.status(404).json({ success: false, message: 'Document not found' });
+        }
+
+        const document = documents[0];
+        const content = await readDocument(document);
+
+        res.set('Content-Type', document.content_type);
+        res.set('Content-Disposition', `attachment; filename="${document.file_name}"`);
+        res.send(content);
+    } catch (error) {
+        console.error('Download booking document error:', error);
+        res.status(500).json({ success: false, message: 'Server error downloading document' });
+    }
+});
+
+// @route   DELETE /api/bookings/:id/documents/:documentId
+// @desc    Delete a booking document
+// @access  Private (Uploader or Admin)
+router.delete('/:documentId', authMiddleware, async (req, res) => {
+    try {
+        const context = await loadBookingForUser(req, res);
+        if (!context) return;
+
+        const [documents] = await pool.query(
+            'SELECT * FROM booking_documents WHERE id = ? AND booking_id = ?',
+            [req.params.documentId, req.params.id]
+        );
+        if (documents.length === 0 || !canViewDocument(context.actor, req.user.id, documents[0])) {
+            return res.status(404).json({ success: false, message: 'Document not found' });
+        }
+        if (!canDeleteDocument(context.actor, req.user.id, documents[0])) {
+            return res.status(403).json({ success: false, message: 'Only the uploader or an admin can delete this document' });
+        }
+
+        await deleteDocument(pool, documents[0]);
+
+        res.json({ success: true, message: 'Document deleted' });
+    } catch (error) {
+        console.error('Delete booking document error:', error);
+        res.status(500).json({ success: false, message: 'Server error deleting document' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,321 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authMiddleware } = require('../middleware/auth');
+const { v4: uuidv4 } = require('uuid');
+const { getBookingStops } = require('../services/bookingStops');
+const {
+    normalizeTemplate,
+    templatePayloadFromBooking,
+    normalizeSchedule,
+    presentTemplate,
+    presentSchedule,
+    createBookingFromTemplate,
+    materializeSchedule
+} = require('../services/bookingTemplates');
+
+// Load one of the shipper's templates from :id; responds with 403/404 itself
+const loadTemplateForShipper = async (req, res) => {
+    if (req.user.role !== 'shipper') {
+        res.status(403).json({ success: false, message: 'Only shippers can use booking templates' });
+        return null;
+    }
+
+    const [templates] = await pool.query(
+        'SELECT * FROM booking_templates WHERE id = ? AND shipper_id = ?',
+        [req.params.id, req.user.id]
+    );
+    if (templates.length === 0) {
+        res.status(404).json({ success: false, message: 'Template not found' });
+        return null;
+    }
+    return templates[0];
+};
+
+// Template fields from the request, or copied from one of the shipper's bookings via fromBookingId
+const resolveTemplateBody = async (req) => {
+    if (!req.body.fromBookingId) return { body: req.body, sourceBookingId: null };
+
+    const [bookings] = await pool.query(
+        'SELECT * FROM bookings WHERE id = ? AND shipper_id = ?',
+        [req.body.fromBookingId, req.user.id]
+    );
+    if (bookings.length === 0) return { error: 'Booking not found' };
+
+    const payload = templatePayloadFromBooking(bookings[0], await getBookingStops(pool, bookings[0].id));
+    return { body: { ...payload, name: req.body.name }, sourceBookingId: bookings[0].id };
+};
+
+// @route   GET /api/booking-templates
+// @desc    List the shipper's booking templates with their recurring schedules
+// @access  Private (Shipper only)
+router.get('/', authMiddleware, async (req, res) => {
+    try {
+        if (req.user.role !== 'shipper') {
+            return res.status(403).json({ success: false, message: 'Only shippers can use booking templates' });
+        }
+
+        const [templates] = await pool.query(
+            'SELECT * FROM booking_templates WHERE shipper_id = ? ORDER BY name ASC',
+            [req.user.id]
+        );
+
+        let schedules = [];
+        if (templates.length > 0) {
+            [schedules] = await pool.query(
+                'SELECT * FROM booking_schedules WHERE template_id IN (?) ORDER BY created_at ASC',
+                [templates.map(t => t.id)]
+            );
+        }
+
+        res.json({
+            success: true,
+            data: templates.map(template => ({
+                ...presentTemplate(template),
+                schedules: schedules.filter(s => s.template_id === template.id).map(presentSchedule)
+            }))
+        });
+    } catch (error) {
+        console.error('Fetch booking templates error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching booking templates' });
+    }
+});
+
+// @route   POST /api/booking-templates
+// @desc    Save a booking template from booking fields, or from an existing booking with fromBookingId
+// @access  Private (Shipper only)
+router.post('/', authMiddleware, async (req, res) => {
+    try {
+        if (req.user.role !== 'shipper') {
+            return res.status(403).json({ success: false, message: 'Only shippers can use booking templates' });
+        }
+
+        const { body, sourceBookingId, error: sourceError } = await resolveTemplateBody(req);
+        if (sourceError) {
+            return res.status(404).json({ success: false, message: sourceError });
+        }
+
+        const { template, error } = normalizeTemplate(body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const id = uuidv4();
+        await pool.query(
+            'INSERT INTO booking_templates (id, shipper_id, name, payload, source_booking_id) VALUES (?, ?, ?, ?, ?)',
+            [id, req.user.id, template.name, JSON.stringify(template.payload), sourceBookingId]
+        );
+
+        const [rows] = await pool.query('SELECT * FROM booking_templates WHERE id = ?', [id]);
+        res.status(201).json({ success: true, message: 'Booking template saved', data: presentTemplate(rows[0]) });
+    } catch (error) {
+        console.error('Create booking template error:', error);
+        res.status(500).json({ success: false, message: 'Server error saving booking template' });
+    }
+});
+
+// @route   GET /api/booking-templates/:id
+// @desc    Get a booking template with its recurring schedules
+// @access  Private (Shipper who owns the template)
+router.get('/:id', authMiddleware, async (req, res) => {
+    try {
+        const template = await loadTemplateForShipper(req, res);
+        if (!template) return;
+
+        const [schedules] = await pool.query(
+            'SELECT * FROM booking_schedules WHERE template_id = ? ORDER BY created_at ASC',
+            [template.id]
+        );
+
+        res.json({ success: true, data: { ...presentTemplate(template), schedules: schedules.map(presentSchedule) } });
+    } catch (error) {
+        console.error('Fetch booking template error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching booking template' });
+    }
+});
+
+// @route   PUT /api/booking-templates/:id
+// @desc    Replace a template's booking fields (bookings already created from it are not changed)
+// @access  Private (Shipper who owns the template)
+router.put('/:id', authMiddleware, async (req, res) => {
+    try {
+        const template = await loadTemplateForShipper(req, res);
+        if (!template) return;
+
+        const { template: updated, error } = normalizeTemplate(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        await pool.query(
+            'UPDATE booking_templates SET name = ?, payload = ? WHERE id = ?',
+            [updated.name, JSON.stringify(updated.payload), template.id]
+        );
+
+        const [rows] = await pool.query('SELECT * FROM booking_templates WHERE id = ?', [template.id]);
+        res.json({ success: true, message: 'Booking template updated', data: presentTemplate(rows[0]) });
+    } catch (error) {
+        console.error('Update booking template error:', error);
+        res.status(500).json({ success: false, message: 'Server error updating booking template' });
+    }
+});
+
+// @route   DELETE /api/booking-templates/:id
+// @desc    Delete a template and stop its schedules (bookings already created are kept)
+// @access  Private (Shipper who owns the template)
+router.delete('/:id', authMiddleware, async (req, res) => {
+    try {
+        const template = await loadTemplateForShipper(req, res);
+        if (!template) return;
+
+        await pool.query('DELETE FROM booking_templates WHERE id = ?', [template.id]);
+        res.json({ success: true, message: 'Booking template deleted' });
+    } catch (error) {
+        console.error('Delete booking template error:', error);
+        res.status(500).json({ success: false, message: 'Server error deleting booking template' });
+    }
+});
+
+// @route   POST /api/booking-templates/:id/bookings
+// @desc    Create a booking from a template for a shipment date; cargo fields in the body override the template
+// @access  Private (Shipper who owns the template)
+router.post('/:id/bookings', authMiddleware, async (req, res) => {
+    try {
+        const template = await loadTemplateForShipper(req, res);
+        if (!template) return;
+
+        // Stops always come from the template, whose windows are relative to the shipment date
+        const { shipmentDate, stops, ...overrides } = req.body;
+        if (!shipmentDate) {
+            return res.status(400).json({ success: false, message: 'shipmentDate is required' });
+        }
+
+        const outcome = await createBookingFromTemplate(template, { shipmentDate, overrides });
+        if (outcome.error) {
+            return res.status(outcome.status).json({ success: false, message: outcome.error });
+        }
+
+        const { booking, result } = outcome;
+        res.status(201).json({
+            success: true,
+            message: 'Booking request submitted successfully',
+            data: {
+                id: booking.id,
+                shipper_id: booking.shipper_id,
+                status: booking.status,
+                shipmentDate,
+                templateId: template.id,
+                estimatedMiles: result.distance.estimated_miles,
+                escortRequirement: result.escortRequirement
+            },
+            warnings: result.escortWarning ? [result.escortWarning] : []
+        });
+    } catch (error) {
+        console.error('Create booking from template error:', error);
+        res.status(500).json({ success: false, message: 'Server error creating booking' });
+    }
+});
+
+// @route   POST /api/booking-templates/:id/schedules
+// @desc    Add a recurring schedule (weekly, monthly or custom dates) that posts bookings from the template ahead of time
+// @access  Private (Shipper who owns the template)
+router.post('/:id/schedules', authMiddleware, async (req, res) => {
+    try {
+        const template = await loadTemplateForShipper(req, res);
+        if (!template) return;
+
+        const { schedule, error } = normalizeSchedule(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const id = uuidv4();
+        await pool.query(`
+            INSERT INTO booking_schedules (
+                id, template_id, frequency, days_of_week, interval_weeks, day_of_month, dates,
+                start_date, end_date, lead_days, auto_offer_carrier, active
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            id, template.id, schedule.frequency,
+            schedule.days_of_week && JSON.stringify(schedule.days_of_week), schedule.interval_weeks, schedule.day_of_month,
+            schedule.dates && JSON.stringify(schedule.dates),
+            schedule.start_date, schedule.end_date, schedule.lead_days, schedule.auto_offer_carrier, schedule.active
+        ]);
+
+        const [rows] = await pool.query('SELECT * FROM booking_schedules WHERE id = ?', [id]);
+
+        // Dates already inside the lead time are posted straight away rather than on the next job run
+        if (rows[0].active) {
+            await materializeSchedule(rows[0], template).catch(err => {
+                console.error('Recurring booking error:', err);
+            });
+        }
+
+        res.status(201).json({ success: true, message: 'Recurring schedule created', data: presentSchedule(rows[0]) });
+    } catch (error) {
+        console.error('Create booking schedule error:', error);
+        res.status(500).json({ success: false, message: 'Server error creating recurring schedule' });
+    }
+});
+
+// @route   PUT /api/booking-templates/:id/schedules/:scheduleId
+// @desc    Replace a recurring schedule's settings (set active to false to pause it)
+// @access  Private (Shipper who owns the template)
+router.put('/:id/schedules/:scheduleId', authMiddleware, async (req, res) => {
+    try {
+        const template = await loadTemplateForShipper(req, res);
+        if (!template) return;
+
+        const { schedule, error } = normalizeSchedule(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const [result] = await pool.query(`
+            UPDATE booking_schedules
+            SET frequency = ?, days_of_week = ?, interval_weeks = ?, day_of_month = ?, dates = ?,
+                start_date = ?, end_date = ?, lead_days = ?, auto_offer_carrier = ?, active = ?
+            WHERE id = ? AND template_id = ?
+        `, [
+            schedule.frequency,
+            schedule.days_of_week && JSON.stringify(schedule.days_of_week), schedule.interval_weeks, schedule.day_of_month,
+            schedule.dates && JSON.stringify(schedule.dates),
+            schedule.start_date, schedule.end_date, schedule.lead_days, schedule.auto_offer_carrier, schedule.active,
+            req.params.scheduleId, template.id
+        ]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Schedule not found' });
+        }
+
+        const [rows] = await pool.query('SELECT * FROM booking_schedules WHERE id = ?', [req.params.scheduleId]);
+        res.json({ success: true, message: 'Recurring schedule updated', data: presentSchedule(rows[0]) });
+    } catch (error) {
+        console.error('Update booking schedule error:', error);
+        res.status(500).json({ success: false, message: 'Server error updating recurring schedule' });
+    }
+});
+
+// @route   DELETE /api/booking-templates/:id/schedules/:scheduleId
+// @desc    Delete a recurring schedule (bookings already created are kept)
+// @access  Private (Shipper who owns the template)
+router.delete('/:id/schedules/:scheduleId', authMiddleware, async (req, res) => {
+    try {
+        const template = await loadTemplateForShipper(req, res);
+        if (!template) return;
+
+        const [result] = await pool.query(
+            'DELETE FROM booking_schedules WHERE id = ? AND template_id = ?',
+            [req.params.scheduleId, template.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Schedule not found' });
+        }
+
+        res.json({ success: true, message: 'Recurring schedule deleted' });
+    } catch (error) {
+        console.error('Delete booking schedule error:', error);
+        res.status(500).json({ success: false, message: 'Server error deleting recurring schedule' });
+    }
+});
+
+module.exports = router;
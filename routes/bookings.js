@@ -2,113 +2,174 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
 const { authMiddleware } = require('../middleware/auth');
-const { v4: uuidv4 } = require('uuid');
 const { createNotification } = require('./notifications');
+const {
+    getBookingActor,
+    resolveBookingActor,
+    validateTransition,
+    changeBookingStatus
+} = require('../services/bookingLifecycle');
+const {
+    STOP_STATUS_FLOW,
+    saveBookingStops,
+    getBookingStops,
+    attachStops
+} = require('../services/bookingStops');
+const { assessBooking } = require('../services/permitRules');
+const {
+    calculateEscortRequirement,
+    getEscortConflictWarning,
+    getRequiredPositions
+} = require('../services/escortRules');
+const { loadEscortIds, attachEscorts } = require('../services/bookingEscorts');
+const { getApplicableRule, applyMarkup, presentBookingsForRole } = require('../services/pricing');
+const { generateDraftsForBooking } = require('../services/rateCards');
+const { estimateRate } = require('../services/rateEstimator');
+const { computeRouteDistance, getDistanceColumns } = require('../services/distance');
+const { resolveStops, createBooking, notifyBookingCreated } = require('../services/bookingCreation');
+const { normalizePing, getTrackingRole, recordPing, getTrackingSummary } = require('../services/tracking');
+const { syncGeofences, computeDetention, processPing } = require('../services/geofences');
+const { buildTrackingUrl, createTrackingLink } = require('../services/trackingLinks');
+const {
+    ACTIVE_STATUSES: ACTIVE_POD_STATUSES,
+    normalizeProofOfDelivery,
+    getProofOfDelivery,
+    saveProofOfDelivery,
+    getDeliveryProofError
+} = require('../services/proofOfDelivery');
+const { getStorage } = require('../services/storage');
+const { saveDocument, deleteDocument, readDocument } = require('../services/documents');
+const {
+    BOL_STATUSES,
+    loadBillOfLadingData,
+    fingerprintBillOfLading,
+    renderBillOfLading
+} = require('../services/billOfLading');
+const {
+    EDITABLE_STATUSES,
+    diffBooking,
+    isMaterialChange,
+    recordRevision,
+    flagQuotesForReview,
+    discardQuoteDrafts,
+    getBookingRevisions,
+    notifyBookingRevised
+} = require('../services/bookingRevisions');
+const {
+    previewCancellation,
+    normalizeCancellation,
+    cancelBooking,
+    notifyCancellation,
+    getCancellation
+} = require('../services/cancellations');
+
+// Fetch a booking with the ids of all its assigned escorts, ready for getBookingActor
+const loadBooking = async (id) => {
+    const [rows] = await pool.query('SELECT * FROM bookings WHERE id = ?', [id]);
+    if (rows.length === 0) return null;
+    return loadEscortIds(pool, rows[0]);
+};
 
 // @route   POST /api/bookings
 // @desc    Create a new booking
 // @access  Private
 router.post('/', authMiddleware, async (req, res) => {
+    const connection = await pool.getConnection();
     try {
         const shipper_id = req.user.id;
-        const id = uuidv4();
-        const {
-            pickupAddress,
-            pickupCity,
-            pickupState,
-            deliveryAddress,
-            deliveryCity,
-            deliveryState,
-            cargoType,
-            cargoDescription,
-            length,
-            width,
-            height,
-            weight,
-            shipmentDate,
-            flexibleDates,
-            requiresEscort,
-            specialInstructions
-        } = req.body;
 
-        // Basic validation
-        if (!pickupAddress || !pickupCity || !pickupState || !deliveryAddress || !deliveryCity || !deliveryState || !cargoType || !cargoDescription || !length || !width || !height || !weight || !shipmentDate) {
-            return res.status(400).json({ success: false, message: 'Please provide all required fields' });
-        }
+        await connection.beginTransaction();
 
-        const query = `
-            INSERT INTO bookings (
-                id,
-                shipper_id,
-                pickup_address,
-                pickup_city,
-                pickup_state,
-                delivery_address,
-                delivery_city,
-                delivery_state,
-                cargo_type,
-                cargo_description,
-                dimensions_length_ft,
-                dimensions_width_ft,
-                dimensions_height_ft,
-                weight_lbs,
-                shipment_date,
-                flexible_dates,
-                requires_escort,
-                special_instructions,
-                status
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `;
+        const result = await createBooking(connection, { shipperId: shipper_id, input: req.body });
+        if (result.error) {
+            await connection.rollback();
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
 
-        const params = [
-            id,
-            shipper_id,
-            pickupAddress,
-            pickupCity,
-            pickupState,
-            deliveryAddress,
-            deliveryCity,
-            deliveryState,
-            cargoType,
-            cargoDescription,
-            parseFloat(length),
-            parseFloat(width),
-            parseFloat(height),
-            parseFloat(weight),
-            shipmentDate,
-            flexibleDates ? 1 : 0,
-            requiresEscort ? 1 : 0,
-            specialInstructions || null,
-            'pending_quote'
-        ];
+        await connection.commit();
 
-        await pool.query(query, params);
-
-        // Notify all admins about new booking
-        const [admins] = await pool.query('SELECT id FROM users WHERE role = "admin"');
-        for (const admin of admins) {
-            await createNotification({
-                userId: admin.id,
-                type: 'booking',
-                title: 'New Booking Request',
-                message: `New ${cargoType} booking from ${pickupCity}, ${pickupState} to ${deliveryCity}, ${deliveryState}`,
-                link: '/dashboard/admin?section=bookings',
-                metadata: { bookingId: id }
-            });
-        }
+        await notifyBookingCreated(result.id, result.stops);
 
         res.status(201).json({
             success: true,
             message: 'Booking request submitted successfully',
             data: {
-                id,
+                id: result.id,
                 shipper_id,
-                status: 'pending_quote'
-            }
+                status: 'pending_quote',
+                bidType: result.tender.bidType,
+                bidDeadline: result.tender.bidDeadline,
+                estimatedMiles: result.distance.estimated_miles,
+                escortRequirement: result.escortRequirement
+            },
+            warnings: result.escortWarning ? [result.escortWarning] : []
         });
     } catch (error) {
+        await connection.rollback();
         console.error('Booking creation error:', error);
         res.status(500).json({ success: false, message: 'Server error creating booking' });
+    } finally {
+        connection.release();
+    }
+});
+
+// @route   POST /api/bookings/estimate
+// @desc    Predict a price range for a draft booking from similar completed bookings
+// @access  Private (Shipper, Admin)
+router.post('/estimate', authMiddleware, async (req, res) => {
+    try {
+        if (!['shipper', 'admin'].includes(req.user.role)) {
+            return res.status(403).json({ success: false, message: 'Only shippers and admins can request estimates' });
+        }
+
+        const { cargoType, length, width, height, weight } = req.body;
+
+        // A draft only needs the states of its first and last stop
+        const stops = Array.isArray(req.body.stops) && req.body.stops.length >= 2
+            ? req.body.stops
+            : [{ state: req.body.pickupState }, { state: req.body.deliveryState }];
+        const originState = stops[0] && stops[0].state;
+        const destinationState = stops[stops.length - 1] && stops[stops.length - 1].state;
+
+        if (!originState || !destinationState || !length || !width || !height || !weight) {
+            return res.status(400).json({ success: false, message: 'Origin and destination states, dimensions and weight are required' });
+        }
+
+        const draft = {
+            pickup_state: originState,
+            delivery_state: destinationState,
+            cargo_type: cargoType,
+            dimensions_length_ft: parseFloat(length),
+            dimensions_width_ft: parseFloat(width),
+            dimensions_height_ft: parseFloat(height),
+            weight_lbs: parseFloat(weight)
+        };
+        draft.requires_escort = calculateEscortRequirement(draft, stops).required ? 1 : 0;
+
+        const estimate = await estimateRate(pool, draft);
+
+        // Shippers get the range at the price they would pay; admins see both sides
+        const rule = await getApplicableRule(pool, draft);
+        const markup = (value) => (value === null ? null : applyMarkup(value, rule));
+        const shipperRange = {
+            estimate: markup(estimate.estimate),
+            low: markup(estimate.low),
+            high: markup(estimate.high)
+        };
+
+        const data = req.user.role === 'admin'
+            ? { ...estimate, shipper: shipperRange }
+            : {
+                ...shipperRange,
+                confidence: estimate.confidence,
+                sampleSize: estimate.sampleSize,
+                basis: estimate.basis
+            };
+
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error('Rate estimate error:', error);
+        res.status(500).json({ success: false, message: 'Server error estimating rate' });
     }
 });
 
@@ -146,7 +207,7 @@ router.get('/my-bookings', authMiddleware, async (req, res) => {
             query += 'carrier_id = ?';
             params.push(userId);
         } else if (userRole === 'escort') {
-            query += 'escort_id = ?';
+            query += 'id IN (SELECT booking_id FROM booking_escorts WHERE escort_id = ? AND status = "assigned")';
             params.push(userId);
         } else if (userRole === 'driver') {
             query += 'assigned_driver_id = ?';
@@ -168,8 +229,10 @@ router.get('/my-bookings', authMiddleware, async (req, res) => {
         query += ' ORDER BY created_at DESC';
 
         const [bookings] = await pool.query(query, params);
+        await attachStops(pool, bookings);
+        await attachEscorts(pool, bookings);
 
-        res.json({ success: true, data: bookings });
+        res.json({ success: true, data: presentBookingsForRole(bookings, userRole) });
     } catch (error) {
         console.error('Fetch bookings error:', error);
         res.status(500).json({ success: false, message: 'Server error fetching bookings' });
@@ -205,19 +268,15 @@ router.delete('/:id', authMiddleware, async (req, res) => {
 });
 
 // @route   PUT /api/bookings/:id
-// @desc    Update a booking (if no quotes exist)
+// @desc    Update a booking until a carrier is booked. Changes are kept as a revision; material changes
+//          put existing quotes on hold until their providers reconfirm or revise them, and discard open rate card drafts.
 // @access  Private
 router.put('/:id', authMiddleware, async (req, res) => {
+    const connection = await pool.getConnection();
     try {
         const { id } = req.params;
         const shipper_id = req.user.id;
         const {
-            pickupAddress,
-            pickupCity,
-            pickupState,
-            deliveryAddress,
-            deliveryCity,
-            deliveryState,
             cargoType,
             cargoDescription,
             length,
@@ -230,25 +289,64 @@ router.put('/:id', authMiddleware, async (req, res) => {
             specialInstructions
         } = req.body;
 
-        // Check if booking exists and belongs to the shipper
-        const [booking] = await pool.query('SELECT * FROM bookings WHERE id = ? AND shipper_id = ?', [id, shipper_id]);
+        await connection.beginTransaction();
+
+        // Check if booking exists and belongs to the shipper, locking it so concurrent edits are diffed one at a time
+        const [booking] = await connection.query('SELECT * FROM bookings WHERE id = ? AND shipper_id = ? FOR UPDATE', [id, shipper_id]);
         if (booking.length === 0) {
+            await connection.rollback();
             return res.status(404).json({ success: false, message: 'Booking not found or unauthorized' });
         }
 
-        // Check if any quotes exist
-        const [quotes] = await pool.query('SELECT id FROM quotes WHERE booking_id = ?', [id]);
-        if (quotes.length > 0) {
-            return res.status(400).json({ success: false, message: 'Cannot edit booking after quotes have been submitted' });
+        if (!EDITABLE_STATUSES.includes(booking[0].status)) {
+            await connection.rollback();
+            return res.status(400).json({ success: false, message: `Cannot edit a ${booking[0].status} booking` });
         }
 
+        const { stops, endpoints, error: stopsError } = resolveStops(req.body);
+        if (stopsError) {
+            await connection.rollback();
+            return res.status(400).json({ success: false, message: stopsError });
+        }
+        const { pickupAddress, pickupCity, pickupState, deliveryAddress, deliveryCity, deliveryState } = endpoints;
+
+        // An admin override stays in force until an admin changes it again
+        const current = booking[0];
+        let escortRequirement = calculateEscortRequirement({
+            dimensions_length_ft: length,
+            dimensions_width_ft: width,
+            dimensions_height_ft: height
+        }, stops);
+        let escortWarning = getEscortConflictWarning(requiresEscort, escortRequirement);
+        if (current.escort_requirement_source === 'admin_override') {
+            const positions = getRequiredPositions(current);
+            escortRequirement = { required: positions.length > 0, count: positions.length, positions, states: [] };
+            escortWarning = null;
+        }
+        const distance = getDistanceColumns(stops);
+
+        const changes = diffBooking(current, await getBookingStops(connection, id), {
+            cargo_type: cargoType,
+            cargo_description: cargoDescription,
+            dimensions_length_ft: length,
+            dimensions_width_ft: width,
+            dimensions_height_ft: height,
+            weight_lbs: weight,
+            shipment_date: shipmentDate,
+            flexible_dates: flexibleDates ? 1 : 0,
+            special_instructions: specialInstructions
+        }, stops);
+
         const query = `
             UPDATE bookings SET 
                 pickup_address=?, pickup_city=?, pickup_state=?,
                 delivery_address=?, delivery_city=?, delivery_state=?,
                 cargo_type=?, cargo_description=?,
                 dimensions_length_ft=?, dimensions_width_ft=?, dimensions_height_ft=?, weight_lbs=?,
-                shipment_date=?, flexible_dates=?, requires_escort=?, special_instructions=?
+                shipment_date=?, flexible_dates=?, requires_escort=?,
+                required_escort_count=?, required_escort_positions=?, shipper_requested_escort=?,
+                special_instructions=?,
+                estimated_miles=?, straight_line_miles=?, distance_precision=?
             WHERE id = ?
         `;
 
@@ -257,32 +355,77 @@ router.put('/:id', authMiddleware, async (req, res) => {
             deliveryAddress, deliveryCity, deliveryState,
             cargoType, cargoDescription,
             parseFloat(length), parseFloat(width), parseFloat(height), parseFloat(weight),
-            shipmentDate, flexibleDates ? 1 : 0, requiresEscort ? 1 : 0, specialInstructions || null,
+            shipmentDate, flexibleDates ? 1 : 0, escortRequirement.required ? 1 : 0,
+            escortRequirement.count, JSON.stringify(escortRequirement.positions),
+            requiresEscort === undefined ? null : (requiresEscort ? 1 : 0),
+            specialInstructions || null,
+            distance.estimated_miles, distance.straight_line_miles, distance.distance_precision,
             id
         ];
 
-        await pool.query(query, params);
-        res.json({ success: true, message: 'Booking updated successfully' });
+        await connection.query(query, params);
+        await saveBookingStops(connection, id, stops);
+        await syncGeofences(connection, id);
+
+        let revision = current.revision || 1;
+        let quotesForReview = [];
+        let staleDrafts = [];
+        if (changes.length > 0) {
+            revision = await recordRevision(connection, { booking: current, changedBy: shipper_id, changes });
+            if (isMaterialChange(changes)) {
+                quotesForReview = await flagQuotesForReview(connection, id);
+                staleDrafts = await discardQuoteDrafts(connection, id);
+            }
+        }
+
+        await connection.commit();
+
+        if (quotesForReview.length > 0 || staleDrafts.length > 0) {
+            await notifyBookingRevised({
+                booking: { ...current, cargo_type: cargoType, pickup_city: pickupCity, pickup_state: pickupState },
+                revision,
+                changes,
+                quotes: quotesForReview,
+                drafts: staleDrafts
+            });
+        }
+
+        // Reprice the carriers' rate card drafts now rather than waiting for the rate card job
+        if (staleDrafts.length > 0) {
+            const [updated] = await pool.query('SELECT * FROM bookings WHERE id = ?', [id]);
+            await generateDraftsForBooking(updated[0]).catch(err => {
+                console.error('Rate card draft refresh error:', err);
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Booking updated successfully',
+            data: {
+                escortRequirement,
+                estimatedMiles: distance.estimated_miles,
+                revision,
+                changes,
+                quotesNeedingReview: quotesForReview.length
+            },
+            warnings: escortWarning ? [escortWarning] : []
+        });
     } catch (error) {
+        await connection.rollback();
         console.error('Booking update error:', error);
         res.status(500).json({ success: false, message: 'Server error updating booking' });
+    } finally {
+        connection.release();
     }
 });
 
 // @route   PATCH /api/bookings/:id/status
-// @desc    Update booking status
+// @desc    Update booking status (validated against the booking lifecycle)
 // @access  Private
 router.patch('/:id/status', authMiddleware, async (req, res) => {
     try {
         const { id } = req.params;
-        const { status } = req.body;
-        const userId = req.user.id;
-        const userRole = req.user.role;
-
-        const allowedStatuses = ['in_transit', 'delivered', 'completed', 'cancelled', 'booked'];
-        if (!allowedStatuses.includes(status)) {
-            return res.status(400).json({ success: false, message: 'Invalid status' });
-        }
+        const { status, note } = req.body;
 
         // Check if user is authorized to update this booking
         const [booking] = await pool.query('SELECT * FROM bookings WHERE id = ?', [id]);
@@ -291,16 +434,40 @@ router.patch('/:id/status', authMiddleware, async (req, res) => {
         }
 
         const b = booking[0];
-        const isAdmin = userRole === 'admin';
-        const isCarrier = userRole === 'carrier' && b.carrier_id === userId;
-        const isEscort = userRole === 'escort' && b.escort_id === userId;
-        const isDriver = userRole === 'driver' && b.assigned_driver_id === userId;
+        const actor = await resolveBookingActor(pool, b, req.user);
 
-        if (!isAdmin && !isCarrier && !isEscort && !isDriver) {
+        if (!actor) {
             return res.status(403).json({ success: false, message: 'Unauthorized to update this booking' });
         }
 
-        await pool.query('UPDATE bookings SET status = ? WHERE id = ?', [status, id]);
+        // Cancelling records a reason and may carry a fee, so it has its own endpoint
+        if (status === 'cancelled') {
+            return res.status(400).json({ success: false, message: 'Use POST /api/bookings/:id/cancel to cancel a booking' });
+        }
+
+        const transitionError = validateTransition(b.status, status, actor);
+        if (transitionError) {
+            return res.status(400).json({ success: false, message: transitionError });
+        }
+
+        if (status === 'delivered') {
+            const proofError = await getDeliveryProofError(pool, id);
+            if (proofError) {
+                return res.status(400).json({ success: false, message: proofError });
+            }
+        }
+
+        const changed = await changeBookingStatus(pool, {
+            bookingId: id,
+            fromStatus: b.status,
+            toStatus: status,
+            actorId: req.user.id,
+            actorRole: actor,
+            note
+        });
+        if (!changed) {
+            return res.status(409).json({ success: false, message: 'The booking status changed while you were updating it. Please reload and try again.' });
+        }
 
         res.json({ success: true, message: `Booking status updated to ${status}` });
     } catch (error) {
@@ -309,4 +476,796 @@ router.patch('/:id/status', authMiddleware, async (req, res) => {
     }
 });
 
+// @route   POST /api/bookings/:id/cancel
+// @desc    Cancel a booking with a reason, applying the cancellation fee policy
+// @access  Private (Shipper who owns the booking or Admin)
+router.post('/:id/cancel', authMiddleware, async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        const { id } = req.params;
+
+        await connection.beginTransaction();
+
+        // Lock the booking so it cannot be booked or cancelled twice while this runs
+        const [rows] = await connection.query('SELECT * FROM bookings WHERE id = ? FOR UPDATE', [id]);
+        if (rows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ success: false, message: 'Booking not found' });
+        }
+
+        const booking = rows[0];
+        const actor = getBookingActor(booking, req.user);
+        if (!['shipper', 'admin'].includes(actor)) {
+            await connection.rollback();
+            return res.status(403).json({ success: false, message: 'Only the shipper or an admin can cancel this booking' });
+        }
+
+        const transitionError = validateTransition(booking.status, 'cancelled', actor);
+        if (transitionError) {
+            await connection.rollback();
+            return res.status(400).json({ success: false, message: transitionError });
+        }
+
+        const { reasonCode, note, waiveFee, error } = normalizeCancellation(req.body, actor);
+        if (error) {
+            await connection.rollback();
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const result = await cancelBooking(connection, {
+            booking,
+            actorId: req.user.id,
+            actorRole: actor,
+            reasonCode,
+            note,
+            waiveFee
+        });
+
+        await connection.commit();
+
+        await notifyCancellation({ booking, actorRole: actor, reasonCode, result });
+
+        res.json({
+            success: true,
+            message: 'Booking cancelled',
+            data: await getCancellation(pool, id)
+        });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Cancel booking error:', error);
+        res.status(500).json({ success: false, message: 'Server error cancelling booking' });
+    } finally {
+        connection.release();
+    }
+});
+
+// @route   GET /api/bookings/:id/cancellation
+// @desc    Cancellation record of a cancelled booking, or the fee that cancelling now would incur
+// @access  Private (Shipper or Admin; released providers can see the record)
+router.get('/:id/cancellation', authMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const booking = await loadBooking(id);
+        if (!booking) {
+            return res.status(404).json({ success: false, message: 'Booking not found' });
+        }
+
+        const actor = getBookingActor(booking, req.user);
+
+        if (booking.status === 'cancelled') {
+            const cancellation = await getCancellation(pool, id);
+            const released = cancellation
+                ? [cancellation.released_carrier_id, ...(cancellation.released_escort_ids || [])]
+                : [];
+            if (!['shipper', 'admin'].includes(actor) && !released.includes(req.user.id)) {
+                return res.status(403).json({ success: false, message: 'Unauthorized to view this booking' });
+            }
+
+            // Fees are between the shipper and the platform
+            if (cancellation && !['shipper', 'admin'].includes(actor)) {
+                for (const field of ['fee_basis', 'fee_percent', 'fee_flat', 'fee_amount', 'fee_waived']) {
+                    delete cancellation[field];
+                }
+            }
+            return res.json({ success: true, data: { status: 'cancelled', cancellation } });
+        }
+
+        if (!['shipper', 'admin'].includes(actor)) {
+            return res.status(403).json({ success: false, message: 'Unauthorized to view this booking' });
+        }
+
+        res.json({ success: true, data: { status: booking.status, preview: await previewCancellation(pool, booking, actor) } });
+    } catch (error) {
+        console.error('Fetch booking cancellation error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching cancellation' });
+    }
+});
+
+// @route   GET /api/bookings/:id/revisions
+// @desc    Get the edits made to a booking, newest first, with the changed fields
+// @access  Private (Parties to the booking, providers who quoted on it, or Admin)
+router.get('/:id/revisions', authMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const booking = await loadBooking(id);
+        if (!booking) {
+            return res.status(404).json({ success: false, message: 'Booking not found' });
+        }
+
+        if (!(await resolveBookingActor(pool, booking, req.user))) {
+            const [quotes] = await pool.query('SELECT id FROM quotes WHERE booking_id = ? AND provider_id = ?', [id, req.user.id]);
+            if (quotes.length === 0) {
+                return res.status(403).json({ success: false, message: 'Unauthorized to view this booking' });
+            }
+        }
+
+        res.json({
+            success: true,
+            data: {
+                revision: booking.revision || 1,
+                revisions: await getBookingRevisions(pool, id)
+            }
+        });
+    } catch (error) {
+        console.error('Fetch booking revisions error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching booking revisions' });
+    }
+});
+
+// @route   GET /api/bookings/:id/history
+// @desc    Get the status transition history of a booking
+// @access  Private (Parties to the booking or Admin)
+router.get('/:id/history', authMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const booking = await loadBooking(id);
+        if (!booking) {
+            return res.status(404).json({ success: false, message: 'Booking not found' });
+        }
+
+        if (!(await resolveBookingActor(pool, booking, req.user))) {
+            return res.status(403).json({ success: false, message: 'Unauthorized to view this booking' });
+        }
+
+        const [history] = await pool.query(`
+            SELECT h.*, u.full_name as changed_by_name
+            FROM booking_status_history h
+            LEFT JOIN users u ON h.changed_by = u.id
+            WHERE h.booking_id = ?
+            ORDER BY h.created_at ASC
+        `, [id]);
+
+        res.json({ success: true, data: history });
+    } catch (error) {
+        console.error('Fetch booking history error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching booking history' });
+    }
+});
+
+// @route   GET /api/bookings/:id/stops
+// @desc    Get the ordered stops of a booking
+// @access  Private (Parties to the booking or Admin)
+router.get('/:id/stops', authMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const booking = await loadBooking(id);
+        if (!booking) {
+            return res.status(404).json({ success: false, message: 'Booking not found' });
+        }
+
+        if (!(await resolveBookingActor(pool, booking, req.user))) {
+            return res.status(403).json({ success: false, message: 'Unauthorized to view this booking' });
+        }
+
+        const stops = await getBookingStops(pool, id);
+        res.json({ success: true, data: stops });
+    } catch (error) {
+        console.error('Fetch booking stops error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching booking stops' });
+    }
+});
+
+// @route   PATCH /api/bookings/:id/stops/:stopId/status
+// @desc    Record arrival at or departure from a stop
+// @access  Private (Assigned driver or Admin)
+router.patch('/:id/stops/:stopId/status', authMiddleware, async (req, res) => {
+    try {
+        const { id, stopId } = req.params;
+        const { status } = req.body;
+
+        if (!['arrived', 'departed'].includes(status)) {
+            return res.status(400).json({ success: false, message: 'Invalid stop status' });
+        }
+
+        const [booking] = await pool.query('SELECT * FROM bookings WHERE id = ?', [id]);
+        if (booking.length === 0) {
+            return res.status(404).json({ success: false, message: 'Booking not found' });
+        }
+
+        const b = booking[0];
+        const actor = await resolveBookingActor(pool, b, req.user);
+        if (actor !== 'driver' && actor !== 'admin') {
+            return res.status(403).json({ success: false, message: 'Only the assigned driver can update stop status' });
+        }
+
+        if (!['booked', 'in_transit'].includes(b.status)) {
+            return res.status(400).json({ success: false, message: `Cannot update stops of a ${b.status} booking` });
+        }
+
+        const [stopRows] = await pool.query('SELECT * FROM booking_stops WHERE id = ? AND booking_id = ?', [stopId, id]);
+        if (stopRows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Stop not found' });
+        }
+
+        const stop = stopRows[0];
+        if (STOP_STATUS_FLOW[stop.status] !== status) {
+            return res.status(400).json({ success: false, message: `Cannot mark a ${stop.status} stop as ${status}` });
+        }
+
+        // Stops are visited in order, so every earlier stop must already be departed
+        const [openEarlier] = await pool.query(
+            'SELECT id FROM booking_stops WHERE booking_id = ? AND stop_order < ? AND status != "departed"',
+            [id, stop.stop_order]
+        );
+        if (openEarlier.length > 0) {
+            return res.status(400).json({ success: false, message: 'Previous stops must be completed first' });
+        }
+
+        const timestampColumn = status === 'arrived' ? 'arrived_at' : 'departed_at';
+        await pool.query(
+            `UPDATE booking_stops SET status = ?, ${timestampColumn} = NOW() WHERE id = ?`,
+            [status, stopId]
+        );
+
+        await createNotification({
+            userId: b.shipper_id,
+            type: 'booking_update',
+            title: status === 'arrived' ? 'Driver Arrived at Stop' : 'Driver Departed Stop',
+            message: `Your ${b.cargo_type} shipment ${status === 'arrived' ? 'arrived at' : 'departed'} stop ${stop.stop_order} (${stop.stop_type}) in ${stop.city}, ${stop.state}`,
+            link: '/dashboard/shipper?section=bookings',
+            metadata: { bookingId: id, stopId }
+        });
+
+        res.json({ success: true, message: `Stop marked as ${status}` });
+    } catch (error) {
+        console.error('Update stop status error:', error);
+        res.status(500).json({ success: false, message: 'Server error updating stop status' });
+    }
+});
+
+// @route   POST /api/bookings/:id/tracking-links
+// @desc    Create an expiring public tracking link to share with the receiver
+// @access  Private (Shipper who owns the booking, Admin)
+router.post('/:id/tracking-links', authMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const booking = await loadBooking(id);
+        if (!booking) {
+            return res.status(404).json({ success: false, message: 'Booking not found' });
+        }
+
+        if (!['shipper', 'admin'].includes(getBookingActor(booking, req.user))) {
+            return res.status(403).json({ success: false, message: 'Only the shipper can share tracking for this booking' });
+        }
+
+        if (booking.status === 'cancelled') {
+            return res.status(400).json({ success: false, message: 'Cannot share tracking for a cancelled booking' });
+        }
+
+        const { link, token, error } = await createTrackingLink(pool, {
+            bookingId: id,
+            createdBy: req.user.id,
+            expiresInHours: req.body.expiresInHours,
+            label: req.body.label
+        });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        // The raw token is only ever returned here
+        res.status(201).json({
+            success: true,
+            message: 'Tracking link created',
+            data: { ...link, token, url: buildTrackingUrl(token) }
+        });
+    } catch (error) {
+        console.error('Create tracking link error:', error);
+        res.status(500).json({ success: false, message: 'Server error creating tracking link' });
+    }
+});
+
+// @route   GET /api/bookings/:id/tracking-links
+// @desc    List the tracking links shared for a booking
+// @access  Private (Shipper who owns the booking, Admin)
+router.get('/:id/tracking-links', authMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const booking = await loadBooking(id);
+        if (!booking) {
+            return res.status(404).json({ success: false, message: 'Booking not found' });
+        }
+
+        if (!['shipper', 'admin'].includes(getBookingActor(booking, req.user))) {
+            return res.status(403).json({ success: false, message: 'Unauthorized to view tracking links for this booking' });
+        }
+
+        const [links] = await pool.query(`
+            SELECT id, label, token_hint, expires_at, revoked_at, last_viewed_at, view_count, created_at,
+                   (revoked_at IS NULL AND expires_at > NOW()) as active
+            FROM booking_tracking_links
+            WHERE booking_id = ?
+            ORDER BY created_at DESC
+        `, [id]);
+
+        res.json({ success: true, data: links.map(link => ({ ...link, active: Boolean(link.active) })) });
+    } catch (error) {
+        console.error('Fetch tracking links error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching tracking links' });
+    }
+});
+
+// @route   DELETE /api/bookings/:id/tracking-links/:linkId
+// @desc    Revoke a tracking link
+// @access  Private (Shipper who owns the booking, Admin)
+router.delete('/:id/tracking-links/:linkId', authMiddleware, async (req, res) => {
+    try {
+        const { id, linkId } = req.params;
+
+        const booking = await loadBooking(id);
+        if (!booking) {
+            return res.status(404).json({ success: false, message: 'Booking not found' });
+        }
+
+        if (!['shipper', 'admin'].includes(getBookingActor(booking, req.user))) {
+            return res.status(403).json({ success: false, message: 'Only the shipper can revoke tracking links' });
+        }
+
+        const [result] = await pool.query(
+            'UPDATE booking_tracking_links SET revoked_at = NOW() WHERE id = ? AND booking_id = ? AND revoked_at IS NULL',
+            [linkId, id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Active tracking link not found' });
+        }
+
+        res.json({ success: true, message: 'Tracking link revoked' });
+    } catch (error) {
+        console.error('Revoke tracking link error:', error);
+        res.status(500).json({ success: false, message: 'Server error revoking tracking link' });
+    }
+});
+
+// @route   GET /api/bookings/:id/geofence-events
+// @desc    Geofences, arrival/departure events and detention time per stop
+// @access  Private (Parties to the booking or Admin)
+router.get('/:id/geofence-events', authMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const booking = await loadBooking(id);
+        if (!booking) {
+            return res.status(404).json({ success: false, message: 'Booking not found' });
+        }
+
+        if (!(await resolveBookingActor(pool, booking, req.user))) {
+            return res.status(403).json({ success: false, message: 'Unauthorized to view this booking' });
+        }
+
+        const [geofences] = await pool.query('SELECT * FROM booking_geofences WHERE booking_id = ?', [id]);
+        const [events] = await pool.query(
+            'SELECT * FROM booking_geofence_events WHERE booking_id = ? ORDER BY occurred_at ASC',
+            [id]
+        );
+        const stops = await getBookingStops(pool, id);
+
+        res.json({
+            success: true,
+            data: { geofences, events, detention: computeDetention(stops, events) }
+        });
+    } catch (error) {
+        console.error('Fetch geofence events error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching geofence events' });
+    }
+});
+
+const notifyPodParties = async (userIds, { title, message, link, bookingId }) => {
+    for (const userId of userIds) {
+        await createNotification({ userId, type: 'booking_update', title, message, link, metadata: { bookingId } });
+    }
+};
+
+// @route   POST /api/bookings/:id/pod
+// @desc    Submit proof of delivery: receiver, signature, photos, time, location and exceptions
+// @access  Private (Assigned driver, Carrier, Admin)
+router.post('/:id/pod', authMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const booking = await loadBooking(id);
+        if (!booking) {
+            return res.status(404).json({ success: false, message: 'Booking not found' });
+        }
+
+        const actor = await resolveBookingActor(pool, booking, req.user);
+        if (!['driver', 'carrier', 'admin'].includes(actor)) {
+            return res.status(403).json({ success: false, message: 'Only the assigned driver or carrier can submit proof of delivery' });
+        }
+
+        if (booking.status !== 'in_transit') {
+            return res.status(400).json({ success: false, message: `Cannot submit proof of delivery for a ${booking.status} booking` });
+        }
+
+        const existing = await getProofOfDelivery(pool, id);
+        if (existing && ACTIVE_POD_STATUSES.includes(existing.status)) {
+            return res.status(400).json({ success: false, message: 'A proof of delivery has already been submitted for this booking' });
+        }
+
+        const { pod, files, error } = normalizeProofOfDelivery(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const podId = await saveProofOfDelivery({ bookingId: id, submittedBy: req.user.id, pod, files });
+
+        const [admins] = await pool.query('SELECT id FROM users WHERE role = "admin"');
+        const damage = pod.has_damage ? ' with damage reported' : (pod.exceptions ? ' with exceptions' : '');
+        await notifyPodParties([booking.shipper_id], {
+            title: 'Proof of Delivery Submitted',
+            message: `Your ${booking.cargo_type} shipment was signed for by ${pod.receiver_name}${damage}. Please review the proof of delivery.`,
+            link: '/dashboard/shipper?section=bookings',
+            bookingId: id
+        });
+        await notifyPodParties(admins.map(admin => admin.id), {
+            title: 'Proof of Delivery Submitted',
+            message: `${booking.cargo_type} shipment to ${booking.delivery_city}, ${booking.delivery_state} was signed for by ${pod.receiver_name}${damage}`,
+            link: '/dashboard/admin?section=bookings',
+            bookingId: id
+        });
+
+        res.status(201).json({ success: true, message: 'Proof of delivery submitted', data: await getProofOfDelivery(pool, id) });
+    } catch (error) {
+        console.error('Submit proof of delivery error:', error);
+        res.status(500).json({ success: false, message: 'Server error submitting proof of delivery' });
+    }
+});
+
+// @route   GET /api/bookings/:id/pod
+// @desc    Get the current proof of delivery and its file list
+// @access  Private (Shipper, Carrier, Assigned driver, Admin)
+router.get('/:id/pod', authMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const booking = await loadBooking(id);
+        if (!booking) {
+            return res.status(404).json({ success: false, message: 'Booking not found' });
+        }
+
+        if (!['shipper', 'carrier', 'driver', 'admin'].includes(await resolveBookingActor(pool, booking, req.user))) {
+            return res.status(403).json({ success: false, message: 'Unauthorized to view proof of delivery' });
+        }
+
+        const pod = await getProofOfDelivery(pool, id);
+        if (!pod) {
+            return res.status(404).json({ success: false, message: 'No proof of delivery submitted yet' });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...pod,
+                files: pod.files.map(file => ({ ...file, url: `/api/bookings/${id}/pod/files/${file.id}` }))
+            }
+        });
+    } catch (error) {
+        console.error('Fetch proof of delivery error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching proof of delivery' });
+    }
+});
+
+// @route   GET /api/bookings/:id/pod/files/:fileId
+// @desc    Download a signature or photo from the proof of delivery
+// @access  Private (Shipper, Carrier, Assigned driver, Admin)
+router.get('/:id/pod/files/:fileId', authMiddleware, async (req, res) => {
+    try {
+        const { id, fileId } = req.params;
+
+        const booking = await loadBooking(id);
+        if (!booking) {
+            return res.status(404).json({ success: false, message: 'Booking not found' });
+        }
+
+        if (!['shipper', 'carrier', 'driver', 'admin'].includes(await resolveBookingActor(pool, booking, req.user))) {
+            return res.status(403).json({ success: false, message: 'Unauthorized to view proof of delivery' });
+        }
+
+        const [files] = await pool.query(`
+            SELECT f.* FROM proof_of_delivery_files f
+            JOIN proof_of_delivery p ON f.pod_id = p.id
+            WHERE f.id = ? AND p.booking_id = ?
+        `, [fileId, id]);
+        if (files.length === 0) {
+            return res.status(404).json({ success: false, message: 'File not found' });
+        }
+
+        const file = files[0];
+        const content = await getStorage(file.storage_driver).read(file.storage_key);
+
+        res.set('Content-Type', file.content_type);
+        res.set('Content-Disposition', `attachment; filename="pod-${file.kind}-${file.id}.${file.storage_key.split('.').pop()}"`);
+        res.send(content);
+    } catch (error) {
+        console.error('Download proof of delivery file error:', error);
+        res.status(500).json({ success: false, message: 'Server error downloading file' });
+    }
+});
+
+// @route   POST /api/bookings/:id/pod/:action
+// @desc    Acknowledge or dispute the proof of delivery
+// @access  Private (Shipper who owns the booking, Admin)
+router.post('/:id/pod/:action(acknowledge|dispute)', authMiddleware, async (req, res) => {
+    try {
+        const { id, action } = req.params;
+        const note = req.body.note ? String(req.body.note).trim() : null;
+
+        const booking = await loadBooking(id);
+        if (!booking) {
+            return res.status(404).json({ success: false, message: 'Booking not found' });
+        }
+
+        if (!['shipper', 'admin'].includes(getBookingActor(booking, req.user))) {
+            return res.status(403).json({ success: false, message: 'Only the shipper can respond to the proof of delivery' });
+        }
+
+        if (action === 'dispute' && !note) {
+            return res.status(400).json({ success: false, message: 'Please explain why you are disputing the proof of delivery' });
+        }
+
+        const pod = await getProofOfDelivery(pool, id);
+        if (!pod) {
+            return res.status(404).json({ success: false, message: 'No proof of delivery submitted yet' });
+        }
+        if (pod.status !== 'submitted') {
+            return res.status(400).json({ success: false, message: `This proof of delivery has already been ${pod.status}` });
+        }
+
+        const status = action === 'acknowledge' ? 'acknowledged' : 'disputed';
+        await pool.query(
+            'UPDATE proof_of_delivery SET status = ?, response_note = ?, responded_by = ?, responded_at = NOW() WHERE id = ?',
+            [status, note, req.user.id, pod.id]
+        );
+
+        const outcome = action === 'acknowledge'
+            ? `The shipper acknowledged delivery of the ${booking.cargo_type} shipment to ${booking.delivery_city}, ${booking.delivery_state}`
+            : `The proof of delivery for the ${booking.cargo_type} shipment to ${booking.delivery_city}, ${booking.delivery_state} was disputed: ${note}`;
+        const title = action === 'acknowledge' ? 'Proof of Delivery Acknowledged' : 'Proof of Delivery Disputed';
+
+        if (booking.carrier_id) {
+            await notifyPodParties([booking.carrier_id], { title, message: outcome, link: '/dashboard/carrier?section=bookings', bookingId: id });
+        }
+        // Disputes need an admin to step in
+        if (action === 'dispute') {
+            const [admins] = await pool.query('SELECT id FROM users WHERE role = "admin" AND id != ?', [req.user.id]);
+            await notifyPodParties(admins.map(admin => admin.id), { title, message: outcome, link: '/dashboard/admin?section=bookings', bookingId: id });
+        }
+
+        res.json({ success: true, message: `Proof of delivery ${status}` });
+    } catch (error) {
+        console.error('Respond to proof of delivery error:', error);
+        res.status(500).json({ success: false, message: 'Server error updating proof of delivery' });
+    }
+});
+
+// @route   GET /api/bookings/:id/bol.pdf
+// @desc    Bill of lading PDF, generated on first request and again whenever the booking details change
+// @access  Private (Parties to the booking or Admin)
+router.get('/:id/bol.pdf', authMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const booking = await loadBooking(id);
+        if (!booking) {
+            return res.status(404).json({ success: false, message: 'Booking not found' });
+        }
+
+        if (!(await resolveBookingActor(pool, booking, req.user))) {
+            return res.status(403).json({ success: false, message: 'Unauthorized to view this booking' });
+        }
+
+        if (!BOL_STATUSES.includes(booking.status)) {
+            return res.status(400).json({ success: false, message: 'A bill of lading is available once the booking is booked' });
+        }
+
+        // Generate under a lock on the booking so concurrent first requests reuse one copy
+        // instead of each saving their own and deleting the other's
+        const connection = await pool.getConnection();
+        let data;
+        let content = null;
+        try {
+            await connection.beginTransaction();
+            await connection.query('SELECT id FROM bookings WHERE id = ? FOR UPDATE', [id]);
+
+            data = await loadBillOfLadingData(connection, booking);
+            const fingerprint = fingerprintBillOfLading(data);
+
+            const [generated] = await connection.query(`
+                SELECT * FROM booking_documents
+                WHERE booking_id = ? AND doc_type = 'bol' AND uploader_role = 'system'
+                ORDER BY created_at DESC
+            `, [id]);
+
+            if (generated.length > 0 && generated[0].source_fingerprint === fingerprint) {
+                content = await readDocument(generated[0]).catch(err => {
+                    console.error('Stored bill of lading read error:', err);
+                    return null;
+                });
+            }
+
+            if (!content) {
+                content = renderBillOfLading(data);
+                const saved = await saveDocument(connection, {
+                    bookingId: id,
+                    uploadedBy: null,
+                    uploaderRole: 'system',
+                    document: { doc_type: 'bol', file_name: `${data.bolNumber}.pdf`, description: 'Generated bill of lading' },
+                    file: { buffer: content, contentType: 'application/pdf', extension: 'pdf' },
+                    sourceFingerprint: fingerprint
+                });
+
+                // Only the latest generated copy is kept; uploaded BOLs are left alone
+                for (const outdated of generated.filter(document => document.id !== saved.id)) {
+                    await deleteDocument(connection, outdated);
+                }
+            }
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `inline; filename="${data.bolNumber}.pdf"`);
+        res.send(content);
+    } catch (error) {
+        console.error('Bill of lading error:', error);
+        res.status(500).json({ success: false, message: 'Server error generating bill of lading' });
+    }
+});
+
+// @route   GET /api/bookings/:id/permit-assessment
+// @desc    Evaluate which states require oversize/overweight permits for this load
+// @access  Private (Parties to the booking or Admin)
+router.get('/:id/permit-assessment', authMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const booking = await loadBooking(id);
+        if (!booking) {
+            return res.status(404).json({ success: false, message: 'Booking not found' });
+        }
+
+        if (!(await resolveBookingActor(pool, booking, req.user))) {
+            return res.status(403).json({ success: false, message: 'Unauthorized to view this booking' });
+        }
+
+        const stops = await getBookingStops(pool, id);
+        res.json({ success: true, data: assessBooking(booking, stops) });
+    } catch (error) {
+        console.error('Permit assessment error:', error);
+        res.status(500).json({ success: false, message: 'Server error assessing permits' });
+    }
+});
+
+// @route   GET /api/bookings/:id/distance
+// @desc    Estimated mileage of the route, leg by leg
+// @access  Private (Parties to the booking or Admin)
+router.get('/:id/distance', authMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const booking = await loadBooking(id);
+        if (!booking) {
+            return res.status(404).json({ success: false, message: 'Booking not found' });
+        }
+
+        if (!(await resolveBookingActor(pool, booking, req.user))) {
+            return res.status(403).json({ success: false, message: 'Unauthorized to view this booking' });
+        }
+
+        const stops = await getBookingStops(pool, id);
+        const distance = computeRouteDistance(stops);
+        if (!distance) {
+            return res.status(422).json({ success: false, message: 'Could not locate every stop on this route' });
+        }
+
+        res.json({ success: true, data: distance });
+    } catch (error) {
+        console.error('Booking distance error:', error);
+        res.status(500).json({ success: false, message: 'Server error computing distance' });
+    }
+});
+
+// @route   POST /api/bookings/:id/tracking
+// @desc    Post a GPS location ping while the load is in transit
+// @access  Private (Assigned driver or escort)
+router.post('/:id/tracking', authMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const booking = await loadBooking(id);
+        if (!booking) {
+            return res.status(404).json({ success: false, message: 'Booking not found' });
+        }
+
+        const role = await getTrackingRole(pool, booking, req.user);
+        if (!role) {
+            return res.status(403).json({ success: false, message: 'Only the assigned driver and escorts can report locations' });
+        }
+
+        // Booked loads report too, so leaving the pickup geofence can put them in transit
+        if (!['booked', 'in_transit'].includes(booking.status)) {
+            return res.status(400).json({ success: false, message: `Cannot report locations for a ${booking.status} booking` });
+        }
+
+        const { ping, error } = normalizePing(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const result = await recordPing(pool, { bookingId: id, userId: req.user.id, role, ping });
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        // Only the driver's position says where the load is; geofence failures never reject the ping
+        let events = [];
+        if (role === 'driver') {
+            events = await processPing(booking, req.user.id, ping).catch(err => {
+                console.error('Geofence processing error:', err);
+                return [];
+            });
+        }
+
+        res.status(201).json({ success: true, message: 'Location recorded', data: { id: result.id, events } });
+    } catch (error) {
+        console.error('Record location error:', error);
+        res.status(500).json({ success: false, message: 'Server error recording location' });
+    }
+});
+
+// @route   GET /api/bookings/:id/tracking
+// @desc    Latest position, breadcrumb trail and ETA to the next stop
+// @access  Private (Shipper, Carrier, Admin)
+router.get('/:id/tracking', authMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const booking = await loadBooking(id);
+        if (!booking) {
+            return res.status(404).json({ success: false, message: 'Booking not found' });
+        }
+
+        if (!['shipper', 'carrier', 'admin'].includes(getBookingActor(booking, req.user))) {
+            return res.status(403).json({ success: false, message: 'Unauthorized to track this booking' });
+        }
+
+        const stops = await getBookingStops(pool, id);
+        const tracking = await getTrackingSummary(pool, id, stops, req.query.limit);
+
+        res.json({ success: true, data: { status: booking.status, ...tracking } });
+    } catch (error) {
+        console.error('Fetch tracking error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching tracking' });
+    }
+});
+
 module.exports = router;
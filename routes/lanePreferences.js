@@ -0,0 +1,165 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authMiddleware } = require('../middleware/auth');
+const { v4: uuidv4 } = require('uuid');
+const { LANE_ALERT_MODES, parseList, normalizeLanePreference } = require('../services/laneAlerts');
+
+const PROVIDER_ROLES = ['carrier', 'escort'];
+
+const presentPreference = (preference) => ({
+    ...preference,
+    origin_states: parseList(preference.origin_states),
+    destination_states: parseList(preference.destination_states),
+    cargo_types: parseList(preference.cargo_types),
+    escort_only: Boolean(preference.escort_only),
+    active: Boolean(preference.active)
+});
+
+// @route   GET /api/lane-preferences
+// @desc    Get the logged-in provider's lane preferences and alert mode
+// @access  Private (Carrier, Escort)
+router.get('/', authMiddleware, async (req, res) => {
+    try {
+        if (!PROVIDER_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ success: false, message: 'Only carriers and escorts can set lane preferences' });
+        }
+
+        const [preferences] = await pool.query(
+            'SELECT * FROM lane_preferences WHERE user_id = ? ORDER BY created_at ASC',
+            [req.user.id]
+        );
+        const [users] = await pool.query('SELECT lane_alert_mode FROM users WHERE id = ?', [req.user.id]);
+
+        res.json({
+            success: true,
+            data: {
+                alertMode: (users[0] && users[0].lane_alert_mode) || 'instant',
+                preferences: preferences.map(presentPreference)
+            }
+        });
+    } catch (error) {
+        console.error('Fetch lane preferences error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching lane preferences' });
+    }
+});
+
+// @route   PATCH /api/lane-preferences/alert-mode
+// @desc    Choose instant alerts, a periodic digest, or no lane alerts
+// @access  Private (Carrier, Escort)
+router.patch('/alert-mode', authMiddleware, async (req, res) => {
+    try {
+        if (!PROVIDER_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ success: false, message: 'Only carriers and escorts can set lane preferences' });
+        }
+
+        const { alertMode } = req.body;
+        if (!LANE_ALERT_MODES.includes(alertMode)) {
+            return res.status(400).json({ success: false, message: `alertMode must be one of: ${LANE_ALERT_MODES.join(', ')}` });
+        }
+
+        await pool.query('UPDATE users SET lane_alert_mode = ? WHERE id = ?', [alertMode, req.user.id]);
+
+        res.json({ success: true, message: 'Lane alert mode updated', data: { alertMode } });
+    } catch (error) {
+        console.error('Update lane alert mode error:', error);
+        res.status(500).json({ success: false, message: 'Server error updating lane alert mode' });
+    }
+});
+
+// @route   POST /api/lane-preferences
+// @desc    Add a lane preference
+// @access  Private (Carrier, Escort)
+router.post('/', authMiddleware, async (req, res) => {
+    try {
+        if (!PROVIDER_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ success: false, message: 'Only carriers and escorts can set lane preferences' });
+        }
+
+        const { preference, error } = normalizeLanePreference(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const id = uuidv4();
+        await pool.query(`
+            INSERT INTO lane_preferences (
+                id, user_id, name, origin_states, destination_states, cargo_types,
+                max_length_ft, max_width_ft, max_height_ft, max_weight_lbs, escort_only, active
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            id, req.user.id, preference.name,
+            JSON.stringify(preference.origin_states), JSON.stringify(preference.destination_states), JSON.stringify(preference.cargo_types),
+            preference.max_length_ft, preference.max_width_ft, preference.max_height_ft, preference.max_weight_lbs,
+            preference.escort_only, preference.active
+        ]);
+
+        const [rows] = await pool.query('SELECT * FROM lane_preferences WHERE id = ?', [id]);
+
+        res.status(201).json({ success: true, message: 'Lane preference added', data: presentPreference(rows[0]) });
+    } catch (error) {
+        console.error('Create lane preference error:', error);
+        res.status(500).json({ success: false, message: 'Server error adding lane preference' });
+    }
+});
+
+// @route   PUT /api/lane-preferences/:id
+// @desc    Replace a lane preference
+// @access  Private (Owner)
+router.put('/:id', authMiddleware, async (req, res) => {
+    try {
+        const [existing] = await pool.query(
+            'SELECT id FROM lane_preferences WHERE id = ? AND user_id = ?',
+            [req.params.id, req.user.id]
+        );
+        if (existing.length === 0) {
+            return res.status(404).json({ success: false, message: 'Lane preference not found' });
+        }
+
+        const { preference, error } = normalizeLanePreference(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        await pool.query(`
+            UPDATE lane_preferences
+            SET name = ?, origin_states = ?, destination_states = ?, cargo_types = ?,
+                max_length_ft = ?, max_width_ft = ?, max_height_ft = ?, max_weight_lbs = ?, escort_only = ?, active = ?
+            WHERE id = ?
+        `, [
+            preference.name,
+            JSON.stringify(preference.origin_states), JSON.stringify(preference.destination_states), JSON.stringify(preference.cargo_types),
+            preference.max_length_ft, preference.max_width_ft, preference.max_height_ft, preference.max_weight_lbs,
+            preference.escort_only, preference.active, req.params.id
+        ]);
+
+        const [rows] = await pool.query('SELECT * FROM lane_preferences WHERE id = ?', [req.params.id]);
+
+        res.json({ success: true, message: 'Lane preference updated', data: presentPreference(rows[0]) });
+    } catch (error) {
+        console.error('Update lane preference error:', error);
+        res.status(500).json({ success: false, message: 'Server error updating lane preference' });
+    }
+});
+
+// @route   DELETE /api/lane-preferences/:id
+// @desc    Delete a lane preference
+// @access  Private (Owner)
+router.delete('/:id', authMiddleware, async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            'DELETE FROM lane_preferences WHERE id = ? AND user_id = ?',
+            [req.params.id, req.user.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Lane preference not found' });
+        }
+
+        res.json({ success: true, message: 'Lane preference deleted' });
+    } catch (error) {
+        console.error('Delete lane preference error:', error);
+        res.status(500).json({ success: false, message: 'Server error deleting lane preference' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { findBookingByToken, buildPublicTrackingView } = require('../services/trackingLinks');
+
+// @route   GET /api/public/tracking/:token
+// @desc    Redacted shipment progress for a shared tracking link
+// @access  Public (valid, unrevoked and unexpired token)
+router.get('/:token', async (req, res) => {
+    try {
+        const booking = await findBookingByToken(pool, req.params.token);
+        if (!booking) {
+            return res.status(404).json({ success: false, message: 'Tracking link not found or expired' });
+        }
+
+        const data = await buildPublicTrackingView(pool, booking);
+
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error('Public tracking error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching shipment tracking' });
+    }
+});
+
+module.exports = router;
@@ -2,8 +2,56 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
 const { authMiddleware } = require('../middleware/auth');
-const { v4: uuidv4 } = require('uuid');
 const { createNotification } = require('./notifications');
+const { attachStops } = require('../services/bookingStops');
+const {
+    getRequiredEscortPositions,
+    attachEscorts,
+    assignEscortFromQuote
+} = require('../services/bookingEscorts');
+const {
+    resolveValidUntil,
+    getAcceptError,
+    snapshotQuoteVersion,
+    attachQuoteVersions
+} = require('../services/quoteLifecycle');
+const {
+    getNegotiationSide,
+    validateNegotiationStep,
+    getEffectiveAmount,
+    recordNegotiationStep
+} = require('../services/quoteNegotiation');
+const { getMarketplaceMode } = require('../services/marketplaceMode');
+const { areBidsSealed, getBiddingError } = require('../services/tenders');
+const { submitQuote, notifyQuoteSubmitted } = require('../services/quoteSubmission');
+const { estimateRate, compareToEstimate } = require('../services/rateEstimator');
+const { normalizeLineItems, saveLineItems, attachLineItems } = require('../services/quoteLineItems');
+const {
+    acceptCarrierQuote,
+    notifyCarrierAssigned,
+    notifyEscortAssigned
+} = require('../services/quoteAcceptance');
+const {
+    getApplicableRule,
+    applyMarkup,
+    removeMarkup,
+    presentBookingForProvider,
+    presentQuoteForShipper
+} = require('../services/pricing');
+
+// Quotes the provider can still change: open ones, and ones put on hold by a booking edit
+const REVISABLE_STATUSES = ['pending', 'needs_review'];
+
+// Itemized quotes have their amount computed from the line items; otherwise the plain amount is used.
+// Returns { amount, lineItems } or { error }.
+const resolveQuoteAmount = ({ amount, line_items }) => {
+    if (line_items === undefined) {
+        return { amount, lineItems: null };
+    }
+    const { items, total, error } = normalizeLineItems(line_items);
+    if (error) return { error };
+    return { amount: total, lineItems: items };
+};
 
 // @route   GET /api/quotes/all-admin
 // @desc    Get all quotes (Admin Only)
@@ -26,8 +74,10 @@ router.get('/all-admin', authMiddleware, async (req, res) => {
             LEFT JOIN profiles p_p ON q.provider_id = p_p.user_id
             JOIN bookings b ON q.booking_id = b.id
             JOIN users u_s ON b.shipper_id = u_s.id
+            WHERE NOT (b.bid_type = 'sealed' AND b.status IN ('pending_quote', 'quoted'))
             ORDER BY q.created_at DESC
         `);
+        await attachQuoteVersions(pool, quotes);
 
         res.json({ success: true, data: quotes });
     } catch (error) {
@@ -51,9 +101,10 @@ router.get('/available', authMiddleware, async (req, res) => {
                 FROM bookings b
                 JOIN users u ON b.shipper_id = u.id
                 WHERE b.requires_escort = 1 
-                AND b.escort_id IS NULL 
+                AND (SELECT COUNT(*) FROM booking_escorts be WHERE be.booking_id = b.id AND be.status = 'assigned') < GREATEST(b.required_escort_count, 1)
                 AND b.status IN ('pending_quote', 'quoted', 'booked')
-                AND b.id NOT IN (SELECT booking_id FROM quotes WHERE provider_id = ?)
+                AND NOT (b.bid_type = 'sealed' AND b.bid_deadline <= NOW())
+                AND b.id NOT IN (SELECT booking_id FROM quotes WHERE provider_id = ? AND status NOT IN ('withdrawn', 'expired'))
                 ORDER BY b.created_at DESC
             `, [providerId]);
         } else {
@@ -63,14 +114,26 @@ router.get('/available', authMiddleware, async (req, res) => {
                 JOIN users u ON b.shipper_id = u.id
                 WHERE b.carrier_id IS NULL 
                 AND b.status IN ('pending_quote', 'quoted')
-                AND b.id NOT IN (SELECT booking_id FROM quotes WHERE provider_id = ?)
+                AND NOT (b.bid_type = 'sealed' AND b.bid_deadline <= NOW())
+                AND b.id NOT IN (SELECT booking_id FROM quotes WHERE provider_id = ? AND status NOT IN ('withdrawn', 'expired'))
                 ORDER BY b.created_at DESC
             `, [providerId]);
         }
 
+        await attachStops(pool, availableBookings);
+
+        // Escorts see which positions are still open so they can bid on one
+        if (role === 'escort') {
+            await attachEscorts(pool, availableBookings);
+            for (const booking of availableBookings) {
+                const filled = booking.escorts.map(e => e.position);
+                booking.open_escort_positions = getRequiredEscortPositions(booking).filter(p => !filled.includes(p));
+            }
+        }
+
         res.json({
             success: true,
-            data: availableBookings
+            data: availableBookings.map(booking => presentBookingForProvider(booking, req.user.role))
         });
     } catch (error) {
         console.error('Fetch available bookings error:', error);
@@ -93,10 +156,11 @@ router.get('/my-quotes', authMiddleware, async (req, res) => {
             WHERE q.provider_id = ?
             ORDER BY q.created_at DESC
         `, [providerId]);
+        await attachLineItems(pool, myQuotes, 'quote_id');
 
         res.json({
             success: true,
-            data: myQuotes
+            data: myQuotes.map(booking => presentBookingForProvider(booking, req.user.role))
         });
     } catch (error) {
         console.error('Fetch my quotes error:', error);
@@ -115,10 +179,11 @@ router.get('/won-jobs', authMiddleware, async (req, res) => {
         let wonJobs;
         if (role === 'escort') {
             [wonJobs] = await pool.query(`
-                SELECT b.*, u.full_name as shipper_name
+                SELECT b.*, u.full_name as shipper_name, be.position as escort_position, be.agreed_price as escort_agreed_price
                 FROM bookings b
                 JOIN users u ON b.shipper_id = u.id
-                WHERE b.escort_id = ?
+                JOIN booking_escorts be ON be.booking_id = b.id AND be.status = 'assigned'
+                WHERE be.escort_id = ?
                 ORDER BY b.updated_at DESC
             `, [providerId]);
         } else {
@@ -133,7 +198,7 @@ router.get('/won-jobs', authMiddleware, async (req, res) => {
 
         res.json({
             success: true,
-            data: wonJobs
+            data: wonJobs.map(booking => presentBookingForProvider(booking, req.user.role))
         });
     } catch (error) {
         console.error('Fetch won jobs error:', error);
@@ -149,7 +214,12 @@ router.post('/', authMiddleware, async (req, res) => {
     try {
         const providerId = req.user.id;
         const role = req.user.role;
-        const { booking_id, amount, driver_id, vehicle_id, notes } = req.body;
+        const { booking_id, driver_id, vehicle_id, notes } = req.body;
+
+        const { amount, lineItems, error: lineItemsError } = resolveQuoteAmount(req.body);
+        if (lineItemsError) {
+            return res.status(400).json({ success: false, message: lineItemsError });
+        }
 
         if (!booking_id || !amount) {
             return res.status(400).json({ success: false, message: 'Missing required fields' });
@@ -157,82 +227,32 @@ router.post('/', authMiddleware, async (req, res) => {
 
         await connection.beginTransaction();
 
-        // 1. Check if booking exists and is available
-        const [booking] = await connection.query('SELECT status, carrier_id, escort_id, requires_escort FROM bookings WHERE id = ?', [booking_id]);
-        if (booking.length === 0) {
-            await connection.rollback();
-            return res.status(404).json({ success: false, message: 'Booking not found' });
-        }
-
-        const b = booking[0];
-
-        if (role === 'escort') {
-            if (!booking_id || !amount || !vehicle_id || !notes) {
-                return res.status(400).json({ success: false, message: 'Missing required fields: Amount, Vehicle, and Notes are mandatory' });
-            }
-            if (b.requires_escort !== 1) {
-                await connection.rollback();
-                return res.status(400).json({ success: false, message: 'This booking does not require an escort' });
-            }
-            if (b.escort_id) {
-                await connection.rollback();
-                return res.status(400).json({ success: false, message: 'Escort already assigned to this booking' });
-            }
-        } else if (role === 'carrier') {
-            if (!booking_id || !amount || !driver_id || !vehicle_id || !notes) {
-                return res.status(400).json({ success: false, message: 'Missing required fields: Amount, Driver, Vehicle, and Notes are mandatory' });
-            }
-            if (b.carrier_id) {
-                await connection.rollback();
-                return res.status(400).json({ success: false, message: 'Carrier already assigned to this booking' });
-            }
-        } else {
-            await connection.rollback();
-            return res.status(403).json({ success: false, message: 'Only carriers and escorts can submit quotes' });
-        }
+        const result = await submitQuote(connection, {
+            providerId,
+            role,
+            bookingId: booking_id,
+            amount,
+            lineItems,
+            driverId: driver_id,
+            vehicleId: vehicle_id,
+            notes,
+            escortPosition: req.body.escort_position,
+            validity: req.body
+        });
 
-        // 2. Check if provider already quoted
-        const [existingQuote] = await connection.query('SELECT id FROM quotes WHERE booking_id = ? AND provider_id = ?', [booking_id, providerId]);
-        if (existingQuote.length > 0) {
+        if (result.error) {
             await connection.rollback();
-            return res.status(400).json({ success: false, message: 'You have already submitted a quote for this booking' });
-        }
-
-        // 3. Create quote
-        const quoteId = uuidv4();
-        await connection.query(`
-            INSERT INTO quotes (id, booking_id, provider_id, amount, driver_id, vehicle_id, notes, status)
-            VALUES (?, ?, ?, ?, ?, ?, ?, 'pending')
-        `, [quoteId, booking_id, providerId, amount, driver_id || null, vehicle_id || null, notes]);
-
-        // 4. Update booking status to 'quoted' if it was 'pending_quote'
-        if (b.status === 'pending_quote') {
-            await connection.query('UPDATE bookings SET status = "quoted" WHERE id = ?', [booking_id]);
+            return res.status(result.status).json({ success: false, message: result.error });
         }
 
         await connection.commit();
 
-        // Notify all admins about new quote
-        // Notify all admins about new quote
-        const [admins] = await pool.query('SELECT id FROM users WHERE role = "admin"');
-        const [bookingData] = await pool.query('SELECT cargo_type, pickup_city, pickup_state FROM bookings WHERE id = ?', [booking_id]);
-        const bookingInfo = bookingData[0];
-
-        for (const admin of admins) {
-            await createNotification({
-                userId: admin.id,
-                type: 'quote',
-                title: `New Quote from ${role.charAt(0).toUpperCase() + role.slice(1)}`,
-                message: `$${amount} quote received for ${bookingInfo.cargo_type} from ${bookingInfo.pickup_city}, ${bookingInfo.pickup_state}`,
-                link: '/dashboard/admin?section=quotes',
-                metadata: { quoteId, bookingId: booking_id, providerId }
-            });
-        }
+        await notifyQuoteSubmitted({ quoteId: result.quoteId, booking: result.booking, providerId, role, amount });
 
         res.status(201).json({
             success: true,
             message: 'Quote submitted successfully',
-            data: { id: quoteId }
+            data: { id: result.quoteId, amount, valid_until: result.validUntil }
         });
     } catch (error) {
         await connection.rollback();
@@ -252,7 +272,7 @@ router.get('/booking/:bookingId', authMiddleware, async (req, res) => {
         const userId = req.user.id;
 
         // Verify if user is the shipper of this booking or an admin
-        const [booking] = await pool.query('SELECT shipper_id FROM bookings WHERE id = ?', [bookingId]);
+        const [booking] = await pool.query('SELECT * FROM bookings WHERE id = ?', [bookingId]);
 
         if (booking.length === 0) {
             return res.status(404).json({ success: false, message: 'Booking not found' });
@@ -262,6 +282,16 @@ router.get('/booking/:bookingId', authMiddleware, async (req, res) => {
             return res.status(403).json({ success: false, message: 'Unauthorized to view these quotes' });
         }
 
+        // Sealed bids are only revealed once bidding closes
+        if (areBidsSealed(booking[0])) {
+            const [bids] = await pool.query('SELECT COUNT(*) as total FROM quotes WHERE booking_id = ? AND status = "pending"', [bookingId]);
+            return res.json({
+                success: true,
+                data: [],
+                sealed: { bidCount: bids[0].total, bidDeadline: booking[0].bid_deadline }
+            });
+        }
+
         const [quotes] = await pool.query(`
             SELECT q.*, u.full_name as carrier_name, u.role, p.company_name, d.name as driver_name, v.name as vehicle_name
             FROM quotes q
@@ -273,9 +303,35 @@ router.get('/booking/:bookingId', authMiddleware, async (req, res) => {
             ORDER BY q.amount ASC
         `, [bookingId]);
 
+        await attachLineItems(pool, quotes);
+
+        // Both sides price every quote with the same markup rule for this booking
+        const rule = await getApplicableRule(pool, booking[0]);
+        const markup = (value) => (value === null || value === undefined ? null : applyMarkup(value, rule));
+
+        let rateEstimate;
+        let data = quotes;
+        if (req.user.role === 'admin') {
+            await attachQuoteVersions(pool, quotes);
+
+            // Historical range for spotting outliers; carrier quotes are judged against the carrier share
+            rateEstimate = await estimateRate(pool, booking[0]);
+            for (const quote of quotes) {
+                quote.shipper_price = markup(getEffectiveAmount(quote));
+                quote.estimate_comparison = quote.role === 'carrier'
+                    ? compareToEstimate(getEffectiveAmount(quote), rateEstimate.carrier)
+                    : null;
+            }
+        } else {
+            data = quotes.map(quote => presentQuoteForShipper(quote, markup(quote.amount), markup(quote.negotiated_amount)));
+        }
+
         res.json({
             success: true,
-            data: quotes
+            data,
+            // Lets the shipper's dashboard know whether it may accept quotes itself
+            marketplaceMode: await getMarketplaceMode(pool, booking[0].shipper_id),
+            rateEstimate
         });
     } catch (error) {
         console.error('Fetch booking quotes error:', error);
@@ -285,7 +341,7 @@ router.get('/booking/:bookingId', authMiddleware, async (req, res) => {
 
 // @route   PUT /api/quotes/:id/accept
 // @desc    Accept a quote and link carrier/escort/driver to booking
-// @access  Private (Admin Only)
+// @access  Private (Admin, or the booking's Shipper in self-service mode)
 router.put('/:id/accept', authMiddleware, async (req, res) => {
     const connection = await pool.getConnection();
     try {
@@ -295,10 +351,9 @@ router.put('/:id/accept', authMiddleware, async (req, res) => {
 
         // 1. Get quote details with provider role
         const [quoteDetails] = await connection.query(`
-            SELECT q.*, u.role as provider_role, b.id as booking_id, b.requires_escort, b.carrier_id, b.escort_id
+            SELECT q.*, u.role as provider_role
             FROM quotes q
             JOIN users u ON q.provider_id = u.id
-            JOIN bookings b ON q.booking_id = b.id
             WHERE q.id = ?
         `, [quoteId]);
 
@@ -308,46 +363,58 @@ router.put('/:id/accept', authMiddleware, async (req, res) => {
         }
 
         const quote = quoteDetails[0];
+        const [bookingRows] = await connection.query('SELECT * FROM bookings WHERE id = ? FOR UPDATE', [quote.booking_id]);
+        const booking = bookingRows[0];
 
-        // 2. Authorization check - ONLY ADMINS can accept quotes
-        if (req.user.role !== 'admin') {
+        // 2. Authorization check - admins always, shippers only for their own bookings in self-service mode
+        const isAdmin = req.user.role === 'admin';
+        const isSelfServiceShipper = req.user.role === 'shipper'
+            && booking.shipper_id === req.user.id
+            && (await getMarketplaceMode(connection, booking.shipper_id)) === 'self_service';
+
+        if (!isAdmin && !isSelfServiceShipper) {
             await connection.rollback();
             return res.status(403).json({ success: false, message: 'Only administrators can accept and match quotes' });
         }
 
-        // 3. Update the accepted quote
-        await connection.query('UPDATE quotes SET status = "accepted" WHERE id = ?', [quoteId]);
+        const acceptError = getAcceptError(quote);
+        if (acceptError) {
+            await connection.rollback();
+            return res.status(400).json({ success: false, message: acceptError });
+        }
 
-        // 4. Update the booking with provider data
+        // 3. Update the booking with provider data
+        let assignment;
         if (quote.provider_role === 'escort') {
-            await connection.query(`
-                UPDATE bookings 
-                SET escort_id = ?
-                WHERE id = ?
-            `, [quote.provider_id, quote.booking_id]);
-
-            // Note: We might want to store escort_agreed_price if we had the field
+            assignment = await assignEscortFromQuote(connection, booking, quote);
         } else {
-            await connection.query(`
-                UPDATE bookings 
-                SET carrier_id = ?, 
-                    assigned_driver_id = ?, 
-                    agreed_price = ?, 
-                    status = 'booked' 
-                WHERE id = ?
-            `, [quote.provider_id, quote.driver_id, quote.amount, quote.booking_id]);
-
-            // Reject other carrier quotes
-            await connection.query(`
-                UPDATE quotes q
-                JOIN users u ON q.provider_id = u.id
-                SET q.status = 'rejected'
-                WHERE q.booking_id = ? AND q.id != ? AND u.role = 'carrier'
-            `, [quote.booking_id, quoteId]);
+            assignment = await acceptCarrierQuote(connection, {
+                booking,
+                quote,
+                actorId: req.user.id,
+                actorRole: isAdmin ? 'admin' : 'shipper'
+            });
+        }
+
+        if (assignment.error) {
+            await connection.rollback();
+            return res.status(400).json({ success: false, message: assignment.error });
         }
 
         await connection.commit();
 
+        // 4. Notify the parties
+        if (quote.provider_role === 'escort') {
+            await notifyEscortAssigned({ booking, quote, position: assignment.position });
+        } else {
+            await notifyCarrierAssigned({
+                booking,
+                quote,
+                rejectedProviderIds: assignment.rejectedProviderIds,
+                acceptedBy: isAdmin ? 'admin' : 'shipper'
+            });
+        }
+
         res.json({
             success: true,
             message: `Quote accepted successfully. The ${quote.provider_role} has been assigned.`
@@ -361,4 +428,451 @@ router.put('/:id/accept', authMiddleware, async (req, res) => {
     }
 });
 
+// @route   PUT /api/quotes/:id
+// @desc    Revise a pending quote, or one awaiting review after a booking edit (previous terms are kept as a version)
+// @access  Private (Provider who submitted the quote)
+router.put('/:id', authMiddleware, async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        const quoteId = req.params.id;
+        const { driver_id, vehicle_id, notes } = req.body;
+
+        const { amount, lineItems, error: lineItemsError } = resolveQuoteAmount(req.body);
+        if (lineItemsError) {
+            return res.status(400).json({ success: false, message: lineItemsError });
+        }
+
+        await connection.beginTransaction();
+
+        const [quoteRows] = await connection.query(`
+            SELECT q.*, b.cargo_type, b.pickup_city, b.pickup_state, b.status as booking_status, b.bid_type, b.bid_deadline,
+                   b.revision as current_booking_revision
+            FROM quotes q
+            JOIN bookings b ON q.booking_id = b.id
+            WHERE q.id = ?
+            FOR UPDATE
+        `, [quoteId]);
+
+        if (quoteRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ success: false, message: 'Quote not found' });
+        }
+
+        const quote = quoteRows[0];
+
+        if (quote.provider_id !== req.user.id) {
+            await connection.rollback();
+            return res.status(403).json({ success: false, message: 'Unauthorized to revise this quote' });
+        }
+
+        if (!REVISABLE_STATUSES.includes(quote.status)) {
+            await connection.rollback();
+            return res.status(400).json({ success: false, message: `Cannot revise a ${quote.status} quote` });
+        }
+
+        const tender = { status: quote.booking_status, bid_type: quote.bid_type, bid_deadline: quote.bid_deadline };
+        const biddingError = getBiddingError(tender);
+        if (biddingError) {
+            await connection.rollback();
+            return res.status(400).json({ success: false, message: biddingError });
+        }
+
+        const { validUntil, error: validityError } = resolveValidUntil(req.body, quote.bid_type === 'sealed' ? quote.bid_deadline : null);
+        if (validityError) {
+            await connection.rollback();
+            return res.status(400).json({ success: false, message: validityError });
+        }
+
+        await snapshotQuoteVersion(connection, quote, req.user.id);
+
+        const newVersion = (quote.version || 1) + 1;
+        const newAmount = amount !== undefined ? amount : quote.amount;
+        await connection.query(`
+            UPDATE quotes
+            SET amount = ?, driver_id = ?, vehicle_id = ?, notes = ?, valid_until = ?, version = ?,
+                negotiation_status = 'none', negotiated_amount = NULL, status = 'pending', booking_revision = ?
+            WHERE id = ?
+        `, [
+            newAmount,
+            driver_id !== undefined ? driver_id : quote.driver_id,
+            vehicle_id !== undefined ? vehicle_id : quote.vehicle_id,
+            notes !== undefined ? notes : quote.notes,
+            validUntil,
+            newVersion,
+            quote.current_booking_revision || 1,
+            quoteId
+        ]);
+
+        if (lineItems) {
+            await saveLineItems(connection, quoteId, lineItems);
+        } else if (amount !== undefined) {
+            // A plain amount replaces any earlier itemization
+            await connection.query('DELETE FROM quote_line_items WHERE quote_id = ?', [quoteId]);
+        }
+
+        await connection.commit();
+
+        const [admins] = await pool.query('SELECT id FROM users WHERE role = "admin"');
+        for (const admin of admins) {
+            await createNotification({
+                userId: admin.id,
+                type: 'quote',
+                title: 'Quote Revised',
+                message: areBidsSealed(tender)
+                    ? `Sealed bid for ${quote.cargo_type} from ${quote.pickup_city}, ${quote.pickup_state} was revised`
+                    : `Quote for ${quote.cargo_type} from ${quote.pickup_city}, ${quote.pickup_state} revised from $${quote.amount} to $${newAmount}`,
+                link: '/dashboard/admin?section=quotes',
+                metadata: { quoteId, bookingId: quote.booking_id, version: newVersion }
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Quote revised successfully',
+            data: { id: quoteId, version: newVersion, valid_until: validUntil }
+        });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Revise quote error:', error);
+        res.status(500).json({ success: false, message: 'Server error revising quote' });
+    } finally {
+        connection.release();
+    }
+});
+
+// @route   PUT /api/quotes/:id/reconfirm
+// @desc    Stand by a quote unchanged after the booking was edited
+// @access  Private (Provider who submitted the quote)
+router.put('/:id/reconfirm', authMiddleware, async (req, res) => {
+    try {
+        const quoteId = req.params.id;
+
+        const [quoteRows] = await pool.query(`
+            SELECT q.*, b.cargo_type, b.pickup_city, b.pickup_state, b.status as booking_status, b.bid_type, b.bid_deadline,
+                   b.revision as current_booking_revision
+            FROM quotes q
+            JOIN bookings b ON q.booking_id = b.id
+            WHERE q.id = ?
+        `, [quoteId]);
+
+        if (quoteRows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Quote not found' });
+        }
+
+        const quote = quoteRows[0];
+
+        if (quote.provider_id !== req.user.id) {
+            return res.status(403).json({ success: false, message: 'Unauthorized to reconfirm this quote' });
+        }
+
+        if (quote.status !== 'needs_review') {
+            return res.status(400).json({ success: false, message: `Only quotes awaiting review can be reconfirmed; this quote is ${quote.status}` });
+        }
+
+        const tender = { status: quote.booking_status, bid_type: quote.bid_type, bid_deadline: quote.bid_deadline };
+        const biddingError = getBiddingError(tender);
+        if (biddingError) {
+            return res.status(400).json({ success: false, message: biddingError });
+        }
+
+        // Keep the original expiry unless the provider sets a new one or it ran out while on hold
+        let validUntil = quote.valid_until;
+        const hasNewValidity = req.body.valid_until !== undefined || req.body.valid_for_hours !== undefined;
+        if (hasNewValidity || (validUntil && new Date(validUntil) <= new Date())) {
+            const resolved = resolveValidUntil(req.body, quote.bid_type === 'sealed' ? quote.bid_deadline : null);
+            if (resolved.error) {
+                return res.status(400).json({ success: false, message: resolved.error });
+            }
+            validUntil = resolved.validUntil;
+        }
+
+        // Guard against the booking being edited again between the read and the update
+        const [result] = await pool.query(
+            'UPDATE quotes q JOIN bookings b ON q.booking_id = b.id SET q.status = "pending", q.valid_until = ?, q.booking_revision = b.revision ' +
+            'WHERE q.id = ? AND q.status = "needs_review" AND b.revision = ?',
+            [validUntil, quoteId, quote.current_booking_revision]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(409).json({ success: false, message: 'The booking or quote changed while reconfirming; please review it again' });
+        }
+
+        const [admins] = await pool.query('SELECT id FROM users WHERE role = "admin"');
+        for (const admin of admins) {
+            await createNotification({
+                userId: admin.id,
+                type: 'quote',
+                title: 'Quote Reconfirmed',
+                message: `${areBidsSealed(tender) ? 'Sealed bid' : `$${quote.amount} quote`} for ${quote.cargo_type} from ${quote.pickup_city}, ${quote.pickup_state} was reconfirmed after the booking changed`,
+                link: '/dashboard/admin?section=quotes',
+                metadata: { quoteId, bookingId: quote.booking_id, revision: quote.current_booking_revision }
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Quote reconfirmed',
+            data: { id: quoteId, booking_revision: quote.current_booking_revision, valid_until: validUntil }
+        });
+    } catch (error) {
+        console.error('Reconfirm quote error:', error);
+        res.status(500).json({ success: false, message: 'Server error reconfirming quote' });
+    }
+});
+
+// @route   PUT /api/quotes/:id/withdraw
+// @desc    Withdraw a pending quote before it is accepted
+// @access  Private (Provider who submitted the quote)
+router.put('/:id/withdraw', authMiddleware, async (req, res) => {
+    try {
+        const quoteId = req.params.id;
+
+        const [quoteRows] = await pool.query(`
+            SELECT q.*, b.cargo_type, b.pickup_city, b.pickup_state, b.status as booking_status, b.bid_type, b.bid_deadline
+            FROM quotes q
+            JOIN bookings b ON q.booking_id = b.id
+            WHERE q.id = ?
+        `, [quoteId]);
+
+        if (quoteRows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Quote not found' });
+        }
+
+        const quote = quoteRows[0];
+
+        if (quote.provider_id !== req.user.id) {
+            return res.status(403).json({ success: false, message: 'Unauthorized to withdraw this quote' });
+        }
+
+        if (!REVISABLE_STATUSES.includes(quote.status)) {
+            return res.status(400).json({ success: false, message: `Cannot withdraw a ${quote.status} quote` });
+        }
+
+        // Sealed bids are binding once bidding closes
+        const tender = { status: quote.booking_status, bid_type: quote.bid_type, bid_deadline: quote.bid_deadline };
+        const biddingError = getBiddingError(tender);
+        if (biddingError) {
+            return res.status(400).json({ success: false, message: biddingError });
+        }
+
+        // Guard against the quote being accepted between the read and the update
+        const [result] = await pool.query(
+            'UPDATE quotes SET status = "withdrawn", withdrawn_at = NOW() WHERE id = ? AND status IN (?)',
+            [quoteId, REVISABLE_STATUSES]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(409).json({ success: false, message: 'Quote is no longer open' });
+        }
+
+        const [admins] = await pool.query('SELECT id FROM users WHERE role = "admin"');
+        for (const admin of admins) {
+            await createNotification({
+                userId: admin.id,
+                type: 'quote',
+                title: 'Quote Withdrawn',
+                message: `${areBidsSealed(tender) ? 'Sealed bid' : `$${quote.amount} quote`} for ${quote.cargo_type} from ${quote.pickup_city}, ${quote.pickup_state} was withdrawn`,
+                link: '/dashboard/admin?section=quotes',
+                metadata: { quoteId, bookingId: quote.booking_id }
+            });
+        }
+
+        res.json({ success: true, message: 'Quote withdrawn successfully' });
+    } catch (error) {
+        console.error('Withdraw quote error:', error);
+        res.status(500).json({ success: false, message: 'Server error withdrawing quote' });
+    }
+});
+
+// Load a quote with the booking fields needed for negotiation and notifications (optionally locking it)
+const loadQuoteForNegotiation = async (db, quoteId, forUpdate = false) => {
+    const [rows] = await db.query(`
+        SELECT q.*, u.role as provider_role, b.shipper_id, b.cargo_type, b.pickup_city, b.pickup_state, b.delivery_state,
+               b.status as booking_status, b.bid_type
+        FROM quotes q
+        JOIN users u ON q.provider_id = u.id
+        JOIN bookings b ON q.booking_id = b.id
+        WHERE q.id = ?
+        ${forUpdate ? 'FOR UPDATE' : ''}
+    `, [quoteId]);
+    return rows[0] || null;
+};
+
+// @route   GET /api/quotes/:id/negotiation
+// @desc    Get the counter-offer thread for a quote
+// @access  Private (Quoting provider, Admin, or Shipper in self-service mode)
+router.get('/:id/negotiation', authMiddleware, async (req, res) => {
+    try {
+        const quote = await loadQuoteForNegotiation(pool, req.params.id);
+        if (!quote) {
+            return res.status(404).json({ success: false, message: 'Quote not found' });
+        }
+
+        const mode = await getMarketplaceMode(pool, quote.shipper_id);
+        const side = getNegotiationSide(req.user, quote, mode);
+        if (!side) {
+            return res.status(403).json({ success: false, message: 'Unauthorized to view this negotiation' });
+        }
+
+        // Only the bidder may see a sealed bid before bidding closes
+        if (side !== 'provider' && areBidsSealed({ status: quote.booking_status, bid_type: quote.bid_type })) {
+            return res.status(403).json({ success: false, message: 'Bids on this tender stay sealed until bidding closes' });
+        }
+
+        const [thread] = await pool.query(`
+            SELECT n.id, n.sender_side, n.action, n.amount, n.note, n.created_at, u.full_name as sender_name
+            FROM quote_negotiations n
+            LEFT JOIN users u ON n.sender_id = u.id
+            WHERE n.quote_id = ?
+            ORDER BY n.created_at ASC
+        `, [quote.id]);
+
+        // Amounts are stored in provider terms; shippers see them at the price they would pay,
+        // and not the name of whoever replied for the provider
+        let present = (value) => value;
+        let presentStep = (step) => ({ ...step, amount: present(step.amount) });
+        if (req.user.role === 'shipper') {
+            const rule = await getApplicableRule(pool, quote);
+            present = (value) => (value === null || value === undefined ? null : applyMarkup(value, rule));
+            presentStep = (step) => ({
+                ...step,
+                amount: present(step.amount),
+                sender_name: step.sender_side === 'provider' ? null : step.sender_name
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                quoteId: quote.id,
+                originalAmount: present(quote.amount),
+                negotiationStatus: quote.negotiation_status,
+                negotiatedAmount: present(quote.negotiated_amount),
+                thread: thread.map(presentStep)
+            }
+        });
+    } catch (error) {
+        console.error('Fetch negotiation error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching negotiation' });
+    }
+});
+
+// @route   POST /api/quotes/:id/negotiation
+// @desc    Counter, accept or decline the latest offer on a quote
+// @access  Private (Quoting provider, Admin, or Shipper in self-service mode)
+router.post('/:id/negotiation', authMiddleware, async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        const { action, amount, note } = req.body;
+
+        if (!['counter', 'accept', 'decline'].includes(action)) {
+            return res.status(400).json({ success: false, message: 'Action must be counter, accept or decline' });
+        }
+
+        await connection.beginTransaction();
+
+        const quote = await loadQuoteForNegotiation(connection, req.params.id, true);
+        if (!quote) {
+            await connection.rollback();
+            return res.status(404).json({ success: false, message: 'Quote not found' });
+        }
+
+        const mode = await getMarketplaceMode(connection, quote.shipper_id);
+        const side = getNegotiationSide(req.user, quote, mode);
+        if (!side) {
+            await connection.rollback();
+            return res.status(403).json({ success: false, message: 'Unauthorized to negotiate this quote' });
+        }
+
+        // Countering a sealed bid would reveal it before bidding closes
+        if (areBidsSealed({ status: quote.booking_status, bid_type: quote.bid_type })) {
+            await connection.rollback();
+            return res.status(400).json({ success: false, message: 'Sealed bids cannot be negotiated until bidding closes' });
+        }
+
+        // Shippers counter with the price they would pay; the quote stores the provider's side of it
+        const isShipper = req.user.role === 'shipper';
+        const rule = isShipper ? await getApplicableRule(connection, quote) : null;
+        const counterAmount = isShipper && !isNaN(parseFloat(amount)) ? removeMarkup(amount, rule) : amount;
+
+        const stepError = validateNegotiationStep(quote, side, action, counterAmount);
+        if (stepError) {
+            await connection.rollback();
+            return res.status(400).json({ success: false, message: stepError });
+        }
+
+        const result = await recordNegotiationStep(connection, {
+            quote,
+            side,
+            senderId: req.user.id,
+            action,
+            amount: counterAmount,
+            note
+        });
+
+        await connection.commit();
+
+        // Let the other side know it is their move (or that the negotiation ended)
+        const describe = (value) => (action === 'counter'
+            ? `Counter offer of $${value}`
+            : action === 'accept' ? `Agreed at $${value}` : 'Counter offer declined');
+        const details = ` on the ${quote.cargo_type} quote from ${quote.pickup_city}, ${quote.pickup_state}${note ? `: ${note}` : ''}`;
+        const summary = describe(result.negotiatedAmount);
+        const message = `${summary}${details}`;
+
+        // The shipper is only ever told their own price, never the provider's
+        let shipperAmount = null;
+        if (mode === 'self_service' && result.negotiatedAmount !== null) {
+            shipperAmount = applyMarkup(result.negotiatedAmount, isShipper ? rule : await getApplicableRule(pool, quote));
+        }
+        const metadata = { quoteId: quote.id, bookingId: quote.booking_id, action };
+
+        if (side === 'platform') {
+            await createNotification({
+                userId: quote.provider_id,
+                type: 'quote',
+                title: 'Quote Negotiation Update',
+                message,
+                link: `/dashboard/${quote.provider_role}?section=quotes`,
+                metadata
+            });
+        } else if (mode === 'self_service') {
+            await createNotification({
+                userId: quote.shipper_id,
+                type: 'quote',
+                title: 'Quote Negotiation Update',
+                message: `${describe(shipperAmount)}${details}`,
+                link: '/dashboard/shipper?section=bookings',
+                metadata
+            });
+        } else {
+            const [admins] = await pool.query('SELECT id FROM users WHERE role = "admin"');
+            for (const admin of admins) {
+                await createNotification({
+                    userId: admin.id,
+                    type: 'quote',
+                    title: 'Quote Negotiation Update',
+                    message,
+                    link: '/dashboard/admin?section=quotes',
+                    metadata
+                });
+            }
+        }
+
+        if (isShipper) {
+            return res.json({
+                success: true,
+                message: describe(shipperAmount),
+                data: { ...result, negotiatedAmount: shipperAmount }
+            });
+        }
+
+        res.json({ success: true, message: summary, data: result });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Quote negotiation error:', error);
+        res.status(500).json({ success: false, message: 'Server error updating negotiation' });
+    } finally {
+        connection.release();
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,162 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authMiddleware } = require('../middleware/auth');
+const { v4: uuidv4 } = require('uuid');
+const { parseJson, normalizeRateCard, submitDraft } = require('../services/rateCards');
+
+const presentRateCard = (card) => ({
+    ...card,
+    state_bands: parseJson(card.state_bands, []),
+    surcharges: parseJson(card.surcharges, []),
+    auto_submit: Boolean(card.auto_submit),
+    active: Boolean(card.active)
+});
+
+// @route   GET /api/rate-cards/mine
+// @desc    Get the logged-in carrier's rate card
+// @access  Private (Carrier only)
+router.get('/mine', authMiddleware, async (req, res) => {
+    try {
+        if (req.user.role !== 'carrier') {
+            return res.status(403).json({ success: false, message: 'Only carriers have rate cards' });
+        }
+
+        const [cards] = await pool.query('SELECT * FROM rate_cards WHERE carrier_id = ?', [req.user.id]);
+
+        res.json({ success: true, data: cards.length > 0 ? presentRateCard(cards[0]) : null });
+    } catch (error) {
+        console.error('Fetch rate card error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching rate card' });
+    }
+});
+
+// @route   PUT /api/rate-cards/mine
+// @desc    Publish or replace the logged-in carrier's rate card
+// @access  Private (Carrier only)
+router.put('/mine', authMiddleware, async (req, res) => {
+    try {
+        if (req.user.role !== 'carrier') {
+            return res.status(403).json({ success: false, message: 'Only carriers have rate cards' });
+        }
+
+        const { card, error } = normalizeRateCard(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        if (card.default_driver_id) {
+            const [drivers] = await pool.query('SELECT id FROM drivers WHERE id = ? AND employer_id = ?', [card.default_driver_id, req.user.id]);
+            if (drivers.length === 0) {
+                return res.status(400).json({ success: false, message: 'Default driver not found in your fleet' });
+            }
+        }
+        if (card.default_vehicle_id) {
+            const [vehicles] = await pool.query('SELECT id FROM vehicles WHERE id = ? AND owner_id = ?', [card.default_vehicle_id, req.user.id]);
+            if (vehicles.length === 0) {
+                return res.status(400).json({ success: false, message: 'Default vehicle not found in your fleet' });
+            }
+        }
+
+        await pool.query(`
+            INSERT INTO rate_cards (
+                id, carrier_id, base_fee, default_per_mile, state_bands, surcharges, escort_addon,
+                fuel_surcharge_percent, default_driver_id, default_vehicle_id, auto_submit, active
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                base_fee = VALUES(base_fee), default_per_mile = VALUES(default_per_mile),
+                state_bands = VALUES(state_bands), surcharges = VALUES(surcharges),
+                escort_addon = VALUES(escort_addon), fuel_surcharge_percent = VALUES(fuel_surcharge_percent),
+                default_driver_id = VALUES(default_driver_id), default_vehicle_id = VALUES(default_vehicle_id),
+                auto_submit = VALUES(auto_submit), active = VALUES(active)
+        `, [
+            uuidv4(), req.user.id, card.base_fee, card.default_per_mile,
+            JSON.stringify(card.state_bands), JSON.stringify(card.surcharges), card.escort_addon,
+            card.fuel_surcharge_percent, card.default_driver_id, card.default_vehicle_id, card.auto_submit, card.active
+        ]);
+
+        const [cards] = await pool.query('SELECT * FROM rate_cards WHERE carrier_id = ?', [req.user.id]);
+
+        res.json({ success: true, message: 'Rate card saved', data: presentRateCard(cards[0]) });
+    } catch (error) {
+        console.error('Save rate card error:', error);
+        res.status(500).json({ success: false, message: 'Server error saving rate card' });
+    }
+});
+
+// @route   GET /api/rate-cards/drafts
+// @desc    Get draft quotes generated from the carrier's rate card for bookings still open
+// @access  Private (Carrier only)
+router.get('/drafts', authMiddleware, async (req, res) => {
+    try {
+        if (req.user.role !== 'carrier') {
+            return res.status(403).json({ success: false, message: 'Only carriers have rate cards' });
+        }
+
+        const [drafts] = await pool.query(`
+            SELECT d.*, b.cargo_type, b.pickup_city, b.pickup_state, b.delivery_city, b.delivery_state,
+                   b.shipment_date, b.bid_type, b.bid_deadline
+            FROM quote_drafts d
+            JOIN bookings b ON d.booking_id = b.id
+            WHERE d.carrier_id = ? AND d.status = 'draft'
+            AND b.status IN ('pending_quote', 'quoted') AND b.carrier_id IS NULL
+            ORDER BY d.created_at DESC
+        `, [req.user.id]);
+
+        res.json({
+            success: true,
+            data: drafts.map(draft => ({ ...draft, line_items: parseJson(draft.line_items, []) }))
+        });
+    } catch (error) {
+        console.error('Fetch quote drafts error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching draft quotes' });
+    }
+});
+
+// @route   POST /api/rate-cards/drafts/:id/confirm
+// @desc    Submit a draft quote as-is
+// @access  Private (Carrier who owns the draft)
+router.post('/drafts/:id/confirm', authMiddleware, async (req, res) => {
+    try {
+        const [drafts] = await pool.query('SELECT * FROM quote_drafts WHERE id = ? AND carrier_id = ?', [req.params.id, req.user.id]);
+        if (drafts.length === 0) {
+            return res.status(404).json({ success: false, message: 'Draft quote not found' });
+        }
+
+        const result = await submitDraft(drafts[0]);
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Quote submitted successfully',
+            data: { id: result.quoteId, amount: drafts[0].amount }
+        });
+    } catch (error) {
+        console.error('Confirm draft quote error:', error);
+        res.status(500).json({ success: false, message: 'Server error submitting draft quote' });
+    }
+});
+
+// @route   POST /api/rate-cards/drafts/:id/discard
+// @desc    Dismiss a draft quote
+// @access  Private (Carrier who owns the draft)
+router.post('/drafts/:id/discard', authMiddleware, async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            'UPDATE quote_drafts SET status = "discarded" WHERE id = ? AND carrier_id = ? AND status = "draft"',
+            [req.params.id, req.user.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Draft quote not found' });
+        }
+
+        res.json({ success: true, message: 'Draft quote discarded' });
+    } catch (error) {
+        console.error('Discard draft quote error:', error);
+        res.status(500).json({ success: false, message: 'Server error discarding draft quote' });
+    }
+});
+
+module.exports = router;
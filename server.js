@@ -2,6 +2,12 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const { testConnection } = require('./config/database');
+const { startQuoteExpiryJob } = require('./jobs/quoteExpiry');
+const { startAutoMatchJob } = require('./jobs/autoMatch');
+const { startLaneDigestJob } = require('./jobs/laneDigest');
+const { startTenderCloseJob } = require('./jobs/tenderClose');
+const { startRateCardQuoteJob } = require('./jobs/rateCardQuotes');
+const { startRecurringBookingJob } = require('./jobs/recurringBookings');
 
 // Load environment variables
 dotenv.config();
@@ -10,10 +16,15 @@ const app = express();
 
 // Middleware
 app.use(cors());
+// Proof-of-delivery bundles and documents carry base64 files, so they get a larger body limit than the rest of the API
+app.use('/api/bookings/:id/pod', express.json({ limit: '80mb' }));
+app.use('/api/bookings/:id/documents', express.json({ limit: '15mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use((req, res, next) => {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
+    // Public tracking tokens are working links, so they never reach the logs
+    const url = req.url.replace(/^(\/api\/public\/tracking\/)[^/?#]+/, '$1[redacted]');
+    console.log(`${new Date().toISOString()} - ${req.method} ${url}`);
     next();
 });
 
@@ -35,6 +46,7 @@ app.get('/health', (req, res) => {
 // Import routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/bookings/:id/documents', require('./routes/bookingDocuments'));
 app.use('/api/bookings', require('./routes/bookings'));
 app.use('/api/drivers', require('./routes/drivers'));
 app.use('/api/quotes', require('./routes/quotes'));
@@ -43,6 +55,10 @@ app.use('/api/messages', require('./routes/messages'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/reviews', require('./routes/reviews'));
 app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/lane-preferences', require('./routes/lanePreferences'));
+app.use('/api/rate-cards', require('./routes/rateCards'));
+app.use('/api/booking-templates', require('./routes/bookingTemplates'));
+app.use('/api/public/tracking', require('./routes/publicTracking'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -74,6 +90,14 @@ const startServer = async () => {
             console.log(`🚀 Server running on port ${PORT}`);
             console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
         });
+
+        // Background jobs
+        startQuoteExpiryJob();
+        startAutoMatchJob();
+        startLaneDigestJob();
+        startTenderCloseJob();
+        startRateCardQuoteJob();
+        startRecurringBookingJob();
     } catch (error) {
         console.error('Failed to start server:', error);
         process.exit(1);
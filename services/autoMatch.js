@@ -0,0 +1,159 @@
+const { pool } = require('../config/database');
+const { createNotification } = require('../routes/notifications');
+const { getSetting } = require('./settings');
+const { getMarketplaceMode } = require('./marketplaceMode');
+const { rankQuotesForBooking } = require('./quoteRanking');
+const { acceptCarrierQuote, notifyCarrierAssigned, notifyEscortAssigned } = require('./quoteAcceptance');
+const { assignEscortFromQuote } = require('./bookingEscorts');
+
+const AUTO_MATCH_ENABLED_SETTING = 'auto_match_enabled';
+const BIDDING_WINDOW_SETTING = 'bidding_window_hours';
+
+const DEFAULT_BIDDING_WINDOW_HOURS = parseFloat(process.env.BIDDING_WINDOW_HOURS) || 24;
+
+// Admin settings win over the environment defaults
+const getAutoMatchSettings = async (db) => {
+    const enabled = await getSetting(db, AUTO_MATCH_ENABLED_SETTING, process.env.AUTO_MATCH_ENABLED || 'false');
+    const windowHours = parseFloat(await getSetting(db, BIDDING_WINDOW_SETTING));
+    return {
+        enabled: enabled === 'true',
+        biddingWindowHours: windowHours > 0 ? windowHours : DEFAULT_BIDDING_WINDOW_HOURS
+    };
+};
+
+// Bookings whose bidding window has closed without a carrier being picked
+const getBookingsDueForMatch = async (db, biddingWindowHours) => {
+    const [bookings] = await db.query(`
+        SELECT * FROM bookings
+        WHERE status IN ('pending_quote', 'quoted') AND carrier_id IS NULL AND bid_type = 'open'
+        AND created_at <= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+        ORDER BY created_at ASC
+    `, [Math.round(biddingWindowHours * 60)]);
+    return bookings;
+};
+
+// Assign the top-ranked carrier and the top-ranked escort for each open position
+// ('lowest_price' picks the cheapest qualified bids instead, as sealed tenders award).
+// Returns null when no carrier quote qualifies; otherwise the assignments to notify once committed.
+const autoMatchBooking = async (bookingId, { strategy = 'best_score', note } = {}) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [rows] = await connection.query('SELECT * FROM bookings WHERE id = ? FOR UPDATE', [bookingId]);
+        const booking = rows[0];
+        if (!booking || booking.carrier_id || !['pending_quote', 'quoted', 'evaluation'].includes(booking.status)) {
+            await connection.rollback();
+            return null;
+        }
+
+        const ranking = await rankQuotesForBooking(connection, booking);
+        const pick = (entries) => {
+            const qualified = entries.filter(entry => !entry.disqualified);
+            if (strategy === 'lowest_price') qualified.sort((a, b) => a.amount - b.amount);
+            return qualified[0];
+        };
+
+        const topCarrier = pick(ranking.carriers);
+        if (!topCarrier) {
+            await connection.rollback();
+            return null;
+        }
+
+        const [carrierQuotes] = await connection.query('SELECT * FROM quotes WHERE id = ?', [topCarrier.quote_id]);
+        const carrierAssignment = await acceptCarrierQuote(connection, {
+            booking,
+            quote: carrierQuotes[0],
+            actorId: null,
+            actorRole: 'system',
+            note: note || `Auto-matched after the bidding window closed (score ${topCarrier.score})`
+        });
+        if (carrierAssignment.error) throw new Error(carrierAssignment.error);
+
+        const escorts = [];
+        for (const entries of Object.values(ranking.escorts)) {
+            const topEscort = pick(entries);
+            if (!topEscort) continue;
+
+            const [escortQuotes] = await connection.query('SELECT * FROM quotes WHERE id = ?', [topEscort.quote_id]);
+            const [current] = await connection.query('SELECT * FROM bookings WHERE id = ?', [booking.id]);
+            const assignment = await assignEscortFromQuote(connection, current[0], escortQuotes[0]);
+            if (!assignment.error) {
+                escorts.push({ quote: escortQuotes[0], position: assignment.position });
+            }
+        }
+
+        await connection.commit();
+
+        return {
+            booking,
+            carrierQuote: carrierQuotes[0],
+            rejectedProviderIds: carrierAssignment.rejectedProviderIds,
+            score: topCarrier.score,
+            escorts
+        };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+// Tell the carrier, escorts, losing bidders, shipper and admins about an automatic match
+const notifyAutoMatch = async (match) => {
+    const { booking } = match;
+
+    await notifyCarrierAssigned({
+        booking,
+        quote: match.carrierQuote,
+        rejectedProviderIds: match.rejectedProviderIds,
+        acceptedBy: 'system'
+    });
+    for (const { quote, position } of match.escorts) {
+        await notifyEscortAssigned({ booking, quote, position });
+    }
+
+    const [admins] = await pool.query('SELECT id FROM users WHERE role = "admin"');
+    for (const admin of admins) {
+        await createNotification({
+            userId: admin.id,
+            type: 'system',
+            title: 'Booking Auto-Matched',
+            message: `${booking.cargo_type} from ${booking.pickup_city}, ${booking.pickup_state} was matched automatically (carrier score ${match.score}${match.escorts.length > 0 ? `, ${match.escorts.length} escort(s)` : ''})`,
+            link: '/dashboard/admin?section=bookings',
+            metadata: { bookingId: booking.id, quoteId: match.carrierQuote.id }
+        });
+    }
+};
+
+// Match every due booking in managed mode; shippers in self-service mode choose for themselves
+const runAutoMatch = async () => {
+    const settings = await getAutoMatchSettings(pool);
+    if (!settings.enabled) return [];
+
+    const matches = [];
+    for (const booking of await getBookingsDueForMatch(pool, settings.biddingWindowHours)) {
+        if ((await getMarketplaceMode(pool, booking.shipper_id)) !== 'managed') continue;
+
+        try {
+            const match = await autoMatchBooking(booking.id);
+            if (match) {
+                await notifyAutoMatch(match);
+                matches.push(match);
+            }
+        } catch (error) {
+            console.error(`Auto-match error for booking ${booking.id}:`, error);
+        }
+    }
+    return matches;
+};
+
+module.exports = {
+    AUTO_MATCH_ENABLED_SETTING,
+    BIDDING_WINDOW_SETTING,
+    getAutoMatchSettings,
+    autoMatchBooking,
+    notifyAutoMatch,
+    runAutoMatch
+};
@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const { createPdfDocument } = require('./pdf');
+const { getBookingStops } = require('./bookingStops');
+
+// A bill of lading can only be drawn up once a carrier is assigned
+const BOL_STATUSES = ['booked', 'in_transit', 'delivered', 'completed'];
+
+const loadParty = async (db, userId) => {
+    if (!userId) return null;
+    const [rows] = await db.query(`
+        SELECT u.full_name, u.email, p.company_name, p.contact_number, p.address, p.city, p.state, p.zip_code,
+               p.mc_number, p.dot_number
+        FROM users u
+        LEFT JOIN profiles p ON u.id = p.user_id
+        WHERE u.id = ?
+    `, [userId]);
+    return rows[0] || null;
+};
+
+// Everything printed on the bill of lading. Also used to tell when a stored copy is out of date.
+const loadBillOfLadingData = async (db, booking) => {
+    const shipper = await loadParty(db, booking.shipper_id);
+    const carrier = await loadParty(db, booking.carrier_id);
+
+    // assigned_driver_id may be a drivers row id or the driver's user id
+    let driver = null;
+    if (booking.assigned_driver_id) {
+        const [drivers] = await db.query(
+            'SELECT name, phone, license_number FROM drivers WHERE id = ? OR user_id = ? LIMIT 1',
+            [booking.assigned_driver_id, booking.assigned_driver_id]
+        );
+        driver = drivers[0] || null;
+    }
+
+    const [vehicles] = await db.query(`
+        SELECT v.type, v.name, v.plate_number, v.vin
+        FROM quotes q
+        JOIN vehicles v ON q.vehicle_id = v.id
+        WHERE q.booking_id = ? AND q.provider_id = ? AND q.status = 'accepted'
+        LIMIT 1
+    `, [booking.id, booking.carrier_id]);
+
+    const [escorts] = await db.query(`
+        SELECT be.position, u.full_name, p.company_name, p.contact_number
+        FROM booking_escorts be
+        JOIN users u ON be.escort_id = u.id
+        LEFT JOIN profiles p ON be.escort_id = p.user_id
+        WHERE be.booking_id = ? AND be.status = 'assigned'
+        ORDER BY be.position ASC
+    `, [booking.id]);
+
+    const stops = await getBookingStops(db, booking.id);
+
+    return {
+        bolNumber: `BOL-${booking.id.replace(/-/g, '').slice(0, 10).toUpperCase()}`,
+        booking: {
+            id: booking.id,
+            shipment_date: booking.shipment_date ? new Date(booking.shipment_date).toISOString().slice(0, 10) : null,
+            cargo_type: booking.cargo_type,
+            cargo_description: booking.cargo_description,
+            length_ft: booking.dimensions_length_ft,
+            width_ft: booking.dimensions_width_ft,
+            height_ft: booking.dimensions_height_ft,
+            weight_lbs: booking.weight_lbs,
+            special_instructions: booking.special_instructions,
+            estimated_miles: booking.estimated_miles
+        },
+        shipper,
+        carrier,
+        driver,
+        vehicle: vehicles[0] || null,
+        escorts,
+        stops: stops.map(stop => ({
+            stop_order: stop.stop_order,
+            stop_type: stop.stop_type,
+            address: stop.address,
+            city: stop.city,
+            state: stop.state,
+            zip_code: stop.zip_code,
+            contact_name: stop.contact_name,
+            contact_phone: stop.contact_phone,
+            window_start: stop.window_start,
+            window_end: stop.window_end
+        }))
+    };
+};
+
+const fingerprintBillOfLading = (data) => crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+
+const describeParty = (party) => {
+    if (!party) return ['Not assigned'];
+    const lines = [party.company_name || party.full_name];
+    if (party.company_name) lines.push(`Attn: ${party.full_name}`);
+    if (party.address) lines.push(party.address);
+    const cityLine = [party.city, party.state].filter(Boolean).join(', ');
+    if (cityLine) lines.push(`${cityLine}${party.zip_code ? ` ${party.zip_code}` : ''}`);
+    lines.push([party.contact_number, party.email].filter(Boolean).join('  |  '));
+    const authority = [party.mc_number && `MC ${party.mc_number}`, party.dot_number && `USDOT ${party.dot_number}`].filter(Boolean).join('  ');
+    if (authority) lines.push(authority);
+    return lines;
+};
+
+const formatWindow = (start, end) => {
+    const fmt = (value) => new Date(value).toISOString().replace('T', ' ').slice(0, 16);
+    if (start && end) return `${fmt(start)} - ${fmt(end)} UTC`;
+    if (start) return `From ${fmt(start)} UTC`;
+    if (end) return `By ${fmt(end)} UTC`;
+    return null;
+};
+
+// Render the bill of lading as a PDF buffer
+const renderBillOfLading = (data) => {
+    const doc = createPdfDocument();
+    const margin = 40;
+    const contentWidth = doc.width - margin * 2;
+    let y = margin;
+
+    // Start a new page when the next block would run off the bottom
+    const ensureSpace = (height) => {
+        if (y + height > doc.height - margin) {
+            doc.addPage();
+            y = margin;
+        }
+    };
+
+    const sectionTitle = (title) => {
+        ensureSpace(40);
+        doc.rect(margin, y, contentWidth, 16, { fill: 0.9 });
+        doc.text(margin + 6, y + 3, title, { size: 10, bold: true });
+        y += 22;
+    };
+
+    doc.text(margin, y, 'STRAIGHT BILL OF LADING', { size: 18, bold: true });
+    doc.text(doc.width - margin - 170, y, `No. ${data.bolNumber}`, { size: 11, bold: true });
+    y += 24;
+    doc.text(margin, y, `Shipment date: ${data.booking.shipment_date || 'TBD'}`, { size: 9 });
+    doc.text(doc.width - margin - 170, y, `Booking: ${data.booking.id.slice(0, 8).toUpperCase()}`, { size: 9 });
+    y += 14;
+    doc.line(margin, y, doc.width - margin, y, { width: 1.5 });
+    y += 10;
+
+    // Shipper and carrier side by side
+    const columnWidth = contentWidth / 2 - 10;
+    doc.text(margin, y, 'SHIPPER', { size: 10, bold: true });
+    doc.text(margin + columnWidth + 20, y, 'CARRIER', { size: 10, bold: true });
+    y += 14;
+    const shipperLines = describeParty(data.shipper);
+    const carrierLines = describeParty(data.carrier);
+    for (let i = 0; i < Math.max(shipperLines.length, carrierLines.length); i++) {
+        if (shipperLines[i]) doc.text(margin, y, shipperLines[i], { size: 9 });
+        if (carrierLines[i]) doc.text(margin + columnWidth + 20, y, carrierLines[i], { size: 9 });
+        y += 12;
+    }
+    y += 6;
+
+    sectionTitle('DRIVER AND EQUIPMENT');
+    const driverLine = data.driver
+        ? `Driver: ${data.driver.name}${data.driver.phone ? `  |  ${data.driver.phone}` : ''}${data.driver.license_number ? `  |  CDL ${data.driver.license_number}` : ''}`
+        : 'Driver: Not assigned';
+    doc.text(margin, y, driverLine, { size: 9 });
+    y += 12;
+    const vehicleLine = data.vehicle
+        ? `Vehicle: ${[data.vehicle.name, data.vehicle.type].filter(Boolean).join(' - ')}${data.vehicle.plate_number ? `  |  Plate ${data.vehicle.plate_number}` : ''}${data.vehicle.vin ? `  |  VIN ${data.vehicle.vin}` : ''}`
+        : 'Vehicle: Not recorded';
+    doc.text(margin, y, vehicleLine, { size: 9 });
+    y += 12;
+    for (const escort of data.escorts) {
+        doc.text(margin, y, `Escort (${escort.position}): ${escort.company_name || escort.full_name}${escort.contact_number ? `  |  ${escort.contact_number}` : ''}`, { size: 9 });
+        y += 12;
+    }
+    y += 6;
+
+    sectionTitle('ROUTE');
+    for (const stop of data.stops) {
+        ensureSpace(40);
+        doc.text(margin, y, `${stop.stop_order}. ${stop.stop_type.toUpperCase()}`, { size: 9, bold: true });
+        doc.text(margin + 90, y, `${stop.address}, ${stop.city}, ${stop.state}${stop.zip_code ? ` ${stop.zip_code}` : ''}`, { size: 9 });
+        y += 12;
+        const details = [
+            stop.contact_name && `Contact: ${stop.contact_name}${stop.contact_phone ? ` (${stop.contact_phone})` : ''}`,
+            formatWindow(stop.window_start, stop.window_end) && `Window: ${formatWindow(stop.window_start, stop.window_end)}`
+        ].filter(Boolean).join('  |  ');
+        if (details) {
+            doc.text(margin + 90, y, details, { size: 8 });
+            y += 11;
+        }
+    }
+    if (data.booking.estimated_miles) {
+        doc.text(margin, y, `Estimated distance: ${data.booking.estimated_miles} miles`, { size: 8 });
+        y += 11;
+    }
+    y += 6;
+
+    sectionTitle('CARGO');
+    doc.text(margin, y, `Type: ${data.booking.cargo_type}`, { size: 9, bold: true });
+    y += 13;
+    y = doc.paragraph(margin, y, data.booking.cargo_description, contentWidth, { size: 9 });
+    y += 4;
+    ensureSpace(30);
+    doc.rect(margin, y, contentWidth, 24);
+    const cells = [
+        ['Length', `${data.booking.length_ft} ft`],
+        ['Width', `${data.booking.width_ft} ft`],
+        ['Height', `${data.booking.height_ft} ft`],
+        ['Weight', `${Number(data.booking.weight_lbs).toLocaleString('en-US')} lbs`]
+    ];
+    const cellWidth = contentWidth / cells.length;
+    cells.forEach(([label, value], index) => {
+        const x = margin + index * cellWidth;
+        if (index > 0) doc.line(x, y, x, y + 24);
+        doc.text(x + 6, y + 3, label, { size: 7 });
+        doc.text(x + 6, y + 12, value, { size: 9, bold: true });
+    });
+    y += 32;
+
+    if (data.booking.special_instructions) {
+        sectionTitle('SPECIAL INSTRUCTIONS');
+        y = doc.paragraph(margin, y, data.booking.special_instructions, contentWidth, { size: 9 });
+        y += 6;
+    }
+
+    // Signature blocks for shipper, carrier/driver and consignee
+    ensureSpace(110);
+    sectionTitle('SIGNATURES');
+    const blockWidth = contentWidth / 3 - 10;
+    ['Shipper', 'Carrier / Driver', 'Consignee'].forEach((label, index) => {
+        const x = margin + index * (blockWidth + 15);
+        doc.text(x, y, label, { size: 9, bold: true });
+        doc.line(x, y + 40, x + blockWidth, y + 40);
+        doc.text(x, y + 43, 'Signature', { size: 7 });
+        doc.line(x, y + 68, x + blockWidth, y + 68);
+        doc.text(x, y + 71, 'Printed name / Date', { size: 7 });
+    });
+    y += 90;
+
+    ensureSpace(30);
+    doc.paragraph(
+        margin, y,
+        'Received, subject to the classifications and tariffs in effect on the date of issue, the property described above in apparent good order, except as noted.',
+        contentWidth, { size: 7 }
+    );
+
+    return doc.toBuffer();
+};
+
+module.exports = {
+    BOL_STATUSES,
+    loadBillOfLadingData,
+    fingerprintBillOfLading,
+    renderBillOfLading
+};
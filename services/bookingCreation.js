@@ -0,0 +1,175 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../config/database');
+const { createNotification } = require('../routes/notifications');
+const { recordStatusChange } = require('./bookingLifecycle');
+const { normalizeStops, buildDefaultStops, getEndpoints, saveBookingStops } = require('./bookingStops');
+const { calculateEscortRequirement, getEscortConflictWarning } = require('./escortRules');
+const { resolveTender } = require('./tenders');
+const { getDistanceColumns } = require('./distance');
+const { syncGeofences } = require('./geofences');
+const { notifyMatchingProviders } = require('./laneAlerts');
+
+// Stops come either from the `stops` array or, for older clients, from the single pickup/delivery fields
+const resolveStops = (body) => {
+    const { stops, error } = body.stops !== undefined ? normalizeStops(body.stops) : buildDefaultStops(body);
+    if (error) return { error };
+    return { stops, endpoints: getEndpoints(stops) };
+};
+
+// Validate a new booking and insert it with its stops, geofences and first history entry.
+// Must run inside the caller's transaction; returns the created booking's details or { status, error }.
+const createBooking = async (db, { shipperId, input, templateId = null, scheduleId = null, note = 'Booking created' }) => {
+    const {
+        cargoType,
+        cargoDescription,
+        length,
+        width,
+        height,
+        weight,
+        shipmentDate,
+        flexibleDates,
+        requiresEscort,
+        specialInstructions
+    } = input;
+
+    // Basic validation
+    if (!cargoType || !cargoDescription || !length || !width || !height || !weight || !shipmentDate) {
+        return { status: 400, error: 'Please provide all required fields' };
+    }
+
+    const { stops, endpoints, error: stopsError } = resolveStops(input);
+    if (stopsError) {
+        return { status: 400, error: stopsError };
+    }
+    const { pickupAddress, pickupCity, pickupState, deliveryAddress, deliveryCity, deliveryState } = endpoints;
+
+    const tender = resolveTender(input);
+    if (tender.error) {
+        return { status: 400, error: tender.error };
+    }
+
+    // Escorts are decided by the rules engine; the shipper's checkbox is only kept for comparison
+    const escortRequirement = calculateEscortRequirement({
+        dimensions_length_ft: length,
+        dimensions_width_ft: width,
+        dimensions_height_ft: height
+    }, stops);
+    const escortWarning = getEscortConflictWarning(requiresEscort, escortRequirement);
+    const distance = getDistanceColumns(stops);
+
+    const id = uuidv4();
+    const query = `
+        INSERT INTO bookings (
+            id,
+            shipper_id,
+            pickup_address,
+            pickup_city,
+            pickup_state,
+            delivery_address,
+            delivery_city,
+            delivery_state,
+            cargo_type,
+            cargo_description,
+            dimensions_length_ft,
+            dimensions_width_ft,
+            dimensions_height_ft,
+            weight_lbs,
+            shipment_date,
+            flexible_dates,
+            requires_escort,
+            required_escort_count,
+            required_escort_positions,
+            shipper_requested_escort,
+            special_instructions,
+            bid_type,
+            bid_deadline,
+            auto_award,
+            estimated_miles,
+            straight_line_miles,
+            distance_precision,
+            template_id,
+            schedule_id,
+            status
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const params = [
+        id,
+        shipperId,
+        pickupAddress,
+        pickupCity,
+        pickupState,
+        deliveryAddress,
+        deliveryCity,
+        deliveryState,
+        cargoType,
+        cargoDescription,
+        parseFloat(length),
+        parseFloat(width),
+        parseFloat(height),
+        parseFloat(weight),
+        shipmentDate,
+        flexibleDates ? 1 : 0,
+        escortRequirement.required ? 1 : 0,
+        escortRequirement.count,
+        JSON.stringify(escortRequirement.positions),
+        requiresEscort === undefined ? null : (requiresEscort ? 1 : 0),
+        specialInstructions || null,
+        tender.bidType,
+        tender.bidDeadline,
+        tender.autoAward ? 1 : 0,
+        distance.estimated_miles,
+        distance.straight_line_miles,
+        distance.distance_precision,
+        templateId,
+        scheduleId,
+        'pending_quote'
+    ];
+
+    await db.query(query, params);
+    await saveBookingStops(db, id, stops);
+    await syncGeofences(db, id);
+
+    await recordStatusChange(db, {
+        bookingId: id,
+        fromStatus: null,
+        toStatus: 'pending_quote',
+        actorId: shipperId,
+        actorRole: 'shipper',
+        note
+    });
+
+    return { id, stops, tender, escortRequirement, escortWarning, distance };
+};
+
+// Tell admins and matching providers about a new booking (call after commit)
+const notifyBookingCreated = async (bookingId, stops) => {
+    const [created] = await pool.query('SELECT * FROM bookings WHERE id = ?', [bookingId]);
+    const booking = created[0];
+
+    // Notify all admins about new booking
+    const [admins] = await pool.query('SELECT id FROM users WHERE role = "admin"');
+    for (const admin of admins) {
+        await createNotification({
+            userId: admin.id,
+            type: 'booking',
+            title: 'New Booking Request',
+            message: `New ${booking.cargo_type} booking from ${booking.pickup_city}, ${booking.pickup_state} to ${booking.delivery_city}, ${booking.delivery_state}${stops.length > 2 ? ` (${stops.length} stops)` : ''}`,
+            link: '/dashboard/admin?section=bookings',
+            metadata: { bookingId }
+        });
+    }
+
+    // Alert carriers and escorts whose lane preferences match (the booking is already saved, so failures are only logged)
+    await notifyMatchingProviders(booking).catch(err => {
+        console.error('Lane alert error:', err);
+    });
+
+    return booking;
+};
+
+module.exports = {
+    resolveStops,
+    createBooking,
+    notifyBookingCreated
+};
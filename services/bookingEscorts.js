@@ -0,0 +1,135 @@
+const { v4: uuidv4 } = require('uuid');
+const { ESCORT_POSITIONS, getRequiredPositions } = require('./escortRules');
+const { getAcceptError } = require('./quoteLifecycle');
+const { getEffectiveAmount } = require('./quoteNegotiation');
+const { priceForBooking } = require('./pricing');
+const { getSealedBidError } = require('./tenders');
+
+// Escorts can be added while quoting is open and after the carrier is booked, but not once the trip is under way or over
+const ESCORT_ASSIGNABLE_STATUSES = ['pending_quote', 'quoted', 'evaluation', 'booked'];
+
+// Positions the booking needs filled. Bookings flagged before the rules engine existed
+// have requires_escort set without positions, so they are treated as needing one front escort.
+const getRequiredEscortPositions = (booking) => {
+    const positions = getRequiredPositions(booking);
+    if (positions.length === 0 && booking.requires_escort === 1) return ['front'];
+    return positions;
+};
+
+const getActiveEscorts = async (db, bookingId) => {
+    const [escorts] = await db.query(`
+        SELECT be.*, u.full_name as escort_name, p.company_name as escort_company
+        FROM booking_escorts be
+        JOIN users u ON be.escort_id = u.id
+        LEFT JOIN profiles p ON be.escort_id = p.user_id
+        WHERE be.booking_id = ? AND be.status = 'assigned'
+        ORDER BY FIELD(be.position, 'front', 'rear', 'height_pole')
+    `, [bookingId]);
+    return escorts;
+};
+
+const getOpenEscortPositions = async (db, booking) => {
+    const active = await getActiveEscorts(db, booking.id);
+    const filled = active.map(e => e.position);
+    return getRequiredEscortPositions(booking).filter(p => !filled.includes(p));
+};
+
+// Load the ids of every escort assigned to the booking onto the row as `escort_ids`,
+// so access checks can recognise escorts other than the lead one in bookings.escort_id
+const loadEscortIds = async (db, booking) => {
+    const [rows] = await db.query(
+        'SELECT escort_id FROM booking_escorts WHERE booking_id = ? AND status = "assigned"',
+        [booking.id]
+    );
+    booking.escort_ids = rows.map(r => r.escort_id);
+    return booking;
+};
+
+// Add an `escorts` array (active assignments) to each booking row in a single query
+const attachEscorts = async (db, bookings) => {
+    if (bookings.length === 0) return bookings;
+
+    const [escorts] = await db.query(`
+        SELECT be.booking_id, be.escort_id, be.position, be.agreed_price, be.shipper_price, be.status,
+               u.full_name as escort_name, p.company_name as escort_company
+        FROM booking_escorts be
+        JOIN users u ON be.escort_id = u.id
+        LEFT JOIN profiles p ON be.escort_id = p.user_id
+        WHERE be.booking_id IN (?) AND be.status = 'assigned'
+    `, [bookings.map(b => b.id)]);
+
+    for (const booking of bookings) {
+        booking.escorts = escorts.filter(e => e.booking_id === booking.id);
+    }
+    return bookings;
+};
+
+// Assign the escort behind an accepted quote to the position it bid on.
+// Must run inside the caller's transaction; returns { error } if the position cannot be filled.
+const assignEscortFromQuote = async (db, booking, quote) => {
+    if (quote.booking_id !== booking.id) {
+        return { error: 'Quote does not belong to this booking' };
+    }
+
+    const acceptError = getAcceptError(quote);
+    if (acceptError) return { error: acceptError };
+
+    // Re-read the status under a lock so a booking cancelled or completed meanwhile cannot gain an escort
+    const [current] = await db.query('SELECT status FROM bookings WHERE id = ? FOR UPDATE', [booking.id]);
+    const status = current.length > 0 ? current[0].status : null;
+    if (!ESCORT_ASSIGNABLE_STATUSES.includes(status)) {
+        return { error: `Cannot assign an escort to a ${status || 'missing'} booking` };
+    }
+
+    const sealedError = getSealedBidError(booking);
+    if (sealedError) return { error: sealedError };
+
+    const position = quote.escort_position || 'front';
+    if (!ESCORT_POSITIONS.includes(position)) {
+        return { error: 'Escort quote has an invalid position' };
+    }
+
+    const openPositions = await getOpenEscortPositions(db, booking);
+    if (!openPositions.includes(position)) {
+        return { error: `The ${position} escort position is not open on this booking` };
+    }
+
+    const [alreadyAssigned] = await db.query(
+        'SELECT id FROM booking_escorts WHERE booking_id = ? AND escort_id = ? AND status = "assigned"',
+        [booking.id, quote.provider_id]
+    );
+    if (alreadyAssigned.length > 0) {
+        return { error: 'This escort is already assigned to the booking' };
+    }
+
+    const pricing = await priceForBooking(db, booking, getEffectiveAmount(quote));
+    await db.query(`
+        INSERT INTO booking_escorts (id, booking_id, escort_id, quote_id, position, agreed_price, shipper_price, status)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 'assigned')
+    `, [uuidv4(), booking.id, quote.provider_id, quote.id, position, pricing.providerPrice, pricing.shipperPrice]);
+
+    await db.query('UPDATE quotes SET status = "accepted" WHERE id = ?', [quote.id]);
+
+    // bookings.escort_id keeps pointing at the lead escort for older dashboards
+    await db.query('UPDATE bookings SET escort_id = COALESCE(escort_id, ?) WHERE id = ?', [quote.provider_id, booking.id]);
+
+    // Competing bids for the same position are no longer needed
+    await db.query(`
+        UPDATE quotes q
+        JOIN users u ON q.provider_id = u.id
+        SET q.status = 'rejected'
+        WHERE q.booking_id = ? AND q.id != ? AND u.role = 'escort' AND q.status IN ('pending', 'needs_review')
+        AND (COALESCE(q.escort_position, 'front') = ? OR ? = 0)
+    `, [booking.id, quote.id, position, openPositions.length - 1]);
+
+    return { position, remainingPositions: openPositions.filter(p => p !== position) };
+};
+
+module.exports = {
+    getRequiredEscortPositions,
+    getActiveEscorts,
+    getOpenEscortPositions,
+    loadEscortIds,
+    attachEscorts,
+    assignEscortFromQuote
+};
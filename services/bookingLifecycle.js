@@ -0,0 +1,126 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Legal booking status transitions and the booking relationships allowed to perform them.
+// 'system' transitions happen as a side effect of other actions (e.g. a quote being submitted).
+const TRANSITIONS = {
+    pending_quote: {
+        quoted: ['system', 'admin'],
+        evaluation: ['system'],
+        cancelled: ['shipper', 'admin']
+    },
+    quoted: {
+        evaluation: ['system'],
+        booked: ['system', 'admin'],
+        cancelled: ['shipper', 'admin']
+    },
+    // Sealed-bid tenders wait here between the bidding deadline and the award
+    evaluation: {
+        booked: ['system', 'admin'],
+        cancelled: ['shipper', 'admin']
+    },
+    booked: {
+        in_transit: ['carrier', 'driver', 'admin'],
+        cancelled: ['shipper', 'admin']
+    },
+    in_transit: {
+        delivered: ['carrier', 'driver', 'admin']
+    },
+    delivered: {
+        completed: ['shipper', 'admin']
+    },
+    completed: {},
+    cancelled: {}
+};
+
+const BOOKING_STATUSES = Object.keys(TRANSITIONS);
+
+// Resolve how the user relates to the booking (admin, shipper, carrier, driver, escort or null).
+// Escorts beyond the lead one are only recognised when `escort_ids` has been loaded onto the row.
+const getBookingActor = (booking, user) => {
+    if (user.role === 'admin') return 'admin';
+    if (user.role === 'shipper' && booking.shipper_id === user.id) return 'shipper';
+    if (user.role === 'carrier' && booking.carrier_id === user.id) return 'carrier';
+    if (user.role === 'driver' && booking.assigned_driver_id === user.id) return 'driver';
+    if (user.role === 'escort' && (booking.escort_id === user.id || (booking.escort_ids || []).includes(user.id))) return 'escort';
+    return null;
+};
+
+// Is the user the booking's driver? assigned_driver_id may hold the driver's user id or their drivers row id.
+const isAssignedDriver = async (db, booking, user) => {
+    if (user.role !== 'driver' || !booking.assigned_driver_id) return false;
+    if (booking.assigned_driver_id === user.id) return true;
+    const [rows] = await db.query('SELECT id FROM drivers WHERE id = ? AND user_id = ?', [booking.assigned_driver_id, user.id]);
+    return rows.length > 0;
+};
+
+// getBookingActor, but also recognising a driver linked through their drivers row
+const resolveBookingActor = async (db, booking, user) => {
+    const actor = getBookingActor(booking, user);
+    if (actor) return actor;
+    return (await isAssignedDriver(db, booking, user)) ? 'driver' : null;
+};
+
+// Returns an error message if the transition is not allowed, otherwise null
+const validateTransition = (fromStatus, toStatus, actor) => {
+    if (!BOOKING_STATUSES.includes(toStatus)) {
+        return 'Invalid status';
+    }
+
+    if (fromStatus === toStatus) {
+        return `Booking is already ${toStatus}`;
+    }
+
+    const allowedActors = (TRANSITIONS[fromStatus] || {})[toStatus];
+    if (!allowedActors) {
+        return `Cannot change booking status from ${fromStatus} to ${toStatus}`;
+    }
+
+    if (!allowedActors.includes(actor)) {
+        return `You are not allowed to change booking status from ${fromStatus} to ${toStatus}`;
+    }
+
+    return null;
+};
+
+// List the statuses the actor may move the booking to from its current status
+const getAllowedTransitions = (fromStatus, actor) => {
+    const targets = TRANSITIONS[fromStatus] || {};
+    return Object.keys(targets).filter(status => targets[status].includes(actor));
+};
+
+// Write a row to booking_status_history (db can be the pool or a transaction connection)
+const recordStatusChange = async (db, { bookingId, fromStatus, toStatus, actorId, actorRole, note }) => {
+    const id = uuidv4();
+    await db.query(
+        `INSERT INTO booking_status_history (id, booking_id, from_status, to_status, changed_by, actor_role, note)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [id, bookingId, fromStatus || null, toStatus, actorId || null, actorRole || 'system', note || null]
+    );
+    return id;
+};
+
+// Update the booking status and record the transition in one call.
+// Only applies if the booking is still in fromStatus, so a concurrent change is never overwritten;
+// returns false (and records nothing) when the status had already moved on.
+const changeBookingStatus = async (db, { bookingId, fromStatus, toStatus, actorId, actorRole, note }) => {
+    const [result] = await db.query(
+        'UPDATE bookings SET status = ? WHERE id = ? AND status = ?',
+        [toStatus, bookingId, fromStatus]
+    );
+    if (result.affectedRows === 0) return false;
+
+    await recordStatusChange(db, { bookingId, fromStatus, toStatus, actorId, actorRole, note });
+    return true;
+};
+
+module.exports = {
+    TRANSITIONS,
+    BOOKING_STATUSES,
+    getBookingActor,
+    isAssignedDriver,
+    resolveBookingActor,
+    validateTransition,
+    getAllowedTransitions,
+    recordStatusChange,
+    changeBookingStatus
+};
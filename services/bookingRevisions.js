@@ -0,0 +1,198 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../config/database');
+const { createNotification } = require('../routes/notifications');
+
+// Bookings can be edited while quotes are still being collected
+const EDITABLE_STATUSES = ['pending_quote', 'quoted'];
+
+// DATE columns come back from mysql2 as local-midnight Dates
+const toDateString = (value) => {
+    if (!value) return null;
+    if (value instanceof Date) {
+        return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+    }
+    return String(value).slice(0, 10);
+};
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : parseFloat(value));
+const toText = (value) => (value === null || value === undefined || value === '' ? null : String(value));
+const toFlag = (value) => Boolean(Number(value));
+const toTime = (value) => (value ? new Date(value).toISOString() : null);
+
+// One line per stop with everything a provider prices on: where, and when
+const describeRoute = (stops) => stops.map(stop => {
+    const place = `${stop.stop_type}: ${stop.address}, ${stop.city}, ${stop.state}${stop.zip_code ? ` ${stop.zip_code}` : ''}`;
+    const start = toTime(stop.window_start);
+    const end = toTime(stop.window_end);
+    return start || end ? `${place} (${start || '…'} to ${end || '…'})` : place;
+});
+
+const describeStopDetails = (stops) => stops.map(stop =>
+    [stop.contact_name, stop.contact_phone, stop.notes].map(value => value || '').join(' | ')
+);
+
+// Fields compared between revisions. Material changes affect what providers quoted on.
+const TRACKED_FIELDS = [
+    { field: 'cargo_type', label: 'Cargo type', normalize: toText, material: false },
+    { field: 'cargo_description', label: 'Cargo description', normalize: toText, material: false },
+    { field: 'dimensions_length_ft', label: 'Length (ft)', normalize: toNumber, material: true },
+    { field: 'dimensions_width_ft', label: 'Width (ft)', normalize: toNumber, material: true },
+    { field: 'dimensions_height_ft', label: 'Height (ft)', normalize: toNumber, material: true },
+    { field: 'weight_lbs', label: 'Weight (lbs)', normalize: toNumber, material: true },
+    { field: 'shipment_date', label: 'Shipment date', normalize: toDateString, material: true },
+    { field: 'flexible_dates', label: 'Flexible dates', normalize: toFlag, material: true },
+    { field: 'special_instructions', label: 'Special instructions', normalize: toText, material: false }
+];
+
+// Compare the stored booking and stops with the edited values.
+// Returns a list of { field, label, from, to, material }, empty when nothing changed.
+const diffBooking = (current, currentStops, next, nextStops) => {
+    const changes = [];
+
+    for (const { field, label, normalize, material } of TRACKED_FIELDS) {
+        const from = normalize(current[field]);
+        const to = normalize(next[field]);
+        if (from !== to) changes.push({ field, label, from, to, material });
+    }
+
+    const fromRoute = describeRoute(currentStops);
+    const toRoute = describeRoute(nextStops);
+    if (JSON.stringify(fromRoute) !== JSON.stringify(toRoute)) {
+        changes.push({ field: 'route', label: 'Stops and time windows', from: fromRoute, to: toRoute, material: true });
+    }
+
+    const fromDetails = describeStopDetails(currentStops);
+    const toDetails = describeStopDetails(nextStops);
+    if (JSON.stringify(fromDetails) !== JSON.stringify(toDetails)) {
+        changes.push({ field: 'stop_details', label: 'Stop contacts and notes', from: fromDetails, to: toDetails, material: false });
+    }
+
+    return changes;
+};
+
+const isMaterialChange = (changes) => changes.some(change => change.material);
+
+// Plain-text summary of a diff for notifications
+const summarizeChanges = (changes) => changes.map(change => {
+    if (Array.isArray(change.from) || Array.isArray(change.to)) return `${change.label} changed`;
+    return `${change.label}: ${change.from === null ? 'none' : change.from} → ${change.to === null ? 'none' : change.to}`;
+}).join('; ');
+
+// Bump the booking's revision and store the diff.
+// Must run inside the caller's transaction, with the booking row locked (SELECT ... FOR UPDATE).
+const recordRevision = async (db, { booking, changedBy, changes }) => {
+    const revision = (booking.revision || 1) + 1;
+    await db.query('UPDATE bookings SET revision = ? WHERE id = ?', [revision, booking.id]);
+    await db.query(`
+        INSERT INTO booking_revisions (id, booking_id, revision, changes, is_material, changed_by)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `, [uuidv4(), booking.id, revision, JSON.stringify(changes), isMaterialChange(changes) ? 1 : 0, changedBy]);
+    return revision;
+};
+
+// Put every open quote on hold until its provider reconfirms or revises it against the new revision.
+// Returns the affected quotes.
+const flagQuotesForReview = async (db, bookingId) => {
+    const [quotes] = await db.query(`
+        SELECT q.id, q.provider_id, u.role as provider_role
+        FROM quotes q
+        JOIN users u ON q.provider_id = u.id
+        WHERE q.booking_id = ? AND q.status = 'pending'
+    `, [bookingId]);
+    if (quotes.length > 0) {
+        await db.query(
+            'UPDATE quotes SET status = "needs_review", negotiation_status = "none", negotiated_amount = NULL WHERE id IN (?)',
+            [quotes.map(q => q.id)]
+        );
+    }
+    return quotes;
+};
+
+// Rate card drafts were priced on the old booking. Delete them rather than let one be submitted at a stale
+// price; the rate cards skip any carrier that still has a draft row, so this is what lets them price it again.
+// Returns the deleted drafts so their carriers can be told.
+const discardQuoteDrafts = async (db, bookingId) => {
+    const [drafts] = await db.query(
+        'SELECT id, carrier_id, amount FROM quote_drafts WHERE booking_id = ? AND status = "draft" FOR UPDATE',
+        [bookingId]
+    );
+    if (drafts.length > 0) {
+        await db.query('DELETE FROM quote_drafts WHERE id IN (?)', [drafts.map(draft => draft.id)]);
+    }
+    return drafts;
+};
+
+// Revisions of a booking, newest first, with their diffs parsed
+const getBookingRevisions = async (db, bookingId) => {
+    const [revisions] = await db.query(`
+        SELECT r.*, u.full_name as changed_by_name
+        FROM booking_revisions r
+        LEFT JOIN users u ON r.changed_by = u.id
+        WHERE r.booking_id = ?
+        ORDER BY r.revision DESC
+    `, [bookingId]);
+
+    return revisions.map(revision => ({
+        ...revision,
+        changes: typeof revision.changes === 'string' ? JSON.parse(revision.changes) : revision.changes,
+        is_material: Boolean(revision.is_material)
+    }));
+};
+
+// Tell providers whose quotes were put on hold what changed (call after commit)
+const notifyBookingRevised = async ({ booking, revision, changes, quotes, drafts = [] }) => {
+    const summary = summarizeChanges(changes.filter(change => change.material));
+
+    for (const draft of drafts) {
+        await createNotification({
+            userId: draft.carrier_id,
+            type: 'quote',
+            title: 'Booking Changed: Draft Quote Refreshed',
+            message: `The ${booking.cargo_type} shipment from ${booking.pickup_city}, ${booking.pickup_state} was updated (${summary}). ` +
+                `Your $${draft.amount} draft was priced on the old details and is being repriced from your rate card.`,
+            link: '/dashboard/carrier?section=quotes',
+            metadata: { bookingId: booking.id, draftId: draft.id, revision, changes }
+        });
+    }
+
+    for (const quote of quotes) {
+        await createNotification({
+            userId: quote.provider_id,
+            type: 'quote',
+            title: 'Booking Changed: Please Review Your Quote',
+            message: `The ${booking.cargo_type} shipment from ${booking.pickup_city}, ${booking.pickup_state} was updated (${summary}). ` +
+                'Reconfirm or revise your quote so it can be considered.',
+            link: `/dashboard/${quote.provider_role}?section=quotes`,
+            metadata: { bookingId: booking.id, quoteId: quote.id, revision, changes }
+        });
+    }
+
+    if (quotes.length > 0) {
+        const [admins] = await pool.query('SELECT id FROM users WHERE role = "admin"');
+        for (const admin of admins) {
+            await createNotification({
+                userId: admin.id,
+                type: 'booking_update',
+                title: 'Booking Edited After Quoting',
+                message: `The shipper changed the ${booking.cargo_type} booking from ${booking.pickup_city}, ${booking.pickup_state} ` +
+                    `(${summary}); ${quotes.length} quote${quotes.length === 1 ? ' needs' : 's need'} provider review`,
+                link: '/dashboard/admin?section=bookings',
+                metadata: { bookingId: booking.id, revision }
+            });
+        }
+    }
+};
+
+module.exports = {
+    EDITABLE_STATUSES,
+    TRACKED_FIELDS,
+    toDateString,
+    diffBooking,
+    isMaterialChange,
+    summarizeChanges,
+    recordRevision,
+    flagQuotesForReview,
+    discardQuoteDrafts,
+    getBookingRevisions,
+    notifyBookingRevised
+};
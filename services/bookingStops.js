@@ -0,0 +1,149 @@
+const { v4: uuidv4 } = require('uuid');
+
+const STOP_TYPES = ['pickup', 'staging', 'delivery'];
+
+// Order in which a driver moves through a stop
+const STOP_STATUS_FLOW = {
+    pending: 'arrived',
+    arrived: 'departed'
+};
+
+// Validate and normalize the stops payload sent by the client.
+// Returns { stops } on success or { error } describing the first problem found.
+const normalizeStops = (stops) => {
+    if (!Array.isArray(stops) || stops.length < 2) {
+        return { error: 'A booking needs at least a pickup and a delivery stop' };
+    }
+
+    const normalized = [];
+    for (let i = 0; i < stops.length; i++) {
+        const stop = stops[i] || {};
+        const position = i + 1;
+
+        if (!STOP_TYPES.includes(stop.type)) {
+            return { error: `Stop ${position} has an invalid type` };
+        }
+        if (!stop.address || !stop.city || !stop.state) {
+            return { error: `Stop ${position} is missing address, city or state` };
+        }
+        if ((stop.windowStart && isNaN(new Date(stop.windowStart))) || (stop.windowEnd && isNaN(new Date(stop.windowEnd)))) {
+            return { error: `Stop ${position} has an invalid time window date` };
+        }
+        if (stop.windowStart && stop.windowEnd && new Date(stop.windowStart) > new Date(stop.windowEnd)) {
+            return { error: `Stop ${position} time window ends before it starts` };
+        }
+
+        // Exact coordinates are optional; without them the stop is located from its ZIP, city or state
+        const hasCoordinates = stop.latitude !== undefined && stop.latitude !== null && stop.latitude !== '';
+        const latitude = hasCoordinates ? parseFloat(stop.latitude) : null;
+        const longitude = hasCoordinates ? parseFloat(stop.longitude) : null;
+        if (hasCoordinates && (isNaN(latitude) || latitude < -90 || latitude > 90 || isNaN(longitude) || longitude < -180 || longitude > 180)) {
+            return { error: `Stop ${position} has invalid coordinates` };
+        }
+
+        normalized.push({
+            stop_order: position,
+            stop_type: stop.type,
+            address: stop.address,
+            city: stop.city,
+            state: stop.state,
+            zip_code: stop.zipCode || null,
+            latitude,
+            longitude,
+            window_start: stop.windowStart || null,
+            window_end: stop.windowEnd || null,
+            contact_name: stop.contactName || null,
+            contact_phone: stop.contactPhone || null,
+            notes: stop.notes || null
+        });
+    }
+
+    if (normalized[0].stop_type !== 'pickup') {
+        return { error: 'The first stop must be a pickup' };
+    }
+    if (normalized[normalized.length - 1].stop_type !== 'delivery') {
+        return { error: 'The last stop must be a delivery' };
+    }
+
+    return { stops: normalized };
+};
+
+// Two-stop route for bookings submitted with only the legacy pickup/delivery fields
+const buildDefaultStops = ({ pickupAddress, pickupCity, pickupState, deliveryAddress, deliveryCity, deliveryState }) => {
+    return normalizeStops([
+        { type: 'pickup', address: pickupAddress, city: pickupCity, state: pickupState },
+        { type: 'delivery', address: deliveryAddress, city: deliveryCity, state: deliveryState }
+    ]);
+};
+
+// The booking's pickup_* / delivery_* columns mirror the first and last stop
+const getEndpoints = (stops) => {
+    const first = stops[0];
+    const last = stops[stops.length - 1];
+    return {
+        pickupAddress: first.address,
+        pickupCity: first.city,
+        pickupState: first.state,
+        deliveryAddress: last.address,
+        deliveryCity: last.city,
+        deliveryState: last.state
+    };
+};
+
+// Replace all stops for a booking (db can be the pool or a transaction connection)
+const saveBookingStops = async (db, bookingId, stops) => {
+    await db.query('DELETE FROM booking_stops WHERE booking_id = ?', [bookingId]);
+
+    for (const stop of stops) {
+        await db.query(`
+            INSERT INTO booking_stops (
+                id, booking_id, stop_order, stop_type, address, city, state, zip_code, latitude, longitude,
+                window_start, window_end, contact_name, contact_phone, notes
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            uuidv4(), bookingId, stop.stop_order, stop.stop_type, stop.address, stop.city, stop.state, stop.zip_code,
+            stop.latitude, stop.longitude,
+            stop.window_start, stop.window_end, stop.contact_name, stop.contact_phone, stop.notes
+        ]);
+    }
+};
+
+const getBookingStops = async (db, bookingId) => {
+    const [stops] = await db.query(
+        'SELECT * FROM booking_stops WHERE booking_id = ? ORDER BY stop_order ASC',
+        [bookingId]
+    );
+    return stops;
+};
+
+// Add a `stops` array to each booking row in a single query
+const attachStops = async (db, bookings) => {
+    if (bookings.length === 0) return bookings;
+
+    const ids = bookings.map(b => b.id);
+    const [stops] = await db.query(
+        'SELECT * FROM booking_stops WHERE booking_id IN (?) ORDER BY booking_id, stop_order ASC',
+        [ids]
+    );
+
+    const byBooking = {};
+    for (const stop of stops) {
+        (byBooking[stop.booking_id] = byBooking[stop.booking_id] || []).push(stop);
+    }
+
+    for (const booking of bookings) {
+        booking.stops = byBooking[booking.id] || [];
+    }
+    return bookings;
+};
+
+module.exports = {
+    STOP_TYPES,
+    STOP_STATUS_FLOW,
+    normalizeStops,
+    buildDefaultStops,
+    getEndpoints,
+    saveBookingStops,
+    getBookingStops,
+    attachStops
+};
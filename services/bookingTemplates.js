@@ -0,0 +1,456 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../config/database');
+const { createNotification } = require('../routes/notifications');
+const { normalizeStops } = require('./bookingStops');
+const { toDateString } = require('./bookingRevisions');
+const { createBooking, notifyBookingCreated } = require('./bookingCreation');
+
+const SCHEDULE_FREQUENCIES = ['weekly', 'monthly', 'dates'];
+
+// How far ahead schedules create bookings unless the schedule says otherwise
+const DEFAULT_LEAD_DAYS = parseInt(process.env.RECURRING_BOOKING_LEAD_DAYS) || 14;
+const MAX_LEAD_DAYS = 90;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Calendar dates are handled as YYYY-MM-DD strings and only turned into UTC Dates for arithmetic
+const parseDate = (value) => new Date(`${value}T00:00:00Z`);
+const isValidDate = (value) => DATE_PATTERN.test(value) && parseDate(value).toISOString().slice(0, 10) === value;
+const addDays = (value, days) => {
+    const date = parseDate(value);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+const daysBetween = (from, to) => Math.round((parseDate(to) - parseDate(from)) / (24 * 60 * 60 * 1000));
+const today = () => toDateString(new Date());
+
+const toTimeString = (value) => {
+    const date = new Date(value);
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+};
+
+const parseJson = (value, fallback) => {
+    if (value === null || value === undefined) return fallback;
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return fallback;
+    }
+};
+
+// Validate a template from the request body. It holds everything POST /api/bookings takes except the
+// shipment date; stop windows are times of day ('HH:MM') with a dayOffset from the shipment date.
+// Returns { template: { name, payload } } or { error }.
+const normalizeTemplate = (body) => {
+    const name = String(body.name || '').trim();
+    if (!name) return { error: 'name is required' };
+
+    const { cargoType, cargoDescription, length, width, height, weight } = body;
+    if (!cargoType || !cargoDescription || !length || !width || !height || !weight) {
+        return { error: 'Please provide all required fields' };
+    }
+    for (const [key, value] of Object.entries({ length, width, height, weight })) {
+        if (!(parseFloat(value) > 0)) return { error: `${key} must be a positive number` };
+    }
+
+    const rawStops = body.stops !== undefined ? body.stops : [
+        { type: 'pickup', address: body.pickupAddress, city: body.pickupCity, state: body.pickupState },
+        { type: 'delivery', address: body.deliveryAddress, city: body.deliveryCity, state: body.deliveryState }
+    ];
+    if (!Array.isArray(rawStops)) return { error: 'stops must be a list' };
+
+    const stops = [];
+    for (let i = 0; i < rawStops.length; i++) {
+        const stop = rawStops[i] || {};
+        for (const key of ['windowStart', 'windowEnd']) {
+            if (stop[key] && !TIME_PATTERN.test(stop[key])) {
+                return { error: `Stop ${i + 1} ${key} must be a time of day (HH:MM)` };
+            }
+        }
+        const dayOffset = stop.dayOffset === undefined || stop.dayOffset === null ? 0 : Number(stop.dayOffset);
+        if (!Number.isInteger(dayOffset) || dayOffset < 0 || dayOffset > 30) {
+            return { error: `Stop ${i + 1} dayOffset must be a whole number of days between 0 and 30` };
+        }
+        if (stop.windowStart && stop.windowEnd && stop.windowStart > stop.windowEnd) {
+            return { error: `Stop ${i + 1} time window ends before it starts` };
+        }
+
+        stops.push({
+            type: stop.type,
+            address: stop.address,
+            city: stop.city,
+            state: stop.state,
+            zipCode: stop.zipCode || null,
+            latitude: stop.latitude === undefined ? null : stop.latitude,
+            longitude: stop.longitude === undefined ? null : stop.longitude,
+            contactName: stop.contactName || null,
+            contactPhone: stop.contactPhone || null,
+            notes: stop.notes || null,
+            dayOffset,
+            windowStart: stop.windowStart || null,
+            windowEnd: stop.windowEnd || null
+        });
+    }
+
+    // The stop rules are the same as for a booking; windows were checked above
+    const { error } = normalizeStops(stops.map(stop => ({ ...stop, windowStart: null, windowEnd: null })));
+    if (error) return { error };
+
+    return {
+        template: {
+            name: name.slice(0, 100),
+            payload: {
+                cargoType,
+                cargoDescription,
+                length: parseFloat(length),
+                width: parseFloat(width),
+                height: parseFloat(height),
+                weight: parseFloat(weight),
+                flexibleDates: Boolean(body.flexibleDates),
+                requiresEscort: body.requiresEscort === undefined ? undefined : Boolean(body.requiresEscort),
+                specialInstructions: body.specialInstructions || null,
+                stops
+            }
+        }
+    };
+};
+
+// Template payload describing an existing booking, with its stop windows made relative to the shipment date
+const templatePayloadFromBooking = (booking, stops) => {
+    const shipmentDate = toDateString(booking.shipment_date);
+    return {
+        cargoType: booking.cargo_type,
+        cargoDescription: booking.cargo_description,
+        length: parseFloat(booking.dimensions_length_ft),
+        width: parseFloat(booking.dimensions_width_ft),
+        height: parseFloat(booking.dimensions_height_ft),
+        weight: parseFloat(booking.weight_lbs),
+        flexibleDates: Boolean(booking.flexible_dates),
+        requiresEscort: booking.shipper_requested_escort === null ? undefined : Boolean(booking.shipper_requested_escort),
+        specialInstructions: booking.special_instructions,
+        stops: stops.map(stop => {
+            const windowDate = stop.window_start || stop.window_end;
+            const dayOffset = windowDate && shipmentDate ? Math.max(0, daysBetween(shipmentDate, toDateString(new Date(windowDate)))) : 0;
+            return {
+                type: stop.stop_type,
+                address: stop.address,
+                city: stop.city,
+                state: stop.state,
+                zipCode: stop.zip_code,
+                latitude: stop.latitude,
+                longitude: stop.longitude,
+                contactName: stop.contact_name,
+                contactPhone: stop.contact_phone,
+                notes: stop.notes,
+                dayOffset: Math.min(dayOffset, 30),
+                windowStart: stop.window_start ? toTimeString(stop.window_start) : null,
+                windowEnd: stop.window_end ? toTimeString(stop.window_end) : null
+            };
+        })
+    };
+};
+
+// The POST /api/bookings body for a template on a given shipment date. `overrides` replace cargo fields;
+// the route always comes from the template.
+const buildBookingInput = (payload, shipmentDate, overrides = {}) => ({
+    ...payload,
+    ...overrides,
+    shipmentDate,
+    stops: payload.stops.map(stop => {
+        const day = addDays(shipmentDate, stop.dayOffset || 0);
+        return {
+            ...stop,
+            windowStart: stop.windowStart ? `${day} ${stop.windowStart}:00` : null,
+            windowEnd: stop.windowEnd ? `${day} ${stop.windowEnd}:00` : null
+        };
+    })
+});
+
+// Validate a recurring schedule from the request body. Returns { schedule } or { error }.
+const normalizeSchedule = (body) => {
+    if (!SCHEDULE_FREQUENCIES.includes(body.frequency)) {
+        return { error: `frequency must be one of: ${SCHEDULE_FREQUENCIES.join(', ')}` };
+    }
+
+    const schedule = {
+        frequency: body.frequency,
+        days_of_week: null,
+        interval_weeks: 1,
+        day_of_month: null,
+        dates: null,
+        start_date: body.startDate || today(),
+        end_date: body.endDate || null,
+        lead_days: body.leadDays === undefined || body.leadDays === null ? DEFAULT_LEAD_DAYS : Number(body.leadDays),
+        auto_offer_carrier: body.autoOfferCarrier ? 1 : 0,
+        active: body.active === false ? 0 : 1
+    };
+
+    if (!isValidDate(schedule.start_date)) return { error: 'startDate must be a date (YYYY-MM-DD)' };
+    if (schedule.end_date && !isValidDate(schedule.end_date)) return { error: 'endDate must be a date (YYYY-MM-DD)' };
+    if (schedule.end_date && schedule.end_date < schedule.start_date) return { error: 'endDate must not be before startDate' };
+    if (!Number.isInteger(schedule.lead_days) || schedule.lead_days < 1 || schedule.lead_days > MAX_LEAD_DAYS) {
+        return { error: `leadDays must be a whole number between 1 and ${MAX_LEAD_DAYS}` };
+    }
+
+    if (schedule.frequency === 'weekly') {
+        const days = body.daysOfWeek;
+        if (!Array.isArray(days) || days.length === 0 || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+            return { error: 'daysOfWeek must list the weekdays to ship on (0 = Sunday to 6 = Saturday)' };
+        }
+        schedule.days_of_week = [...new Set(days)].sort();
+        const interval = body.intervalWeeks === undefined ? 1 : Number(body.intervalWeeks);
+        if (!Number.isInteger(interval) || interval < 1 || interval > 12) {
+            return { error: 'intervalWeeks must be a whole number between 1 and 12' };
+        }
+        schedule.interval_weeks = interval;
+    } else if (schedule.frequency === 'monthly') {
+        const day = Number(body.dayOfMonth);
+        if (!Number.isInteger(day) || day < 1 || day > 31) {
+            return { error: 'dayOfMonth must be between 1 and 31 (later days fall on the last day of shorter months)' };
+        }
+        schedule.day_of_month = day;
+    } else {
+        const dates = body.dates;
+        if (!Array.isArray(dates) || dates.length === 0 || !dates.every(isValidDate)) {
+            return { error: 'dates must list the shipment dates (YYYY-MM-DD)' };
+        }
+        schedule.dates = [...new Set(dates)].sort();
+    }
+
+    return { schedule };
+};
+
+// Shipment dates of a schedule between two dates (inclusive), in order
+const listOccurrences = (schedule, from, to) => {
+    const start = toDateString(schedule.start_date);
+    const end = schedule.end_date ? toDateString(schedule.end_date) : null;
+    const first = from > start ? from : start;
+    const last = end && end < to ? end : to;
+    if (first > last) return [];
+
+    if (schedule.frequency === 'dates') {
+        return parseJson(schedule.dates, []).filter(date => date >= first && date <= last);
+    }
+
+    const occurrences = [];
+    if (schedule.frequency === 'weekly') {
+        const days = parseJson(schedule.days_of_week, []);
+        // Weeks are counted from the Sunday of the week the schedule starts in
+        const anchor = addDays(start, -parseDate(start).getUTCDay());
+        for (let date = first; date <= last; date = addDays(date, 1)) {
+            const week = Math.floor(daysBetween(anchor, date) / 7);
+            if (days.includes(parseDate(date).getUTCDay()) && week % (schedule.interval_weeks || 1) === 0) {
+                occurrences.push(date);
+            }
+        }
+        return occurrences;
+    }
+
+    // Monthly: walk month by month, clamping the day to the length of the month
+    const cursor = parseDate(first);
+    cursor.setUTCDate(1);
+    while (cursor.toISOString().slice(0, 10) <= last) {
+        const daysInMonth = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, 0)).getUTCDate();
+        const date = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth(), Math.min(schedule.day_of_month, daysInMonth)))
+            .toISOString().slice(0, 10);
+        if (date >= first && date <= last) occurrences.push(date);
+        cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    }
+    return occurrences;
+};
+
+const presentTemplate = (template) => ({ ...template, payload: parseJson(template.payload, {}) });
+
+const presentSchedule = (schedule) => ({
+    ...schedule,
+    days_of_week: parseJson(schedule.days_of_week, null),
+    dates: parseJson(schedule.dates, null),
+    start_date: toDateString(schedule.start_date),
+    end_date: toDateString(schedule.end_date),
+    auto_offer_carrier: Boolean(schedule.auto_offer_carrier),
+    active: Boolean(schedule.active),
+    upcoming: schedule.active ? listOccurrences(schedule, today(), addDays(today(), 366)).slice(0, 5) : []
+});
+
+// The carrier who last moved this template's load (or the booking it was saved from), with the terms they ran it on.
+// Bookings accepted before provider and shipper prices were split only have agreed_price.
+const findPreviousCarrier = async (db, template) => {
+    const [rows] = await db.query(`
+        SELECT b.id as booking_id, b.carrier_id, COALESCE(b.provider_price, b.agreed_price) as provider_price,
+               b.shipment_date, q.driver_id, q.vehicle_id
+        FROM bookings b
+        JOIN users u ON b.carrier_id = u.id
+        JOIN quotes q ON q.booking_id = b.id AND q.provider_id = b.carrier_id AND q.status = 'accepted'
+        WHERE (b.template_id = ? OR b.id = ?)
+        AND b.status IN ('booked', 'in_transit', 'delivered', 'completed')
+        AND u.status = 'active'
+        ORDER BY b.shipment_date DESC, b.created_at DESC
+        LIMIT 1
+    `, [template.id, template.source_booking_id || null]);
+    return rows[0] || null;
+};
+
+// Offer a new booking to the previous carrier as a draft quote at their last price, ready to confirm
+const offerToPreviousCarrier = async (db, booking, template) => {
+    const previous = await findPreviousCarrier(db, template);
+    if (!previous || !previous.provider_price) return null;
+
+    const [existing] = await db.query(
+        'SELECT id FROM quote_drafts WHERE booking_id = ? AND carrier_id = ?',
+        [booking.id, previous.carrier_id]
+    );
+    if (existing.length > 0) return null;
+
+    const draft = {
+        id: uuidv4(),
+        amount: parseFloat(previous.provider_price),
+        notes: `Repeat load: same lane and equipment as the shipment you ran on ${toDateString(previous.shipment_date)}`
+    };
+    await db.query(`
+        INSERT INTO quote_drafts (id, booking_id, carrier_id, rate_card_id, amount, line_items, driver_id, vehicle_id, notes, status)
+        VALUES (?, ?, ?, NULL, ?, NULL, ?, ?, ?, 'draft')
+    `, [draft.id, booking.id, previous.carrier_id, draft.amount, previous.driver_id, previous.vehicle_id, draft.notes]);
+
+    await createNotification({
+        userId: previous.carrier_id,
+        type: 'quote',
+        title: 'Repeat Load Offered',
+        message: `A repeat ${booking.cargo_type} load from ${booking.pickup_city}, ${booking.pickup_state} ships on ${toDateString(booking.shipment_date)}. ` +
+            `Confirm the $${draft.amount} draft quote to bid at your last price.`,
+        link: '/dashboard/carrier?section=quotes',
+        metadata: { bookingId: booking.id, draftId: draft.id, previousBookingId: previous.booking_id }
+    });
+
+    return { ...draft, carrier_id: previous.carrier_id };
+};
+
+// Create a booking from a template inside its own transaction. Returns the created booking row or { status, error }.
+const createBookingFromTemplate = async (template, { shipmentDate, overrides, scheduleId = null, occurrenceId = null }) => {
+    if (!isValidDate(shipmentDate)) {
+        return { status: 400, error: 'shipmentDate must be a date (YYYY-MM-DD)' };
+    }
+
+    const payload = parseJson(template.payload, {});
+    const connection = await pool.getConnection();
+    let result;
+    try {
+        await connection.beginTransaction();
+
+        result = await createBooking(connection, {
+            shipperId: template.shipper_id,
+            input: buildBookingInput(payload, shipmentDate, overrides),
+            templateId: template.id,
+            scheduleId,
+            note: scheduleId ? 'Booking created from recurring schedule' : `Booking created from template "${template.name}"`
+        });
+        if (result.error) {
+            await connection.rollback();
+            return result;
+        }
+
+        if (occurrenceId) {
+            await connection.query('UPDATE booking_schedule_occurrences SET booking_id = ? WHERE id = ?', [result.id, occurrenceId]);
+        }
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    const booking = await notifyBookingCreated(result.id, result.stops);
+    return { booking, result };
+};
+
+// Create the bookings a schedule is due to have within its lead time. Each shipment date is claimed in
+// booking_schedule_occurrences first, so overlapping runs never create the same booking twice.
+// A date that fails is logged and skipped so the remaining dates are still created.
+const materializeSchedule = async (schedule, template) => {
+    const from = today();
+    const dates = listOccurrences(schedule, from, addDays(from, schedule.lead_days));
+    if (dates.length === 0) return [];
+
+    const [done] = await pool.query(
+        'SELECT occurrence_date FROM booking_schedule_occurrences WHERE schedule_id = ? AND occurrence_date >= ?',
+        [schedule.id, from]
+    );
+    const claimed = done.map(row => toDateString(row.occurrence_date));
+
+    const created = [];
+    for (const date of dates.filter(d => !claimed.includes(d))) {
+        const occurrenceId = uuidv4();
+        try {
+            await pool.query(
+                'INSERT INTO booking_schedule_occurrences (id, schedule_id, occurrence_date) VALUES (?, ?, ?)',
+                [occurrenceId, schedule.id, date]
+            );
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') continue;
+            throw error;
+        }
+
+        let outcome;
+        try {
+            outcome = await createBookingFromTemplate(template, { shipmentDate: date, scheduleId: schedule.id, occurrenceId });
+        } catch (error) {
+            // A database failure is not the template's fault: release the claim (unless the booking was saved) so the next run retries it
+            console.error(`Recurring booking error for schedule ${schedule.id} on ${date}:`, error);
+            await pool.query('DELETE FROM booking_schedule_occurrences WHERE id = ? AND booking_id IS NULL', [occurrenceId]);
+            continue;
+        }
+        if (outcome.error) {
+            // Keep the claim with the reason so the date is not retried on every run
+            await pool.query('UPDATE booking_schedule_occurrences SET error = ? WHERE id = ?', [outcome.error, occurrenceId]);
+            await createNotification({
+                userId: template.shipper_id,
+                type: 'booking_update',
+                title: 'Recurring Booking Not Created',
+                message: `Your "${template.name}" booking for ${date} could not be created: ${outcome.error}. Update the template to fix future dates.`,
+                link: '/dashboard/shipper?section=bookings',
+                metadata: { templateId: template.id, scheduleId: schedule.id, shipmentDate: date }
+            });
+            continue;
+        }
+
+        const { booking } = outcome;
+        let offer = null;
+        if (schedule.auto_offer_carrier) {
+            offer = await offerToPreviousCarrier(pool, booking, template).catch(err => {
+                console.error('Repeat load offer error:', err);
+                return null;
+            });
+        }
+
+        await createNotification({
+            userId: template.shipper_id,
+            type: 'booking_update',
+            title: 'Recurring Booking Created',
+            message: `Your "${template.name}" booking for ${date} has been posted` +
+                (offer ? ' and offered to your previous carrier' : ''),
+            link: '/dashboard/shipper?section=bookings',
+            metadata: { bookingId: booking.id, templateId: template.id, scheduleId: schedule.id }
+        });
+        created.push(booking);
+    }
+    return created;
+};
+
+module.exports = {
+    SCHEDULE_FREQUENCIES,
+    DEFAULT_LEAD_DAYS,
+    normalizeTemplate,
+    templatePayloadFromBooking,
+    buildBookingInput,
+    normalizeSchedule,
+    listOccurrences,
+    presentTemplate,
+    presentSchedule,
+    findPreviousCarrier,
+    offerToPreviousCarrier,
+    createBookingFromTemplate,
+    materializeSchedule
+};
@@ -0,0 +1,346 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../config/database');
+const { createNotification } = require('../routes/notifications');
+const { getSetting } = require('./settings');
+const { getAllowedTransitions, changeBookingStatus } = require('./bookingLifecycle');
+const { getActiveEscorts } = require('./bookingEscorts');
+
+const CANCELLATION_POLICY_SETTING = 'cancellation_fee_policy';
+
+// Reason codes for cancelling a booking. Reasons on the shipper's side are chargeable under the fee
+// policy; reasons outside the shipper's control can only be recorded by an admin and carry no fee.
+const CANCELLATION_REASONS = {
+    shipment_postponed: { label: 'Shipment postponed', roles: ['shipper', 'admin'], chargeable: true },
+    cargo_not_ready: { label: 'Cargo not ready', roles: ['shipper', 'admin'], chargeable: true },
+    found_alternative: { label: 'Found another provider', roles: ['shipper', 'admin'], chargeable: true },
+    price: { label: 'Price too high', roles: ['shipper', 'admin'], chargeable: true },
+    permit_issue: { label: 'Permit problem', roles: ['shipper', 'admin'], chargeable: true },
+    duplicate: { label: 'Duplicate booking', roles: ['shipper', 'admin'], chargeable: true },
+    carrier_unavailable: { label: 'Carrier unavailable', roles: ['admin'], chargeable: false },
+    escort_unavailable: { label: 'Escort unavailable', roles: ['admin'], chargeable: false },
+    weather: { label: 'Weather or road closure', roles: ['admin'], chargeable: false },
+    other: { label: 'Other', roles: ['shipper', 'admin'], chargeable: true }
+};
+
+// Fee tiers per booking status. A tier applies when the booking is cancelled within `withinHours` of the
+// shipment date (a tier without withinHours always applies); the tightest matching tier wins.
+// The fee is `percent` of what the shipper was due to pay plus any `flat` amount.
+const DEFAULT_CANCELLATION_POLICY = {
+    pending_quote: [],
+    quoted: [],
+    evaluation: [],
+    booked: [
+        { withinHours: 72, percent: 10, flat: 0 },
+        { withinHours: 24, percent: 25, flat: 0 }
+    ]
+};
+
+const CANCELLABLE_STATUSES = Object.keys(DEFAULT_CANCELLATION_POLICY);
+
+// Validate a policy from an admin. Returns { policy } or { error }.
+const normalizeCancellationPolicy = (input) => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'policy must be an object keyed by booking status' };
+    }
+
+    const policy = {};
+    for (const status of Object.keys(input)) {
+        if (!CANCELLABLE_STATUSES.includes(status)) {
+            return { error: `policy statuses must be among: ${CANCELLABLE_STATUSES.join(', ')}` };
+        }
+    }
+
+    for (const status of CANCELLABLE_STATUSES) {
+        const tiers = input[status] || [];
+        if (!Array.isArray(tiers)) return { error: `policy.${status} must be a list of tiers` };
+
+        policy[status] = [];
+        for (const tier of tiers) {
+            const withinHours = tier.withinHours === undefined || tier.withinHours === null ? null : parseFloat(tier.withinHours);
+            const percent = parseFloat(tier.percent || 0);
+            const flat = parseFloat(tier.flat || 0);
+
+            if (withinHours !== null && !(withinHours >= 0)) {
+                return { error: `policy.${status}: withinHours must be zero or more` };
+            }
+            if (!(percent >= 0 && percent <= 100)) {
+                return { error: `policy.${status}: percent must be between 0 and 100` };
+            }
+            if (!(flat >= 0)) {
+                return { error: `policy.${status}: flat must be zero or more` };
+            }
+            policy[status].push({ withinHours, percent, flat });
+        }
+    }
+    return { policy };
+};
+
+// The admin setting wins over the built-in default
+const getCancellationPolicy = async (db) => {
+    const stored = await getSetting(db, CANCELLATION_POLICY_SETTING);
+    if (stored) {
+        try {
+            const { policy } = normalizeCancellationPolicy(JSON.parse(stored));
+            if (policy) return policy;
+        } catch (error) {
+            console.error('Invalid cancellation policy setting:', error);
+        }
+    }
+    return DEFAULT_CANCELLATION_POLICY;
+};
+
+// Work out the fee for cancelling now. `basis` is what the shipper was due to pay for carrier and escorts.
+const computeCancellationFee = (policy, { status, shipmentDate, basis, now = new Date() }) => {
+    const hoursBefore = shipmentDate
+        ? Math.round((new Date(shipmentDate).getTime() - now.getTime()) / 36000) / 100
+        : null;
+
+    const matching = (policy[status] || []).filter(tier =>
+        tier.withinHours === null || (hoursBefore !== null && hoursBefore <= tier.withinHours)
+    );
+    // Tiers without a window are the loosest
+    matching.sort((a, b) => (a.withinHours === null ? Infinity : a.withinHours) - (b.withinHours === null ? Infinity : b.withinHours));
+    const tier = matching[0] || null;
+
+    const amount = tier ? Math.round((basis * tier.percent / 100 + tier.flat) * 100) / 100 : 0;
+    return {
+        hoursBefore,
+        basis,
+        percent: tier ? tier.percent : 0,
+        flat: tier ? tier.flat : 0,
+        amount
+    };
+};
+
+// What the shipper was due to pay: the carrier price plus every assigned escort
+const getFeeBasis = async (db, booking) => {
+    const escorts = await getActiveEscorts(db, booking.id);
+    const escortTotal = escorts.reduce((sum, escort) => sum + parseFloat(escort.shipper_price || escort.agreed_price || 0), 0);
+    return Math.round((parseFloat(booking.shipper_price || booking.agreed_price || 0) + escortTotal) * 100) / 100;
+};
+
+// Fee the actor would be charged for cancelling now, with the reasons they may give
+const previewCancellation = async (db, booking, actor) => {
+    const policy = await getCancellationPolicy(db);
+    const fee = computeCancellationFee(policy, {
+        status: booking.status,
+        shipmentDate: booking.shipment_date,
+        basis: await getFeeBasis(db, booking)
+    });
+
+    return {
+        cancellable: getAllowedTransitions(booking.status, actor).includes('cancelled'),
+        fee,
+        reasons: Object.keys(CANCELLATION_REASONS)
+            .filter(code => CANCELLATION_REASONS[code].roles.includes(actor))
+            .map(code => ({ code, label: CANCELLATION_REASONS[code].label, chargeable: CANCELLATION_REASONS[code].chargeable }))
+    };
+};
+
+// Validate a cancellation request. Returns { reasonCode, note, waiveFee } or { error }.
+const normalizeCancellation = (body, actor) => {
+    const reason = CANCELLATION_REASONS[body.reasonCode];
+    if (!reason || !reason.roles.includes(actor)) {
+        const allowed = Object.keys(CANCELLATION_REASONS).filter(code => CANCELLATION_REASONS[code].roles.includes(actor));
+        return { error: `reasonCode must be one of: ${allowed.join(', ')}` };
+    }
+
+    const note = body.note ? String(body.note).trim() : '';
+    if (body.reasonCode === 'other' && !note) {
+        return { error: 'A note is required when the reason is other' };
+    }
+
+    if (body.waiveFee && actor !== 'admin') {
+        return { error: 'Only an admin can waive the cancellation fee' };
+    }
+
+    return { reasonCode: body.reasonCode, note: note || null, waiveFee: Boolean(body.waiveFee) };
+};
+
+// Cancel the booking: record the reason and fee, release the carrier, driver and escorts and reject open quotes.
+// Must run inside the caller's transaction; returns the details needed by notifyCancellation.
+const cancelBooking = async (db, { booking, actorId, actorRole, reasonCode, note, waiveFee }) => {
+    const policy = await getCancellationPolicy(db);
+    const basis = await getFeeBasis(db, booking);
+    const fee = computeCancellationFee(policy, { status: booking.status, shipmentDate: booking.shipment_date, basis });
+    const feeWaived = waiveFee || !CANCELLATION_REASONS[reasonCode].chargeable;
+    const feeAmount = feeWaived ? 0 : fee.amount;
+
+    const escorts = await getActiveEscorts(db, booking.id);
+
+    // The driver is notified through their user account, whichever id the booking holds
+    let driverUserId = null;
+    if (booking.assigned_driver_id) {
+        const [drivers] = await db.query(
+            'SELECT user_id FROM drivers WHERE id = ? OR user_id = ? LIMIT 1',
+            [booking.assigned_driver_id, booking.assigned_driver_id]
+        );
+        driverUserId = drivers.length > 0 ? drivers[0].user_id : booking.assigned_driver_id;
+    }
+
+    const [openQuotes] = await db.query(`
+        SELECT q.id, q.provider_id, u.role as provider_role
+        FROM quotes q
+        JOIN users u ON q.provider_id = u.id
+        WHERE q.booking_id = ? AND q.status IN ('pending', 'needs_review')
+    `, [booking.id]);
+    if (openQuotes.length > 0) {
+        await db.query('UPDATE quotes SET status = "rejected" WHERE id IN (?)', [openQuotes.map(q => q.id)]);
+    }
+
+    if (escorts.length > 0) {
+        await db.query('UPDATE booking_escorts SET status = "released" WHERE booking_id = ? AND status = "assigned"', [booking.id]);
+    }
+
+    const id = uuidv4();
+    await db.query(`
+        INSERT INTO booking_cancellations (
+            id, booking_id, cancelled_by, actor_role, reason_code, note, status_at_cancel, hours_before_shipment,
+            fee_basis, fee_percent, fee_flat, fee_amount, fee_waived, released_carrier_id, released_driver_id, released_escort_ids
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        id, booking.id, actorId, actorRole, reasonCode, note, booking.status, fee.hoursBefore,
+        fee.basis, fee.percent, fee.flat, feeAmount, feeWaived ? 1 : 0,
+        booking.carrier_id || null, booking.assigned_driver_id || null, JSON.stringify(escorts.map(e => e.escort_id))
+    ]);
+
+    await db.query(
+        'UPDATE bookings SET carrier_id = NULL, assigned_driver_id = NULL, escort_id = NULL WHERE id = ?',
+        [booking.id]
+    );
+
+    await changeBookingStatus(db, {
+        bookingId: booking.id,
+        fromStatus: booking.status,
+        toStatus: 'cancelled',
+        actorId,
+        actorRole,
+        note: `${CANCELLATION_REASONS[reasonCode].label}${note ? `: ${note}` : ''}`
+    });
+
+    const assignedIds = [booking.carrier_id, ...escorts.map(e => e.escort_id)].filter(Boolean);
+    return {
+        cancellationId: id,
+        feeAmount,
+        feeWaived,
+        carrierId: booking.carrier_id || null,
+        driverUserId,
+        escortIds: escorts.map(e => e.escort_id),
+        // Providers whose quotes were still open, except those already told as assigned parties
+        quotedProviders: openQuotes
+            .filter((quote, index) => openQuotes.findIndex(q => q.provider_id === quote.provider_id) === index)
+            .filter(quote => !assignedIds.includes(quote.provider_id))
+            .map(quote => ({ id: quote.provider_id, role: quote.provider_role }))
+    };
+};
+
+// Notify everyone affected by a cancellation (call after commit)
+const notifyCancellation = async ({ booking, actorRole, reasonCode, result }) => {
+    const route = `${booking.cargo_type} shipment from ${booking.pickup_city}, ${booking.pickup_state}`;
+    const reason = CANCELLATION_REASONS[reasonCode].label.toLowerCase();
+    const metadata = { bookingId: booking.id, cancellationId: result.cancellationId, reasonCode };
+
+    if (actorRole === 'admin') {
+        await createNotification({
+            userId: booking.shipper_id,
+            type: 'booking_update',
+            title: 'Booking Cancelled',
+            message: `Your ${route} was cancelled (${reason})` +
+                (result.feeAmount > 0 ? `. A cancellation fee of $${result.feeAmount.toFixed(2)} applies` : ''),
+            link: '/dashboard/shipper?section=bookings',
+            metadata
+        });
+    } else {
+        const [admins] = await pool.query('SELECT id FROM users WHERE role = "admin"');
+        for (const admin of admins) {
+            await createNotification({
+                userId: admin.id,
+                type: 'booking_update',
+                title: 'Shipper Cancelled a Booking',
+                message: `The shipper cancelled the ${route} (${reason})` +
+                    (result.feeAmount > 0 ? `; cancellation fee $${result.feeAmount.toFixed(2)}` : ''),
+                link: '/dashboard/admin?section=bookings',
+                metadata
+            });
+        }
+    }
+
+    if (result.carrierId) {
+        await createNotification({
+            userId: result.carrierId,
+            type: 'booking_update',
+            title: 'Booking Cancelled',
+            message: `The ${route} has been cancelled and you have been released from it`,
+            link: '/dashboard/carrier?section=bookings',
+            metadata
+        });
+    }
+
+    if (result.driverUserId && result.driverUserId !== result.carrierId) {
+        await createNotification({
+            userId: result.driverUserId,
+            type: 'booking_update',
+            title: 'Trip Cancelled',
+            message: `The ${route} you were assigned to drive has been cancelled`,
+            link: '/dashboard/driver?section=bookings',
+            metadata
+        });
+    }
+
+    for (const escortId of result.escortIds) {
+        await createNotification({
+            userId: escortId,
+            type: 'booking_update',
+            title: 'Escort Assignment Cancelled',
+            message: `The ${route} has been cancelled and you have been released from your escort assignment`,
+            link: '/dashboard/escort?section=available',
+            metadata
+        });
+    }
+
+    for (const provider of result.quotedProviders) {
+        await createNotification({
+            userId: provider.id,
+            type: 'quote',
+            title: 'Booking Cancelled',
+            message: `The ${route} you quoted on has been cancelled, so your quote was closed`,
+            link: `/dashboard/${provider.role}?section=quotes`,
+            metadata
+        });
+    }
+};
+
+// The cancellation record of a booking, or null
+const getCancellation = async (db, bookingId) => {
+    const [rows] = await db.query(`
+        SELECT c.*, u.full_name as cancelled_by_name
+        FROM booking_cancellations c
+        LEFT JOIN users u ON c.cancelled_by = u.id
+        WHERE c.booking_id = ?
+    `, [bookingId]);
+    if (rows.length === 0) return null;
+
+    const cancellation = rows[0];
+    if (typeof cancellation.released_escort_ids === 'string') {
+        cancellation.released_escort_ids = JSON.parse(cancellation.released_escort_ids);
+    }
+    cancellation.fee_waived = Boolean(cancellation.fee_waived);
+    cancellation.reason_label = CANCELLATION_REASONS[cancellation.reason_code]
+        ? CANCELLATION_REASONS[cancellation.reason_code].label
+        : cancellation.reason_code;
+    return cancellation;
+};
+
+module.exports = {
+    CANCELLATION_POLICY_SETTING,
+    CANCELLATION_REASONS,
+    DEFAULT_CANCELLATION_POLICY,
+    normalizeCancellationPolicy,
+    getCancellationPolicy,
+    computeCancellationFee,
+    previewCancellation,
+    normalizeCancellation,
+    cancelBooking,
+    notifyCancellation,
+    getCancellation
+};
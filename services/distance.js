@@ -0,0 +1,110 @@
+const geoCentroids = require('../data/geo_centroids.json');
+const { normalizeState } = require('./permitRules');
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+// Trucks do not drive in straight lines; road miles are estimated from the great-circle distance
+const DEFAULT_ROAD_FACTOR = 1.2;
+
+// Lookup precision from best to worst; a route is only as precise as its least precise stop
+const PRECISIONS = ['exact', 'zip', 'city', 'state'];
+
+const getRoadFactor = () => {
+    const factor = parseFloat(process.env.ROAD_DISTANCE_FACTOR);
+    return factor >= 1 ? factor : DEFAULT_ROAD_FACTOR;
+};
+
+const roundMiles = (value) => Math.round(value * 10) / 10;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance in miles between two { lat, lon } points
+const haversineMiles = (from, to) => {
+    const dLat = toRadians(to.lat - from.lat);
+    const dLon = toRadians(to.lon - from.lon);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+};
+
+// Best known position of a stop: its own coordinates, else the centroid of its ZIP prefix, city or state.
+// Returns { lat, lon, precision } or null when even the state is unknown.
+const locateStop = (stop) => {
+    if (stop.latitude !== null && stop.latitude !== undefined && stop.longitude !== null && stop.longitude !== undefined) {
+        return { lat: parseFloat(stop.latitude), lon: parseFloat(stop.longitude), precision: 'exact' };
+    }
+
+    const state = normalizeState(stop.state);
+
+    const zip3 = String(stop.zip_code || stop.zipCode || '').trim().slice(0, 3);
+    const zipMatch = /^\d{3}$/.test(zip3) ? geoCentroids.zip3[zip3] : null;
+    // A ZIP from another state is more likely a typo than the city and state
+    if (zipMatch && (!state || zipMatch.state === state)) {
+        return { lat: zipMatch.lat, lon: zipMatch.lon, precision: 'zip' };
+    }
+
+    if (!state) return null;
+
+    const city = String(stop.city || '').trim().toLowerCase().replace(/^saint /, 'st. ').replace(/^st /, 'st. ');
+    const cityMatch = (geoCentroids.cities[state] || {})[city];
+    if (cityMatch) {
+        return { lat: cityMatch.lat, lon: cityMatch.lon, precision: 'city' };
+    }
+
+    const stateMatch = geoCentroids.states[state];
+    return stateMatch ? { lat: stateMatch.lat, lon: stateMatch.lon, precision: 'state' } : null;
+};
+
+// Mileage along the stops in order. Stops can be booking_stops rows or normalized stop payloads.
+// Returns { estimatedMiles, straightLineMiles, roadFactor, precision, legs } or null when a stop cannot be located.
+const computeRouteDistance = (stops) => {
+    if (!Array.isArray(stops) || stops.length < 2) return null;
+
+    const points = stops.map(locateStop);
+    if (points.some(point => !point)) return null;
+
+    const roadFactor = getRoadFactor();
+    const legs = [];
+    for (let i = 1; i < points.length; i++) {
+        const straight = haversineMiles(points[i - 1], points[i]);
+        legs.push({
+            from: `${stops[i - 1].city}, ${stops[i - 1].state}`,
+            to: `${stops[i].city}, ${stops[i].state}`,
+            straightLineMiles: roundMiles(straight),
+            estimatedMiles: roundMiles(straight * roadFactor)
+        });
+    }
+
+    const straightLineMiles = legs.reduce((sum, leg) => sum + leg.straightLineMiles, 0);
+    const precision = points.reduce(
+        (worst, point) => (PRECISIONS.indexOf(point.precision) > PRECISIONS.indexOf(worst) ? point.precision : worst),
+        PRECISIONS[0]
+    );
+
+    return {
+        estimatedMiles: roundMiles(straightLineMiles * roadFactor),
+        straightLineMiles: roundMiles(straightLineMiles),
+        roadFactor,
+        precision,
+        legs
+    };
+};
+
+// Column values to store on the booking; all null when the route cannot be measured
+const getDistanceColumns = (stops) => {
+    const distance = computeRouteDistance(stops);
+    return {
+        estimated_miles: distance ? distance.estimatedMiles : null,
+        straight_line_miles: distance ? distance.straightLineMiles : null,
+        distance_precision: distance ? distance.precision : null
+    };
+};
+
+module.exports = {
+    DEFAULT_ROAD_FACTOR,
+    getRoadFactor,
+    haversineMiles,
+    locateStop,
+    computeRouteDistance,
+    getDistanceColumns
+};
@@ -0,0 +1,110 @@
+const { v4: uuidv4 } = require('uuid');
+const { getStorage, parseDataUrl } = require('./storage');
+
+const ALL_PARTIES = ['shipper', 'carrier', 'driver', 'escort', 'admin'];
+
+// Document types and which booking parties may upload them
+const DOCUMENT_TYPES = {
+    bol: { label: 'Bill of lading', upload: ['shipper', 'carrier', 'driver', 'admin'] },
+    permit: { label: 'Permit', upload: ALL_PARTIES },
+    pod: { label: 'Proof of delivery', upload: ['carrier', 'driver', 'admin'] },
+    invoice: { label: 'Invoice', upload: ['carrier', 'admin'] },
+    photo: { label: 'Photo', upload: ALL_PARTIES },
+    other: { label: 'Other', upload: ALL_PARTIES }
+};
+
+const DOCUMENT_CONTENT_TYPES = ['application/pdf', 'image/png', 'image/jpeg', 'image/webp', 'text/plain', 'text/csv'];
+const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+
+// Invoices carry prices, and shippers never see what providers charge: a carrier's invoice is for
+// the carrier and admins, an admin's invoice is for the shipper. Everything else is shared with all parties.
+const canViewDocument = (actor, userId, document) => {
+    if (actor === 'admin' || document.uploaded_by === userId) return true;
+    if (document.doc_type !== 'invoice') return true;
+    return actor === 'shipper' && document.uploader_role === 'admin';
+};
+
+const canDeleteDocument = (actor, userId, document) => actor === 'admin' || document.uploaded_by === userId;
+
+// Validate an upload from the request body. Returns { document, file } or { error }.
+const normalizeDocumentUpload = (body, actor) => {
+    const type = DOCUMENT_TYPES[body.type];
+    if (!type) {
+        return { error: `type must be one of: ${Object.keys(DOCUMENT_TYPES).join(', ')}` };
+    }
+    if (!type.upload.includes(actor)) {
+        return { error: `You cannot upload ${type.label.toLowerCase()} documents to this booking` };
+    }
+
+    if (!body.file) return { error: 'file is required' };
+    const file = parseDataUrl(body.file, { allowedTypes: DOCUMENT_CONTENT_TYPES, maxBytes: MAX_DOCUMENT_BYTES });
+    if (file.error) return { error: `file ${file.error}` };
+
+    // Keep the display name harmless for Content-Disposition headers
+    const fileName = String(body.fileName || `${body.type}.${file.extension}`).replace(/[^\w.\- ]/g, '_').slice(0, 200);
+
+    return {
+        document: {
+            doc_type: body.type,
+            file_name: fileName,
+            description: body.description ? String(body.description).slice(0, 500) : null
+        },
+        file
+    };
+};
+
+// Write the file to storage and record it. Returns the new document row.
+// Generated documents pass the fingerprint of the data they were built from.
+const saveDocument = async (db, { bookingId, uploadedBy, uploaderRole, document, file, sourceFingerprint = null }) => {
+    const storage = getStorage();
+    const id = uuidv4();
+    const key = `documents/${bookingId}/${id}.${file.extension}`;
+
+    await storage.save(key, file.buffer, file.contentType);
+    try {
+        await db.query(`
+            INSERT INTO booking_documents (
+                id, booking_id, doc_type, file_name, description, content_type, size_bytes,
+                storage_driver, storage_key, uploaded_by, uploader_role, source_fingerprint
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            id, bookingId, document.doc_type, document.file_name, document.description, file.contentType, file.buffer.length,
+            storage.name, key, uploadedBy, uploaderRole, sourceFingerprint
+        ]);
+    } catch (error) {
+        await storage.remove(key).catch(() => {});
+        throw error;
+    }
+
+    const [rows] = await db.query('SELECT * FROM booking_documents WHERE id = ?', [id]);
+    return rows[0];
+};
+
+// Remove a document's row and then its file; a file that is already gone is not an error
+const deleteDocument = async (db, document) => {
+    await db.query('DELETE FROM booking_documents WHERE id = ?', [document.id]);
+    await getStorage(document.storage_driver).remove(document.storage_key).catch(err => {
+        console.error('Document file removal error:', err);
+    });
+};
+
+const readDocument = (document) => getStorage(document.storage_driver).read(document.storage_key);
+
+// Drop storage internals before a document row leaves the API
+const presentDocument = (document) => {
+    const { storage_driver, storage_key, source_fingerprint, ...rest } = document;
+    return rest;
+};
+
+module.exports = {
+    DOCUMENT_TYPES,
+    DOCUMENT_CONTENT_TYPES,
+    MAX_DOCUMENT_BYTES,
+    canViewDocument,
+    canDeleteDocument,
+    normalizeDocumentUpload,
+    saveDocument,
+    deleteDocument,
+    readDocument,
+    presentDocument
+};
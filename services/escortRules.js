@@ -0,0 +1,71 @@
+const stateLimits = require('../data/state_limits.json');
+const { getRouteStates } = require('./permitRules');
+
+const ESCORT_POSITIONS = ['front', 'rear', 'height_pole'];
+
+// Which escort positions a single state requires for the load, with the reason for each
+const escortsForState = (code, load) => {
+    const rules = (stateLimits.states[code] || stateLimits.default).escorts;
+    const reasons = {};
+
+    if (load.width_ft > rules.front_over_width_ft) {
+        reasons.front = `Width ${load.width_ft} ft exceeds ${rules.front_over_width_ft} ft`;
+    }
+    if (load.width_ft > rules.rear_over_width_ft) {
+        reasons.rear = `Width ${load.width_ft} ft exceeds ${rules.rear_over_width_ft} ft`;
+    } else if (load.length_ft > rules.rear_over_length_ft) {
+        reasons.rear = `Length ${load.length_ft} ft exceeds ${rules.rear_over_length_ft} ft`;
+    }
+    if (load.height_ft > rules.height_pole_over_height_ft) {
+        reasons.height_pole = `Height ${load.height_ft} ft exceeds ${rules.height_pole_over_height_ft} ft`;
+    }
+
+    return { state: code, positions: ESCORT_POSITIONS.filter(p => reasons[p]), reasons };
+};
+
+// Compute the escort positions a booking needs across every state it passes through.
+// The booking uses the bookings table column names; stops are optional.
+const calculateEscortRequirement = (booking, stops) => {
+    const load = {
+        width_ft: parseFloat(booking.dimensions_width_ft) || 0,
+        height_ft: parseFloat(booking.dimensions_height_ft) || 0,
+        length_ft: parseFloat(booking.dimensions_length_ft) || 0
+    };
+
+    const states = getRouteStates(booking, stops).map(code => escortsForState(code, load));
+    const positions = ESCORT_POSITIONS.filter(p => states.some(s => s.positions.includes(p)));
+
+    return {
+        required: positions.length > 0,
+        count: positions.length,
+        positions,
+        states: states.filter(s => s.positions.length > 0)
+    };
+};
+
+// Warning shown to the shipper when their escort checkbox disagrees with the rules
+const getEscortConflictWarning = (shipperRequestedEscort, requirement) => {
+    if (shipperRequestedEscort === undefined || shipperRequestedEscort === null) return null;
+
+    if (!shipperRequestedEscort && requirement.required) {
+        return `This load requires ${requirement.count} escort(s) (${requirement.positions.join(', ')}) based on its dimensions and route; escorts have been added to the booking`;
+    }
+    if (shipperRequestedEscort && !requirement.required) {
+        return 'This load does not require an escort based on its dimensions and route; no escort will be requested unless an administrator overrides it';
+    }
+    return null;
+};
+
+// Escort positions currently stored on a booking row
+const getRequiredPositions = (booking) => {
+    const positions = booking.required_escort_positions;
+    if (!positions) return [];
+    return typeof positions === 'string' ? JSON.parse(positions) : positions;
+};
+
+module.exports = {
+    ESCORT_POSITIONS,
+    calculateEscortRequirement,
+    getEscortConflictWarning,
+    getRequiredPositions
+};
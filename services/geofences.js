@@ -0,0 +1,212 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../config/database');
+const { createNotification } = require('../routes/notifications');
+const { haversineMiles, locateStop } = require('./distance');
+const { changeBookingStatus } = require('./bookingLifecycle');
+const { getBookingStops } = require('./bookingStops');
+
+// Fence radius around a stop's exact coordinates
+const DEFAULT_RADIUS_MILES = 0.5;
+
+// Without exact coordinates the fence is drawn around the ZIP or city centroid, so it has to be wider.
+// State centroids are too coarse to say anything about arrival and get no fence.
+const CENTROID_RADIUS_MILES = { zip: 5, city: 5 };
+
+// A vehicle only counts as having left once it is this far beyond the radius, so GPS jitter at the edge is ignored
+const EXIT_MARGIN = 1.25;
+
+const DEFAULT_DETENTION_FREE_MINUTES = 120;
+
+const getRadiusMiles = () => {
+    const radius = parseFloat(process.env.GEOFENCE_RADIUS_MILES);
+    return radius > 0 ? radius : DEFAULT_RADIUS_MILES;
+};
+
+const getDetentionFreeMinutes = () => {
+    const minutes = parseInt(process.env.DETENTION_FREE_MINUTES, 10);
+    return minutes >= 0 ? minutes : DEFAULT_DETENTION_FREE_MINUTES;
+};
+
+// Fence for one stop, or null when its location is too vague
+const buildGeofence = (stop) => {
+    const point = locateStop(stop);
+    if (!point) return null;
+    const radius = point.precision === 'exact' ? getRadiusMiles() : CENTROID_RADIUS_MILES[point.precision];
+    if (!radius) return null;
+    return { lat: point.lat, lon: point.lon, radius, precision: point.precision };
+};
+
+// Recreate the geofences of a booking from its saved stops (db can be the pool or a transaction connection)
+const syncGeofences = async (db, bookingId) => {
+    await db.query('DELETE FROM booking_geofences WHERE booking_id = ?', [bookingId]);
+
+    const stops = await getBookingStops(db, bookingId);
+    let created = 0;
+    for (const stop of stops) {
+        const fence = buildGeofence(stop);
+        if (!fence) continue;
+        await db.query(`
+            INSERT INTO booking_geofences (id, booking_id, stop_id, center_latitude, center_longitude, radius_miles, precision_level)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [uuidv4(), bookingId, stop.id, fence.lat, fence.lon, fence.radius, fence.precision]);
+        created++;
+    }
+    return created;
+};
+
+const minutesBetween = (from, to) => Math.max(0, Math.round((new Date(to) - new Date(from)) / 60000));
+
+// Time on site per stop and how much of it ran past the free window.
+// Uses the first geofence arrival and last departure when present, else the stop's own timestamps.
+const computeDetention = (stops, events, now = new Date()) => {
+    const freeMinutes = getDetentionFreeMinutes();
+
+    const perStop = stops.map(stop => {
+        const stopEvents = events.filter(event => event.stop_id === stop.id);
+        const arrival = stopEvents.find(event => event.event_type === 'arrival');
+        const departures = stopEvents.filter(event => event.event_type === 'departure');
+        const arrivedAt = arrival ? arrival.occurred_at : stop.arrived_at;
+        const departedAt = departures.length > 0 ? departures[departures.length - 1].occurred_at : stop.departed_at;
+
+        if (!arrivedAt) {
+            return { stop_id: stop.id, stop_order: stop.stop_order, arrived_at: null, departed_at: null, onSiteMinutes: 0, detentionMinutes: 0, ongoing: false };
+        }
+
+        const onSiteMinutes = minutesBetween(arrivedAt, departedAt || now);
+        return {
+            stop_id: stop.id,
+            stop_order: stop.stop_order,
+            arrived_at: arrivedAt,
+            departed_at: departedAt || null,
+            onSiteMinutes,
+            detentionMinutes: Math.max(0, onSiteMinutes - freeMinutes),
+            ongoing: !departedAt
+        };
+    });
+
+    return {
+        freeMinutes,
+        totalDetentionMinutes: perStop.reduce((sum, stop) => sum + stop.detentionMinutes, 0),
+        stops: perStop
+    };
+};
+
+const notifyStopEvent = async (booking, stop, eventType, detentionMinutes) => {
+    const arrived = eventType === 'arrival';
+    const title = arrived ? 'Arrived at Stop' : 'Departed Stop';
+    const detention = !arrived && detentionMinutes > 0 ? ` after ${detentionMinutes} minutes of detention` : '';
+    const message = `${booking.cargo_type} shipment ${arrived ? 'arrived at' : 'departed'} stop ${stop.stop_order} (${stop.stop_type}) in ${stop.city}, ${stop.state}${detention}`;
+
+    await createNotification({
+        userId: booking.shipper_id,
+        type: 'booking_update',
+        title,
+        message: `Your ${message}`,
+        link: '/dashboard/shipper?section=bookings',
+        metadata: { bookingId: booking.id, stopId: stop.id, event: eventType }
+    });
+
+    const [admins] = await pool.query('SELECT id FROM users WHERE role = "admin"');
+    for (const admin of admins) {
+        await createNotification({
+            userId: admin.id,
+            type: 'booking_update',
+            title,
+            message: message.charAt(0).toUpperCase() + message.slice(1),
+            link: '/dashboard/admin?section=bookings',
+            metadata: { bookingId: booking.id, stopId: stop.id, event: eventType }
+        });
+    }
+};
+
+// Check a driver's ping against the fence of the stop they are heading to or standing at.
+// Entering the next pending stop marks it arrived; leaving the arrived stop marks it departed,
+// and leaving the first pickup puts a booked load in transit. Returns the events recorded.
+const processPing = async (booking, userId, ping) => {
+    const [rows] = await pool.query(`
+        SELECT s.*, g.center_latitude, g.center_longitude, g.radius_miles
+        FROM booking_stops s
+        LEFT JOIN booking_geofences g ON g.stop_id = s.id
+        WHERE s.booking_id = ?
+        ORDER BY s.stop_order ASC
+    `, [booking.id]);
+
+    // Stops are visited in order, so only the first stop not yet departed is in play
+    const stop = rows.find(row => row.status !== 'departed');
+    if (!stop || stop.center_latitude === null) return [];
+
+    const miles = haversineMiles(
+        { lat: ping.latitude, lon: ping.longitude },
+        { lat: parseFloat(stop.center_latitude), lon: parseFloat(stop.center_longitude) }
+    );
+    const radius = parseFloat(stop.radius_miles);
+
+    let eventType = null;
+    if (stop.status === 'pending' && miles <= radius) eventType = 'arrival';
+    if (stop.status === 'arrived' && miles > radius * EXIT_MARGIN) eventType = 'departure';
+    if (!eventType) return [];
+
+    const occurredAt = ping.recorded_at;
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        // The booking may have been cancelled or moved on since the ping was accepted, so re-read it under a lock
+        const [current] = await connection.query('SELECT status FROM bookings WHERE id = ? FOR UPDATE', [booking.id]);
+        const bookingStatus = current.length > 0 ? current[0].status : null;
+        if (!['booked', 'in_transit'].includes(bookingStatus)) {
+            await connection.rollback();
+            return [];
+        }
+
+        // Guard against a manual update or another ping moving the stop on in the meantime
+        const [result] = await connection.query(
+            `UPDATE booking_stops SET status = ?, ${eventType === 'arrival' ? 'arrived_at' : 'departed_at'} = ? WHERE id = ? AND status = ?`,
+            [eventType === 'arrival' ? 'arrived' : 'departed', occurredAt, stop.id, stop.status]
+        );
+        if (result.affectedRows === 0) {
+            await connection.rollback();
+            return [];
+        }
+
+        await connection.query(`
+            INSERT INTO booking_geofence_events (id, booking_id, stop_id, user_id, event_type, latitude, longitude, occurred_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [uuidv4(), booking.id, stop.id, userId, eventType, ping.latitude, ping.longitude, occurredAt]);
+
+        if (eventType === 'departure' && stop.stop_order === 1 && bookingStatus === 'booked') {
+            await changeBookingStatus(connection, {
+                bookingId: booking.id,
+                fromStatus: 'booked',
+                toStatus: 'in_transit',
+                actorId: userId,
+                actorRole: 'system',
+                note: 'Departed pickup geofence'
+            });
+        }
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    let detentionMinutes = 0;
+    if (eventType === 'departure') {
+        const arrivedStop = { ...stop, departed_at: occurredAt };
+        detentionMinutes = computeDetention([arrivedStop], []).stops[0].detentionMinutes;
+    }
+    await notifyStopEvent(booking, stop, eventType, detentionMinutes);
+
+    return [{ stop_id: stop.id, event_type: eventType, occurred_at: occurredAt }];
+};
+
+module.exports = {
+    DEFAULT_RADIUS_MILES,
+    buildGeofence,
+    syncGeofences,
+    computeDetention,
+    processPing
+};
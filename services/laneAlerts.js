@@ -0,0 +1,195 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../config/database');
+const { createNotification } = require('../routes/notifications');
+const { normalizeState } = require('./permitRules');
+
+const LANE_ALERT_MODES = ['instant', 'digest', 'off'];
+
+const DIMENSION_LIMITS = [
+    { field: 'max_length_ft', bookingField: 'dimensions_length_ft', label: 'length' },
+    { field: 'max_width_ft', bookingField: 'dimensions_width_ft', label: 'width' },
+    { field: 'max_height_ft', bookingField: 'dimensions_height_ft', label: 'height' },
+    { field: 'max_weight_lbs', bookingField: 'weight_lbs', label: 'weight' }
+];
+
+// Bookings still worth alerting about when a digest goes out
+const OPEN_BOOKING_STATUSES = ['pending_quote', 'quoted'];
+
+const parseList = (value) => {
+    if (!value) return [];
+    if (Array.isArray(value)) return value;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return [];
+    }
+};
+
+// Validate a lane preference from the request body. Empty lists mean "any".
+// Returns { preference } or { error }.
+const normalizeLanePreference = (body) => {
+    const preference = {
+        name: body.name ? String(body.name).trim() : null,
+        origin_states: [],
+        destination_states: [],
+        cargo_types: [],
+        escort_only: body.escortOnly ? 1 : 0,
+        active: body.active === false ? 0 : 1
+    };
+
+    for (const [key, field] of [['originStates', 'origin_states'], ['destinationStates', 'destination_states']]) {
+        const states = body[key] || [];
+        if (!Array.isArray(states)) return { error: `${key} must be a list of states` };
+        for (const state of states) {
+            const code = normalizeState(state);
+            if (!code) return { error: `Unknown state: ${state}` };
+            if (!preference[field].includes(code)) preference[field].push(code);
+        }
+    }
+
+    const cargoTypes = body.cargoTypes || [];
+    if (!Array.isArray(cargoTypes)) return { error: 'cargoTypes must be a list' };
+    preference.cargo_types = cargoTypes.map(type => String(type).trim()).filter(Boolean);
+
+    const limits = { maxLength: 'max_length_ft', maxWidth: 'max_width_ft', maxHeight: 'max_height_ft', maxWeight: 'max_weight_lbs' };
+    for (const [key, field] of Object.entries(limits)) {
+        const value = body[key];
+        if (value === undefined || value === null || value === '') {
+            preference[field] = null;
+            continue;
+        }
+        const number = parseFloat(value);
+        if (isNaN(number) || number <= 0) return { error: `${key} must be a positive number` };
+        preference[field] = number;
+    }
+
+    return { preference };
+};
+
+// Does a new booking fall inside one of a provider's lanes?
+const matchesLanePreference = (preference, booking, providerRole) => {
+    const requiresEscort = Boolean(booking.requires_escort);
+    if (providerRole === 'escort' && !requiresEscort) return false;
+    if (preference.escort_only && !requiresEscort) return false;
+
+    const origins = parseList(preference.origin_states);
+    const destinations = parseList(preference.destination_states);
+    const cargoTypes = parseList(preference.cargo_types);
+
+    if (origins.length > 0 && !origins.includes(normalizeState(booking.pickup_state))) return false;
+    if (destinations.length > 0 && !destinations.includes(normalizeState(booking.delivery_state))) return false;
+    if (cargoTypes.length > 0) {
+        const cargo = String(booking.cargo_type || '').toLowerCase();
+        if (!cargoTypes.some(type => String(type).toLowerCase() === cargo)) return false;
+    }
+
+    for (const limit of DIMENSION_LIMITS) {
+        const max = preference[limit.field];
+        if (max !== null && max !== undefined && parseFloat(booking[limit.bookingField]) > parseFloat(max)) return false;
+    }
+
+    return true;
+};
+
+const describeLane = (booking) =>
+    `${booking.cargo_type} from ${booking.pickup_city}, ${booking.pickup_state} to ${booking.delivery_city}, ${booking.delivery_state}`;
+
+// Fan a newly posted booking out to every active provider whose lanes match.
+// Instant subscribers are notified right away; digest subscribers get it queued for the next digest.
+const notifyMatchingProviders = async (booking) => {
+    const [preferences] = await pool.query(`
+        SELECT lp.*, u.role, COALESCE(u.lane_alert_mode, 'instant') as lane_alert_mode
+        FROM lane_preferences lp
+        JOIN users u ON lp.user_id = u.id
+        WHERE lp.active = 1 AND u.role IN ('carrier', 'escort') AND u.status = 'active'
+    `);
+
+    const matched = {};
+    for (const preference of preferences) {
+        if (preference.lane_alert_mode === 'off') continue;
+        if (!matchesLanePreference(preference, booking, preference.role)) continue;
+
+        if (!matched[preference.user_id]) {
+            matched[preference.user_id] = { role: preference.role, mode: preference.lane_alert_mode, lanes: [] };
+        }
+        matched[preference.user_id].lanes.push(preference.name || 'Saved lane');
+    }
+
+    for (const [userId, match] of Object.entries(matched)) {
+        if (match.mode === 'digest') {
+            await pool.query(
+                'INSERT INTO lane_alert_queue (id, user_id, booking_id) VALUES (?, ?, ?)',
+                [uuidv4(), userId, booking.id]
+            );
+            continue;
+        }
+
+        await createNotification({
+            userId,
+            type: 'booking',
+            title: 'New Booking on Your Lane',
+            message: `New ${describeLane(booking)} matches ${match.lanes.join(', ')}`,
+            link: `/dashboard/${match.role}?section=available`,
+            metadata: { bookingId: booking.id }
+        });
+    }
+
+    return Object.keys(matched).length;
+};
+
+// Send one summary notification per digest subscriber whose last digest is older than the interval
+const sendLaneDigests = async (intervalHours) => {
+    const [due] = await pool.query(`
+        SELECT q.user_id, u.role
+        FROM lane_alert_queue q
+        JOIN users u ON q.user_id = u.id
+        WHERE q.sent_at IS NULL
+        AND NOT EXISTS (
+            SELECT 1 FROM lane_alert_queue s
+            WHERE s.user_id = q.user_id AND s.sent_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)
+        )
+        GROUP BY q.user_id, u.role
+    `, [Math.round(intervalHours * 60)]);
+
+    let sent = 0;
+    for (const { user_id: userId, role } of due) {
+        const [queued] = await pool.query(`
+            SELECT q.id, b.id as booking_id, b.status, b.cargo_type, b.pickup_city, b.pickup_state, b.delivery_city, b.delivery_state
+            FROM lane_alert_queue q
+            JOIN bookings b ON q.booking_id = b.id
+            WHERE q.user_id = ? AND q.sent_at IS NULL
+            ORDER BY q.created_at ASC
+        `, [userId]);
+
+        // Bookings that were matched or cancelled since they were queued are left out of the digest
+        const open = queued.filter(item => OPEN_BOOKING_STATUSES.includes(item.status));
+        if (open.length > 0) {
+            const listed = open.slice(0, 5).map(describeLane).join('\n');
+            const more = open.length > 5 ? `\n...and ${open.length - 5} more` : '';
+            await createNotification({
+                userId,
+                type: 'booking',
+                title: `${open.length} New Booking${open.length === 1 ? '' : 's'} on Your Lanes`,
+                message: `${listed}${more}`,
+                link: `/dashboard/${role}?section=available`,
+                metadata: { bookingIds: open.map(item => item.booking_id) }
+            });
+            sent++;
+        }
+
+        if (queued.length > 0) {
+            await pool.query('UPDATE lane_alert_queue SET sent_at = NOW() WHERE id IN (?)', [queued.map(item => item.id)]);
+        }
+    }
+
+    return sent;
+};
+
+module.exports = {
+    LANE_ALERT_MODES,
+    parseList,
+    normalizeLanePreference,
+    matchesLanePreference,
+    notifyMatchingProviders,
+    sendLaneDigests
+};
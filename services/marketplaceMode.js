@@ -0,0 +1,35 @@
+const { getSetting } = require('./settings');
+
+// In 'managed' mode administrators run quoting on the shipper's behalf;
+// in 'self_service' mode the shipper negotiates and accepts quotes directly.
+const MARKETPLACE_MODES = ['managed', 'self_service'];
+
+const MARKETPLACE_MODE_SETTING = 'marketplace_mode';
+
+const getDefaultMode = () => {
+    const mode = process.env.MARKETPLACE_MODE;
+    return MARKETPLACE_MODES.includes(mode) ? mode : 'managed';
+};
+
+// Platform-wide mode: the admin setting wins over the environment default
+const getGlobalMode = async (db) => {
+    const mode = await getSetting(db, MARKETPLACE_MODE_SETTING);
+    return MARKETPLACE_MODES.includes(mode) ? mode : getDefaultMode();
+};
+
+// Resolve the mode that applies to a shipper's bookings (a per-shipper override wins over the global mode)
+const getMarketplaceMode = async (db, shipperId) => {
+    const [users] = await db.query('SELECT marketplace_mode FROM users WHERE id = ?', [shipperId]);
+    if (users.length > 0 && MARKETPLACE_MODES.includes(users[0].marketplace_mode)) {
+        return users[0].marketplace_mode;
+    }
+    return getGlobalMode(db);
+};
+
+module.exports = {
+    MARKETPLACE_MODES,
+    MARKETPLACE_MODE_SETTING,
+    getDefaultMode,
+    getGlobalMode,
+    getMarketplaceMode
+};
@@ -0,0 +1,127 @@
+// Minimal PDF writer for server-generated forms: Letter pages, Helvetica text, lines and boxes.
+// Coordinates are in points from the top-left corner; the writer flips them to PDF space.
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+// Helvetica is roughly half an em wide per character on average; good enough for wrapping form text
+const AVERAGE_CHAR_WIDTH = 0.5;
+
+// The standard fonts only cover Latin-1; anything else is replaced rather than corrupting the stream
+const escapeText = (value) => String(value === null || value === undefined ? '' : value)
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+
+const format = (number) => Number(number.toFixed(2)).toString();
+
+// Split text into lines that fit the width at the given font size
+const wrapText = (text, width, size) => {
+    const maxChars = Math.max(1, Math.floor(width / (size * AVERAGE_CHAR_WIDTH)));
+    const lines = [];
+    for (const paragraph of String(text || '').split(/\r?\n/)) {
+        let line = '';
+        for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+            // Words longer than a whole line are hard-broken
+            let rest = word;
+            while (rest.length > maxChars) {
+                if (line) {
+                    lines.push(line);
+                    line = '';
+                }
+                lines.push(rest.slice(0, maxChars));
+                rest = rest.slice(maxChars);
+            }
+            if (!line) line = rest;
+            else if ((line + ' ' + rest).length <= maxChars) line += ' ' + rest;
+            else {
+                lines.push(line);
+                line = rest;
+            }
+        }
+        lines.push(line);
+    }
+    return lines;
+};
+
+const createPdfDocument = () => {
+    const pages = [];
+    let current = null;
+
+    const addPage = () => {
+        current = [];
+        pages.push(current);
+    };
+    addPage();
+
+    const doc = {
+        width: PAGE_WIDTH,
+        height: PAGE_HEIGHT,
+        addPage,
+        text: (x, y, value, { size = 10, bold = false } = {}) => {
+            current.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${format(x)} ${format(PAGE_HEIGHT - y - size)} Td (${escapeText(value)}) Tj ET`);
+            return doc;
+        },
+        line: (x1, y1, x2, y2, { width = 0.75 } = {}) => {
+            current.push(`${width} w ${format(x1)} ${format(PAGE_HEIGHT - y1)} m ${format(x2)} ${format(PAGE_HEIGHT - y2)} l S`);
+            return doc;
+        },
+        rect: (x, y, w, h, { width = 0.75, fill = null } = {}) => {
+            if (fill !== null) current.push(`${fill} g ${format(x)} ${format(PAGE_HEIGHT - y - h)} ${format(w)} ${format(h)} re f 0 g`);
+            current.push(`${width} w ${format(x)} ${format(PAGE_HEIGHT - y - h)} ${format(w)} ${format(h)} re S`);
+            return doc;
+        },
+        // Wrapped paragraph; returns the y position below the last line
+        paragraph: (x, y, value, width, { size = 10, bold = false, leading = 1.3 } = {}) => {
+            let lineY = y;
+            for (const line of wrapText(value, width, size)) {
+                doc.text(x, lineY, line, { size, bold });
+                lineY += size * leading;
+            }
+            return lineY;
+        },
+        toBuffer: () => {
+            const objects = [];
+            const add = (body) => {
+                objects.push(body);
+                return objects.length;
+            };
+
+            const catalog = add(null);
+            const pageTree = add(null);
+            const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+            const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+            const pageIds = pages.map(operations => {
+                const content = operations.join('\n');
+                const stream = add(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+                return add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+                    `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${stream} 0 R >>`);
+            });
+            objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+            objects[pageTree - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+            let output = '%PDF-1.4\n';
+            const offsets = [];
+            objects.forEach((body, index) => {
+                offsets.push(Buffer.byteLength(output, 'latin1'));
+                output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+            });
+
+            const xref = Buffer.byteLength(output, 'latin1');
+            output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+            output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+            output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+            return Buffer.from(output, 'latin1');
+        }
+    };
+
+    return doc;
+};
+
+module.exports = {
+    wrapText,
+    createPdfDocument
+};
@@ -0,0 +1,114 @@
+const stateLimits = require('../data/state_limits.json');
+
+const DIMENSIONS = [
+    { key: 'width_ft', label: 'width', kind: 'oversize' },
+    { key: 'height_ft', label: 'height', kind: 'oversize' },
+    { key: 'length_ft', label: 'length', kind: 'oversize' },
+    { key: 'weight_lbs', label: 'weight', kind: 'overweight' }
+];
+
+// Map a state code or full name (e.g. "tx", "Texas") to its two-letter code
+const normalizeState = (state) => {
+    if (!state) return null;
+    const value = String(state).trim();
+    const upper = value.toUpperCase();
+    if (stateLimits.states[upper]) return upper;
+
+    const match = Object.keys(stateLimits.states).find(code => stateLimits.states[code].name.toUpperCase() === upper);
+    return match || null;
+};
+
+// Unique state codes in the order the load passes through them
+const getRouteStates = (booking, stops) => {
+    const rawStates = stops && stops.length > 0
+        ? stops.map(s => s.state)
+        : [booking.pickup_state, booking.delivery_state];
+
+    const states = [];
+    for (const raw of rawStates) {
+        const code = normalizeState(raw) || String(raw || '').trim().toUpperCase();
+        if (code && !states.includes(code)) states.push(code);
+    }
+    return states;
+};
+
+const describeRestrictions = (restrictions, load, superload) => {
+    const notes = [];
+    if (restrictions.daylight_only) {
+        if (restrictions.night_travel_max_width_ft && load.width_ft <= restrictions.night_travel_max_width_ft && !superload) {
+            notes.push(`Night travel allowed up to ${restrictions.night_travel_max_width_ft} ft wide`);
+        } else {
+            notes.push('Daylight travel only (sunrise to sunset)');
+        }
+    }
+    if (restrictions.weekend) notes.push('No weekend travel');
+    if (restrictions.holidays) notes.push('No travel on major holidays');
+    if (superload) notes.push('Superload: route survey and engineering review may be required');
+    return notes;
+};
+
+// Evaluate a load against a single state's limits
+const assessState = (code, load) => {
+    const rules = stateLimits.states[code] || stateLimits.default;
+    const exceeded = [];
+    const superloadReasons = [];
+
+    for (const dim of DIMENSIONS) {
+        const value = load[dim.key];
+        if (!value) continue;
+        if (value > rules.legal[dim.key]) {
+            exceeded.push({ dimension: dim.label, kind: dim.kind, value, limit: rules.legal[dim.key] });
+        }
+        if (value > rules.superload[dim.key]) {
+            superloadReasons.push({ dimension: dim.label, value, limit: rules.superload[dim.key] });
+        }
+    }
+
+    const oversize = exceeded.some(e => e.kind === 'oversize');
+    const overweight = exceeded.some(e => e.kind === 'overweight');
+    const superload = superloadReasons.length > 0;
+    const requiresPermit = oversize || overweight;
+
+    return {
+        state: code,
+        name: rules.name,
+        known: Boolean(stateLimits.states[code]),
+        requiresPermit,
+        oversize,
+        overweight,
+        superload,
+        exceeded,
+        superloadReasons,
+        travelRestrictions: requiresPermit ? describeRestrictions(rules.restrictions, load, superload) : []
+    };
+};
+
+// Evaluate a booking (and optionally its stops) against every state it passes through.
+// Only states with a stop are known without a routing engine, so the result lists those.
+const assessBooking = (booking, stops) => {
+    const load = {
+        width_ft: parseFloat(booking.dimensions_width_ft) || 0,
+        height_ft: parseFloat(booking.dimensions_height_ft) || 0,
+        length_ft: parseFloat(booking.dimensions_length_ft) || 0,
+        weight_lbs: parseFloat(booking.weight_lbs) || 0
+    };
+
+    const states = getRouteStates(booking, stops).map(code => assessState(code, load));
+    const permitStates = states.filter(s => s.requiresPermit).map(s => s.state);
+
+    return {
+        load,
+        requiresPermit: permitStates.length > 0,
+        permitStates,
+        superload: states.some(s => s.superload),
+        unknownStates: states.filter(s => !s.known).map(s => s.state),
+        states
+    };
+};
+
+module.exports = {
+    normalizeState,
+    getRouteStates,
+    assessState,
+    assessBooking
+};
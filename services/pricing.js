@@ -0,0 +1,131 @@
+const DEFAULT_MARKUP_PERCENT = parseFloat(process.env.PLATFORM_MARKUP_PERCENT) || 15;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// How specific a rule is: lane and cargo type beat lane only, which beats cargo only, which beats global
+const specificity = (rule) => {
+    let score = 0;
+    if (rule.origin_state) score += 2;
+    if (rule.destination_state) score += 2;
+    if (rule.cargo_type) score += 1;
+    return score;
+};
+
+const ruleMatches = (rule, { cargoType, originState, destinationState }) => {
+    const same = (a, b) => String(a || '').trim().toUpperCase() === String(b || '').trim().toUpperCase();
+    if (rule.cargo_type && !same(rule.cargo_type, cargoType)) return false;
+    if (rule.origin_state && !same(rule.origin_state, originState)) return false;
+    if (rule.destination_state && !same(rule.destination_state, destinationState)) return false;
+    return true;
+};
+
+// Pick the most specific active rule for the booking; ties go to the higher priority.
+// Returns null when no rule matches, in which case the default percentage applies.
+const getApplicableRule = async (db, booking) => {
+    const [rules] = await db.query('SELECT * FROM pricing_rules WHERE active = 1');
+    const context = {
+        cargoType: booking.cargo_type,
+        originState: booking.pickup_state,
+        destinationState: booking.delivery_state
+    };
+
+    const matching = rules.filter(rule => ruleMatches(rule, context));
+    matching.sort((a, b) => specificity(b) - specificity(a) || b.priority - a.priority);
+    return matching[0] || null;
+};
+
+const applyMarkup = (providerPrice, rule) => {
+    const price = parseFloat(providerPrice);
+    if (!rule) return roundMoney(price * (1 + DEFAULT_MARKUP_PERCENT / 100));
+    if (rule.rule_type === 'flat') return roundMoney(price + parseFloat(rule.value));
+    return roundMoney(price * (1 + parseFloat(rule.value) / 100));
+};
+
+// The provider price that marks up to the given shipper price (used for counters made in shipper terms).
+// Rounded down a cent when needed so the shipper never pays more than they offered.
+const removeMarkup = (shipperPrice, rule) => {
+    const price = parseFloat(shipperPrice);
+    let providerPrice;
+    if (!rule) providerPrice = roundMoney(price / (1 + DEFAULT_MARKUP_PERCENT / 100));
+    else if (rule.rule_type === 'flat') providerPrice = roundMoney(price - parseFloat(rule.value));
+    else providerPrice = roundMoney(price / (1 + parseFloat(rule.value) / 100));
+    return applyMarkup(providerPrice, rule) > price ? roundMoney(providerPrice - 0.01) : providerPrice;
+};
+
+// Work out what the shipper pays for a provider price on this booking
+const priceForBooking = async (db, booking, providerPrice) => {
+    const rule = await getApplicableRule(db, booking);
+    const shipperPrice = applyMarkup(providerPrice, rule);
+    return {
+        providerPrice: roundMoney(parseFloat(providerPrice)),
+        shipperPrice,
+        margin: roundMoney(shipperPrice - parseFloat(providerPrice)),
+        ruleId: rule ? rule.id : null
+    };
+};
+
+// Shippers see the marked-up price in place of the provider's figures
+const presentBookingForShipper = (booking) => {
+    booking.agreed_price = booking.shipper_price !== undefined && booking.shipper_price !== null
+        ? booking.shipper_price
+        : booking.agreed_price;
+    delete booking.provider_price;
+    delete booking.pricing_rule_id;
+    for (const escort of booking.escorts || []) {
+        escort.agreed_price = escort.shipper_price !== undefined && escort.shipper_price !== null ? escort.shipper_price : escort.agreed_price;
+        delete escort.shipper_price;
+    }
+    return booking;
+};
+
+// Providers only see their own price, never what the shipper is charged.
+// Escorts are paid per assignment, so the carrier's price is hidden from them too.
+const presentBookingForProvider = (booking, role) => {
+    delete booking.shipper_price;
+    if (role === 'escort') {
+        delete booking.agreed_price;
+        delete booking.provider_price;
+    }
+    delete booking.pricing_rule_id;
+    for (const escort of booking.escorts || []) {
+        delete escort.shipper_price;
+    }
+    return booking;
+};
+
+// Quote fields a shipper may see. Anything else (who the provider is, their driver and vehicle,
+// their notes and cost breakdown) stays with the platform, so new columns are hidden by default.
+const SHIPPER_QUOTE_FIELDS = [
+    'id', 'booking_id', 'role', 'escort_position', 'status', 'negotiation_status',
+    'valid_until', 'version', 'booking_revision', 'created_at', 'updated_at'
+];
+
+// Shippers see each quote at the price they would pay and nothing that identifies or prices the provider
+const presentQuoteForShipper = (quote, shipperPrice, negotiatedShipperPrice) => {
+    const presented = {};
+    for (const field of SHIPPER_QUOTE_FIELDS) {
+        if (quote[field] !== undefined) presented[field] = quote[field];
+    }
+    presented.amount = shipperPrice;
+    presented.negotiated_amount = negotiatedShipperPrice;
+    return presented;
+};
+
+// Apply the right presentation for the viewer's role to a list of booking rows (admins see everything)
+const presentBookingsForRole = (bookings, role) => {
+    if (role === 'shipper') return bookings.map(presentBookingForShipper);
+    if (role !== 'admin') return bookings.map(booking => presentBookingForProvider(booking, role));
+    return bookings;
+};
+
+module.exports = {
+    DEFAULT_MARKUP_PERCENT,
+    getApplicableRule,
+    applyMarkup,
+    removeMarkup,
+    priceForBooking,
+    presentBookingForShipper,
+    presentBookingForProvider,
+    presentQuoteForShipper,
+    presentBookingsForRole
+};
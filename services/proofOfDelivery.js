@@ -0,0 +1,145 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../config/database');
+const { getStorage, parseDataUrl } = require('./storage');
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_PHOTOS = 10;
+
+// A disputed POD no longer counts as evidence and can be replaced by a new submission
+const ACTIVE_STATUSES = ['submitted', 'acknowledged'];
+
+// Validate a proof-of-delivery bundle from the request body.
+// Returns { pod, files } with decoded images, or { error }.
+const normalizeProofOfDelivery = (body) => {
+    const receiverName = String(body.receiverName || '').trim();
+    if (!receiverName) return { error: 'receiverName is required' };
+
+    const files = [];
+
+    if (!body.signature) return { error: 'A receiver signature is required' };
+    const signature = parseDataUrl(body.signature, { allowedTypes: IMAGE_TYPES, maxBytes: MAX_FILE_BYTES });
+    if (signature.error) return { error: `signature ${signature.error}` };
+    files.push({ kind: 'signature', ...signature });
+
+    const photos = body.photos || [];
+    if (!Array.isArray(photos)) return { error: 'photos must be a list' };
+    if (photos.length > MAX_PHOTOS) return { error: `No more than ${MAX_PHOTOS} photos can be attached` };
+    for (let i = 0; i < photos.length; i++) {
+        const photo = parseDataUrl(photos[i], { allowedTypes: IMAGE_TYPES, maxBytes: MAX_FILE_BYTES });
+        if (photo.error) return { error: `Photo ${i + 1} ${photo.error}` };
+        files.push({ kind: 'photo', ...photo });
+    }
+
+    const deliveredAt = body.deliveredAt ? new Date(body.deliveredAt) : new Date();
+    if (isNaN(deliveredAt.getTime()) || deliveredAt.getTime() > Date.now() + 5 * 60 * 1000) {
+        return { error: 'deliveredAt must be a valid time that is not in the future' };
+    }
+
+    let latitude = null;
+    let longitude = null;
+    if (body.latitude !== undefined && body.latitude !== null && body.latitude !== '') {
+        latitude = parseFloat(body.latitude);
+        longitude = parseFloat(body.longitude);
+        if (isNaN(latitude) || latitude < -90 || latitude > 90 || isNaN(longitude) || longitude < -180 || longitude > 180) {
+            return { error: 'A valid latitude and longitude are required when a location is given' };
+        }
+    }
+
+    return {
+        pod: {
+            receiver_name: receiverName.slice(0, 255),
+            delivered_at: deliveredAt,
+            latitude,
+            longitude,
+            exceptions: body.exceptions ? String(body.exceptions) : null,
+            has_damage: body.hasDamage ? 1 : 0
+        },
+        files
+    };
+};
+
+// The current POD of a booking with its files, or null
+const getProofOfDelivery = async (db, bookingId) => {
+    const [pods] = await db.query(`
+        SELECT p.*, u.full_name as submitted_by_name
+        FROM proof_of_delivery p
+        LEFT JOIN users u ON p.submitted_by = u.id
+        WHERE p.booking_id = ?
+        ORDER BY p.created_at DESC
+        LIMIT 1
+    `, [bookingId]);
+    if (pods.length === 0) return null;
+
+    const [files] = await db.query(
+        'SELECT id, kind, content_type, size_bytes, created_at FROM proof_of_delivery_files WHERE pod_id = ? ORDER BY kind DESC, created_at ASC',
+        [pods[0].id]
+    );
+    return { ...pods[0], has_damage: Boolean(pods[0].has_damage), files };
+};
+
+// Store the files, then the POD rows. Files are written first so a failed write leaves no dangling rows;
+// if the database insert fails the stored files are cleaned up again.
+const saveProofOfDelivery = async ({ bookingId, submittedBy, pod, files }) => {
+    const storage = getStorage();
+    const podId = uuidv4();
+    const stored = [];
+
+    try {
+        for (const file of files) {
+            const id = uuidv4();
+            const key = `pod/${bookingId}/${podId}/${id}.${file.extension}`;
+            await storage.save(key, file.buffer, file.contentType);
+            stored.push({ id, key, kind: file.kind, contentType: file.contentType, size: file.buffer.length });
+        }
+
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            await connection.query(`
+                INSERT INTO proof_of_delivery (
+                    id, booking_id, receiver_name, delivered_at, latitude, longitude, exceptions, has_damage, submitted_by, status
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'submitted')
+            `, [podId, bookingId, pod.receiver_name, pod.delivered_at, pod.latitude, pod.longitude, pod.exceptions, pod.has_damage, submittedBy]);
+
+            for (const file of stored) {
+                await connection.query(`
+                    INSERT INTO proof_of_delivery_files (id, pod_id, kind, storage_driver, storage_key, content_type, size_bytes)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                `, [file.id, podId, file.kind, storage.name, file.key, file.contentType, file.size]);
+            }
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    } catch (error) {
+        for (const file of stored) {
+            await storage.remove(file.key).catch(() => {});
+        }
+        throw error;
+    }
+
+    return podId;
+};
+
+// Why the booking cannot be marked delivered yet, or null when an accepted POD is on file
+const getDeliveryProofError = async (db, bookingId) => {
+    const [pods] = await db.query(
+        'SELECT id FROM proof_of_delivery WHERE booking_id = ? AND status IN (?) LIMIT 1',
+        [bookingId, ACTIVE_STATUSES]
+    );
+    return pods.length > 0 ? null : 'Submit a proof of delivery before marking this booking as delivered';
+};
+
+module.exports = {
+    ACTIVE_STATUSES,
+    normalizeProofOfDelivery,
+    getProofOfDelivery,
+    saveProofOfDelivery,
+    getDeliveryProofError
+};
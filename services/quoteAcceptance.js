@@ -0,0 +1,124 @@
+const { pool } = require('../config/database');
+const { createNotification } = require('../routes/notifications');
+const { recordStatusChange } = require('./bookingLifecycle');
+const { getAcceptError } = require('./quoteLifecycle');
+const { getEffectiveAmount } = require('./quoteNegotiation');
+const { priceForBooking } = require('./pricing');
+const { getSealedBidError } = require('./tenders');
+
+// Assign the carrier behind a quote to the booking, price it, and reject competing carrier quotes.
+// Must run inside the caller's transaction; returns { error } or { pricing, rejectedProviderIds }.
+const acceptCarrierQuote = async (db, { booking, quote, actorId, actorRole, note }) => {
+    if (quote.booking_id !== booking.id) {
+        return { error: 'Quote does not belong to this booking' };
+    }
+
+    const acceptError = getAcceptError(quote);
+    if (acceptError) return { error: acceptError };
+
+    if (!['pending_quote', 'quoted', 'evaluation'].includes(booking.status)) {
+        return { error: `Cannot accept a carrier quote for a ${booking.status} booking` };
+    }
+
+    const sealedError = getSealedBidError(booking);
+    if (sealedError) return { error: sealedError };
+
+    const pricing = await priceForBooking(db, booking, getEffectiveAmount(quote));
+
+    await db.query(`
+        UPDATE bookings
+        SET carrier_id = ?, assigned_driver_id = ?, agreed_price = ?, provider_price = ?, shipper_price = ?, pricing_rule_id = ?, status = 'booked'
+        WHERE id = ?
+    `, [
+        quote.provider_id, quote.driver_id, pricing.providerPrice, pricing.providerPrice,
+        pricing.shipperPrice, pricing.ruleId, booking.id
+    ]);
+
+    await recordStatusChange(db, {
+        bookingId: booking.id,
+        fromStatus: booking.status,
+        toStatus: 'booked',
+        actorId,
+        actorRole,
+        note: note || 'Carrier quote accepted'
+    });
+
+    await db.query('UPDATE quotes SET status = "accepted" WHERE id = ?', [quote.id]);
+
+    const [competing] = await db.query(`
+        SELECT q.id, q.provider_id
+        FROM quotes q
+        JOIN users u ON q.provider_id = u.id
+        WHERE q.booking_id = ? AND q.id != ? AND q.status IN ('pending', 'needs_review') AND u.role = 'carrier'
+    `, [booking.id, quote.id]);
+
+    if (competing.length > 0) {
+        await db.query('UPDATE quotes SET status = "rejected" WHERE id IN (?)', [competing.map(q => q.id)]);
+    }
+
+    return { pricing, rejectedProviderIds: competing.map(q => q.provider_id) };
+};
+
+// Notify everyone affected once a carrier has been assigned (call after commit)
+const notifyCarrierAssigned = async ({ booking, quote, rejectedProviderIds, acceptedBy }) => {
+    await createNotification({
+        userId: quote.provider_id,
+        type: 'quote_accepted',
+        title: 'Quote Accepted!',
+        message: `Your quote for ${booking.cargo_type} shipment has been accepted`,
+        link: '/dashboard/carrier?section=bookings',
+        metadata: { bookingId: booking.id, quoteId: quote.id }
+    });
+
+    for (const providerId of rejectedProviderIds || []) {
+        await createNotification({
+            userId: providerId,
+            type: 'quote',
+            title: 'Quote Not Selected',
+            message: `Another carrier was selected for the ${booking.cargo_type} shipment from ${booking.pickup_city}, ${booking.pickup_state}`,
+            link: '/dashboard/carrier?section=quotes',
+            metadata: { bookingId: booking.id }
+        });
+    }
+
+    if (acceptedBy === 'shipper') {
+        const [admins] = await pool.query('SELECT id FROM users WHERE role = "admin"');
+        for (const admin of admins) {
+            await createNotification({
+                userId: admin.id,
+                type: 'booking_update',
+                title: 'Shipper Accepted a Quote',
+                message: `The shipper booked a carrier for ${booking.cargo_type} from ${booking.pickup_city}, ${booking.pickup_state}`,
+                link: '/dashboard/admin?section=bookings',
+                metadata: { bookingId: booking.id, quoteId: quote.id }
+            });
+        }
+    } else {
+        await createNotification({
+            userId: booking.shipper_id,
+            type: 'booking_update',
+            title: 'Booking Confirmed',
+            message: `Your ${booking.cargo_type} booking has been confirmed with carrier and assigned`,
+            link: '/dashboard/shipper?section=bookings',
+            metadata: { bookingId: booking.id }
+        });
+    }
+};
+
+// Notify an escort that they have been assigned to a position (call after commit)
+const notifyEscortAssigned = async ({ booking, quote, position }) => {
+    await createNotification({
+        userId: quote.provider_id,
+        type: 'quote_accepted',
+        title: 'Escort Assignment Confirmed!',
+        message: `You've been assigned as the ${position.replace('_', ' ')} escort for ${booking.cargo_type} shipment`,
+        link: '/dashboard/escort?section=available',
+        metadata: { bookingId: booking.id, quoteId: quote.id, position }
+    });
+};
+
+module.exports = {
+    acceptCarrierQuote,
+    notifyCarrierAssigned,
+    notifyEscortAssigned
+};
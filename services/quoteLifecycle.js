@@ -0,0 +1,103 @@
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_VALIDITY_HOURS = parseInt(process.env.QUOTE_VALIDITY_HOURS) || 72;
+
+// Work out when a quote stops being valid from the client's `valid_until` or `valid_for_hours`.
+// `notBefore` (e.g. a sealed tender's deadline) is when the validity period starts counting and
+// the earliest the quote may expire. Returns { validUntil } or { error }.
+const resolveValidUntil = ({ valid_until, valid_for_hours }, notBefore = null) => {
+    const start = notBefore && new Date(notBefore) > new Date() ? new Date(notBefore) : new Date();
+
+    let validUntil;
+    if (valid_until) {
+        validUntil = new Date(valid_until);
+    } else {
+        const hours = valid_for_hours ? parseFloat(valid_for_hours) : DEFAULT_VALIDITY_HOURS;
+        validUntil = new Date(start.getTime() + hours * 60 * 60 * 1000);
+    }
+
+    if (isNaN(validUntil.getTime())) {
+        return { error: 'Invalid quote expiry date' };
+    }
+    if (validUntil <= new Date()) {
+        return { error: 'Quote expiry must be in the future' };
+    }
+    if (notBefore && validUntil <= new Date(notBefore)) {
+        return { error: 'Quote must stay valid until bidding closes' };
+    }
+    return { validUntil };
+};
+
+const isQuoteExpired = (quote) => {
+    if (quote.status === 'expired') return true;
+    return quote.status === 'pending' && quote.valid_until && new Date(quote.valid_until) <= new Date();
+};
+
+// Returns an error message if the quote can no longer be accepted, otherwise null
+const getAcceptError = (quote) => {
+    if (isQuoteExpired(quote)) return 'This quote has expired';
+    if (quote.status === 'needs_review') return 'The booking changed after this quote was made; the provider must reconfirm or revise it first';
+    if (quote.status !== 'pending') return `Cannot accept a ${quote.status} quote`;
+    return null;
+};
+
+// Store the quote's current terms (including any line items) as a version before it is revised
+const snapshotQuoteVersion = async (db, quote, changedBy) => {
+    const [lineItems] = await db.query(
+        'SELECT item_type, description, quantity, unit_price, percent, amount FROM quote_line_items WHERE quote_id = ? ORDER BY sort_order ASC',
+        [quote.id]
+    );
+
+    await db.query(`
+        INSERT INTO quote_versions (id, quote_id, version, amount, driver_id, vehicle_id, notes, valid_until, line_items, changed_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        uuidv4(), quote.id, quote.version || 1, quote.amount, quote.driver_id, quote.vehicle_id,
+        quote.notes, quote.valid_until, lineItems.length > 0 ? JSON.stringify(lineItems) : null, changedBy
+    ]);
+};
+
+// Add `versions` (prior terms, newest first) and `is_expired` to each quote row
+const attachQuoteVersions = async (db, quotes, idField = 'id') => {
+    if (quotes.length === 0) return quotes;
+
+    const [versions] = await db.query(
+        'SELECT * FROM quote_versions WHERE quote_id IN (?) ORDER BY version DESC',
+        [quotes.map(q => q[idField])]
+    );
+
+    for (const quote of quotes) {
+        quote.versions = versions.filter(v => v.quote_id === quote[idField]);
+        quote.is_expired = Boolean(isQuoteExpired(quote));
+    }
+    return quotes;
+};
+
+// Mark every pending quote past its valid_until as expired and return the affected rows
+const expireStaleQuotes = async (db) => {
+    const [stale] = await db.query(`
+        SELECT q.id, q.booking_id, q.provider_id, q.amount, u.role as provider_role, b.cargo_type, b.pickup_city, b.pickup_state
+        FROM quotes q
+        JOIN users u ON q.provider_id = u.id
+        JOIN bookings b ON q.booking_id = b.id
+        WHERE q.status = 'pending' AND q.valid_until IS NOT NULL AND q.valid_until <= NOW()
+    `);
+
+    if (stale.length > 0) {
+        await db.query(
+            'UPDATE quotes SET status = "expired" WHERE id IN (?) AND status = "pending"',
+            [stale.map(q => q.id)]
+        );
+    }
+    return stale;
+};
+
+module.exports = {
+    DEFAULT_VALIDITY_HOURS,
+    resolveValidUntil,
+    isQuoteExpired,
+    getAcceptError,
+    snapshotQuoteVersion,
+    attachQuoteVersions,
+    expireStaleQuotes
+};
@@ -0,0 +1,112 @@
+const { v4: uuidv4 } = require('uuid');
+
+const LINE_ITEM_TYPES = ['linehaul', 'per_mile', 'fuel_surcharge', 'permits', 'escort', 'tarping', 'detention', 'other'];
+
+// Fuel surcharge given as a percentage is applied to the transport charges only
+const SURCHARGE_BASE_TYPES = ['linehaul', 'per_mile'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Validate line items and compute each amount and the quote total server-side.
+// Returns { items, total } or { error }.
+const normalizeLineItems = (lineItems) => {
+    if (!Array.isArray(lineItems) || lineItems.length === 0) {
+        return { error: 'At least one line item is required' };
+    }
+
+    const items = [];
+    for (let i = 0; i < lineItems.length; i++) {
+        const item = lineItems[i] || {};
+        const position = i + 1;
+
+        if (!LINE_ITEM_TYPES.includes(item.type)) {
+            return { error: `Line item ${position} has an invalid type` };
+        }
+
+        const percent = item.percent !== undefined && item.percent !== null ? parseFloat(item.percent) : null;
+        if (percent !== null) {
+            if (item.type !== 'fuel_surcharge') {
+                return { error: `Line item ${position}: only fuel surcharge can be a percentage` };
+            }
+            if (isNaN(percent) || percent <= 0 || percent > 100) {
+                return { error: `Line item ${position} has an invalid percentage` };
+            }
+        }
+
+        const quantity = item.quantity !== undefined ? parseFloat(item.quantity) : 1;
+        const unitPrice = item.unit_price !== undefined ? parseFloat(item.unit_price) : parseFloat(item.amount);
+        if (percent === null && (isNaN(quantity) || quantity <= 0 || isNaN(unitPrice) || unitPrice < 0)) {
+            return { error: `Line item ${position} needs a positive quantity and a unit price` };
+        }
+
+        items.push({
+            item_type: item.type,
+            description: item.description || null,
+            quantity: percent === null ? quantity : null,
+            unit_price: percent === null ? unitPrice : null,
+            percent,
+            amount: percent === null ? roundMoney(quantity * unitPrice) : null,
+            sort_order: position
+        });
+    }
+
+    const surchargeBase = items
+        .filter(item => SURCHARGE_BASE_TYPES.includes(item.item_type) && item.amount !== null)
+        .reduce((sum, item) => sum + item.amount, 0);
+
+    for (const item of items) {
+        if (item.percent !== null) {
+            item.amount = roundMoney(surchargeBase * item.percent / 100);
+        }
+    }
+
+    const total = roundMoney(items.reduce((sum, item) => sum + item.amount, 0));
+    if (total <= 0) {
+        return { error: 'Quote total must be greater than zero' };
+    }
+
+    return { items, total };
+};
+
+// Replace all line items of a quote (db can be the pool or a transaction connection)
+const saveLineItems = async (db, quoteId, items) => {
+    await db.query('DELETE FROM quote_line_items WHERE quote_id = ?', [quoteId]);
+
+    for (const item of items) {
+        await db.query(`
+            INSERT INTO quote_line_items (id, quote_id, item_type, description, quantity, unit_price, percent, amount, sort_order)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [uuidv4(), quoteId, item.item_type, item.description, item.quantity, item.unit_price, item.percent, item.amount, item.sort_order]);
+    }
+};
+
+const getLineItems = async (db, quoteId) => {
+    const [items] = await db.query(
+        'SELECT * FROM quote_line_items WHERE quote_id = ? ORDER BY sort_order ASC',
+        [quoteId]
+    );
+    return items;
+};
+
+// Add a `line_items` array to each quote row; idField names the column holding the quote id
+const attachLineItems = async (db, quotes, idField = 'id') => {
+    if (quotes.length === 0) return quotes;
+
+    const [items] = await db.query(
+        'SELECT * FROM quote_line_items WHERE quote_id IN (?) ORDER BY quote_id, sort_order ASC',
+        [quotes.map(q => q[idField])]
+    );
+
+    for (const quote of quotes) {
+        quote.line_items = items.filter(item => item.quote_id === quote[idField]);
+    }
+    return quotes;
+};
+
+module.exports = {
+    LINE_ITEM_TYPES,
+    normalizeLineItems,
+    saveLineItems,
+    getLineItems,
+    attachLineItems
+};
@@ -0,0 +1,85 @@
+const { v4: uuidv4 } = require('uuid');
+const { isQuoteExpired } = require('./quoteLifecycle');
+
+// Whose move it is for each negotiation state. 'platform' is the admin, or the shipper in self-service mode.
+const NEXT_SIDE = {
+    none: 'platform',
+    declined: 'platform',
+    awaiting_provider: 'provider',
+    awaiting_platform: 'platform',
+    agreed: null
+};
+
+// Which side of the negotiation the user is on for this quote
+const getNegotiationSide = (user, quote, mode) => {
+    if (user.id === quote.provider_id) return 'provider';
+    if (user.role === 'admin') return 'platform';
+    if (mode === 'self_service' && user.role === 'shipper' && user.id === quote.shipper_id) return 'platform';
+    return null;
+};
+
+// Returns an error message if the side may not take this action now, otherwise null
+const validateNegotiationStep = (quote, side, action, amount) => {
+    if (quote.status !== 'pending' || isQuoteExpired(quote)) {
+        return 'Only pending quotes can be negotiated';
+    }
+
+    const state = quote.negotiation_status || 'none';
+    if (NEXT_SIDE[state] !== side) {
+        return state === 'agreed' ? 'A price has already been agreed for this quote' : 'Waiting for the other party to respond';
+    }
+
+    if (action === 'counter') {
+        if (!amount || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
+            return 'A valid counter amount is required';
+        }
+    } else if (state === 'none' || state === 'declined') {
+        return 'There is no counter offer to respond to';
+    }
+
+    return null;
+};
+
+// The amount that becomes the agreed price if this quote is accepted
+const getEffectiveAmount = (quote) => {
+    return quote.negotiation_status === 'agreed' && quote.negotiated_amount !== null
+        ? quote.negotiated_amount
+        : quote.amount;
+};
+
+// Apply a negotiation step to the quote and log it in the thread.
+// The quote row should be locked by the caller so both sides cannot act on the same state.
+const recordNegotiationStep = async (db, { quote, side, senderId, action, amount, note }) => {
+    let newState;
+    let negotiatedAmount = quote.negotiated_amount;
+
+    if (action === 'counter') {
+        newState = side === 'platform' ? 'awaiting_provider' : 'awaiting_platform';
+        negotiatedAmount = parseFloat(amount);
+    } else if (action === 'accept') {
+        // negotiated_amount always holds the counter currently on the table
+        newState = 'agreed';
+    } else {
+        newState = 'declined';
+        negotiatedAmount = null;
+    }
+
+    await db.query(`
+        INSERT INTO quote_negotiations (id, quote_id, sender_id, sender_side, action, amount, note)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [uuidv4(), quote.id, senderId, side, action, action === 'decline' ? null : negotiatedAmount, note || null]);
+
+    await db.query(
+        'UPDATE quotes SET negotiation_status = ?, negotiated_amount = ? WHERE id = ?',
+        [newState, negotiatedAmount, quote.id]
+    );
+
+    return { negotiationStatus: newState, negotiatedAmount };
+};
+
+module.exports = {
+    getNegotiationSide,
+    validateNegotiationStep,
+    getEffectiveAmount,
+    recordNegotiationStep
+};
@@ -0,0 +1,250 @@
+const { getAcceptError } = require('./quoteLifecycle');
+const { getEffectiveAmount } = require('./quoteNegotiation');
+
+// Relative weight of each factor in the overall score. Factors that do not
+// apply to a quote (vehicle and driver for escorts) are left out and the rest re-weighted.
+const SCORE_WEIGHTS = {
+    price: 0.35,
+    rating: 0.2,
+    onTime: 0.2,
+    vehicleFit: 0.15,
+    driverAvailability: 0.1
+};
+
+// Score used when there is no history to judge a provider on
+const NEUTRAL_SCORE = 0.5;
+
+const DRIVER_AVAILABLE_STATUSES = ['active', 'available'];
+// A vehicle that is merely in use today may be free by the shipment date
+const VEHICLE_UNAVAILABLE_STATUSES = ['maintenance', 'inactive', 'retired', 'out_of_service'];
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Vehicle capacity is free text ("48000", "48,000 lbs", "24 tons"); returns pounds or null
+const parseCapacityLbs = (capacity) => {
+    if (capacity === null || capacity === undefined) return null;
+    const text = String(capacity).toLowerCase().replace(/,/g, '');
+    const match = text.match(/(\d+(\.\d+)?)/);
+    if (!match) return null;
+    const value = parseFloat(match[1]);
+    return /\bton/.test(text) ? value * 2000 : value;
+};
+
+// Vehicle dimensions are free text ("53x8.5x13.5", "53' x 8.5' x 13.5'"); read as length x width x height in feet
+const parseDimensionsFt = (dimensions) => {
+    if (!dimensions) return null;
+    const numbers = String(dimensions).match(/\d+(\.\d+)?/g);
+    if (!numbers || numbers.length < 2) return null;
+    const [length, width, height] = numbers.map(parseFloat);
+    return { length, width, height: height === undefined ? null : height };
+};
+
+// 1 when the vehicle clearly carries the load, 0 when it cannot, neutral when the listing is too vague to tell
+const scoreVehicleFit = (booking, vehicle) => {
+    if (!vehicle) return { score: NEUTRAL_SCORE, reason: 'No vehicle on the quote' };
+    if (VEHICLE_UNAVAILABLE_STATUSES.includes(vehicle.status)) {
+        return { score: 0, reason: `Vehicle is ${vehicle.status}` };
+    }
+
+    const capacity = parseCapacityLbs(vehicle.capacity);
+    const dimensions = parseDimensionsFt(vehicle.dimensions);
+    if (capacity === null && !dimensions) {
+        return { score: NEUTRAL_SCORE, reason: 'Vehicle capacity and dimensions unknown' };
+    }
+
+    const weight = parseFloat(booking.weight_lbs);
+    if (capacity !== null && weight > capacity) {
+        return { score: 0, reason: `Load of ${weight} lbs exceeds vehicle capacity of ${capacity} lbs` };
+    }
+
+    // Deck length and width only: oversize loads overhang by design, so a short deck counts against the fit rather than ruling it out
+    let score = 1;
+    const reasons = [];
+    if (dimensions) {
+        if (parseFloat(booking.dimensions_length_ft) > dimensions.length) {
+            score -= 0.3;
+            reasons.push('load is longer than the deck');
+        }
+        if (parseFloat(booking.dimensions_width_ft) > dimensions.width) {
+            score -= 0.2;
+            reasons.push('load is wider than the deck');
+        }
+    }
+    if (capacity === null || !dimensions) {
+        score = Math.min(score, 0.8);
+        reasons.push(capacity === null ? 'capacity unknown' : 'dimensions unknown');
+    }
+
+    return { score: Math.max(score, 0), reason: reasons.length > 0 ? reasons.join(', ') : 'Vehicle fits the load' };
+};
+
+const scoreDriverAvailability = (booking, driver, conflictingBookings) => {
+    if (!driver) return { score: NEUTRAL_SCORE, reason: 'No driver on the quote' };
+    if (driver.status && !DRIVER_AVAILABLE_STATUSES.includes(driver.status)) {
+        return { score: 0, reason: `Driver is ${driver.status}` };
+    }
+    if (driver.license_expiry && new Date(driver.license_expiry) < new Date(booking.shipment_date)) {
+        return { score: 0, reason: 'Driver licence expires before the shipment date' };
+    }
+    if (conflictingBookings > 0) {
+        return { score: 0, reason: `Driver is already booked on ${conflictingBookings} shipment(s) that day` };
+    }
+    return { score: 1, reason: 'Driver is available' };
+};
+
+// Combine factor scores into a 0-100 total, skipping factors that are null
+const combineScores = (factors) => {
+    let total = 0;
+    let weightSum = 0;
+    for (const [name, factor] of Object.entries(factors)) {
+        if (!factor) continue;
+        total += factor.score * SCORE_WEIGHTS[name];
+        weightSum += SCORE_WEIGHTS[name];
+    }
+    return weightSum > 0 ? Math.round((total / weightSum) * 1000) / 10 : 0;
+};
+
+// Load review and delivery history for a set of providers in one pass each
+const loadProviderHistory = async (db, providerIds) => {
+    const history = {};
+    if (providerIds.length === 0) return history;
+
+    const [ratings] = await db.query(`
+        SELECT subject_id, COUNT(*) as total_reviews, AVG(rating) as average_rating
+        FROM reviews
+        WHERE subject_id IN (?)
+        GROUP BY subject_id
+    `, [providerIds]);
+
+    // A job counts as on time when it went in transit no later than the shipment date
+    const [deliveries] = await db.query(`
+        SELECT p.provider_id,
+               COUNT(DISTINCT b.id) as completed_jobs,
+               COUNT(DISTINCT CASE WHEN DATE(h.created_at) <= DATE(b.shipment_date) THEN b.id END) as on_time_jobs
+        FROM (
+            SELECT id as booking_id, carrier_id as provider_id FROM bookings WHERE carrier_id IN (?)
+            UNION
+            SELECT booking_id, escort_id as provider_id FROM booking_escorts WHERE escort_id IN (?) AND status != 'released'
+        ) p
+        JOIN bookings b ON b.id = p.booking_id
+        LEFT JOIN booking_status_history h ON h.booking_id = b.id AND h.to_status = 'in_transit'
+        WHERE b.status IN ('delivered', 'completed')
+        GROUP BY p.provider_id
+    `, [providerIds, providerIds]);
+
+    for (const id of providerIds) {
+        history[id] = { totalReviews: 0, averageRating: null, completedJobs: 0, onTimeJobs: 0 };
+    }
+    for (const row of ratings) {
+        history[row.subject_id].totalReviews = row.total_reviews;
+        history[row.subject_id].averageRating = parseFloat(row.average_rating);
+    }
+    for (const row of deliveries) {
+        history[row.provider_id].completedJobs = row.completed_jobs;
+        history[row.provider_id].onTimeJobs = row.on_time_jobs;
+    }
+    return history;
+};
+
+// Rank the open quotes on a booking. Carriers are ranked together and escorts per position,
+// since price is only comparable between quotes competing for the same slot.
+// Returns { carriers: [...], escorts: { front: [...], ... } }, each list best first.
+const rankQuotesForBooking = async (db, booking) => {
+    const [quotes] = await db.query(`
+        SELECT q.*, u.role as provider_role, u.full_name as provider_name, p.company_name,
+               v.capacity as vehicle_capacity, v.dimensions as vehicle_dimensions, v.status as vehicle_status,
+               d.status as driver_status, d.license_expiry as driver_license_expiry
+        FROM quotes q
+        JOIN users u ON q.provider_id = u.id
+        LEFT JOIN profiles p ON u.id = p.user_id
+        LEFT JOIN vehicles v ON q.vehicle_id = v.id
+        LEFT JOIN drivers d ON q.driver_id = d.id
+        WHERE q.booking_id = ? AND q.status = 'pending'
+    `, [booking.id]);
+
+    const open = quotes.filter(quote => !getAcceptError(quote));
+    const history = await loadProviderHistory(db, [...new Set(open.map(q => q.provider_id))]);
+
+    const driverIds = open.map(q => q.driver_id).filter(Boolean);
+    const conflicts = {};
+    if (driverIds.length > 0) {
+        const [rows] = await db.query(`
+            SELECT assigned_driver_id, COUNT(*) as total
+            FROM bookings
+            WHERE assigned_driver_id IN (?) AND id != ? AND status IN ('booked', 'in_transit')
+            AND DATE(shipment_date) = DATE(?)
+            GROUP BY assigned_driver_id
+        `, [driverIds, booking.id, booking.shipment_date]);
+        for (const row of rows) conflicts[row.assigned_driver_id] = row.total;
+    }
+
+    const groups = {};
+    for (const quote of open) {
+        const key = quote.provider_role === 'escort' ? `escort:${quote.escort_position || 'front'}` : 'carrier';
+        (groups[key] = groups[key] || []).push(quote);
+    }
+
+    const ranked = { carriers: [], escorts: {} };
+    for (const [key, group] of Object.entries(groups)) {
+        const lowest = Math.min(...group.map(q => parseFloat(getEffectiveAmount(q))));
+
+        const entries = group.map(quote => {
+            const amount = parseFloat(getEffectiveAmount(quote));
+            const provider = history[quote.provider_id];
+            const isCarrier = key === 'carrier';
+
+            const factors = {
+                price: { score: round(lowest / amount), reason: amount === lowest ? 'Lowest price' : `${Math.round((amount / lowest - 1) * 100)}% above the lowest price` },
+                rating: provider.averageRating === null
+                    ? { score: NEUTRAL_SCORE, reason: 'No reviews yet' }
+                    : { score: round(provider.averageRating / 5), reason: `${provider.averageRating.toFixed(1)} stars from ${provider.totalReviews} review(s)` },
+                onTime: provider.completedJobs === 0
+                    ? { score: NEUTRAL_SCORE, reason: 'No completed jobs yet' }
+                    : { score: round(provider.onTimeJobs / provider.completedJobs), reason: `${provider.onTimeJobs} of ${provider.completedJobs} jobs on time` },
+                vehicleFit: isCarrier ? scoreVehicleFit(booking, quote.vehicle_id ? {
+                    capacity: quote.vehicle_capacity,
+                    dimensions: quote.vehicle_dimensions,
+                    status: quote.vehicle_status
+                } : null) : null,
+                driverAvailability: isCarrier ? scoreDriverAvailability(booking, quote.driver_id ? {
+                    status: quote.driver_status,
+                    license_expiry: quote.driver_license_expiry
+                } : null, conflicts[quote.driver_id] || 0) : null
+            };
+
+            return {
+                quote_id: quote.id,
+                provider_id: quote.provider_id,
+                provider_name: quote.provider_name,
+                company_name: quote.company_name,
+                provider_role: quote.provider_role,
+                escort_position: isCarrier ? null : (quote.escort_position || 'front'),
+                amount,
+                score: combineScores(factors),
+                // A vehicle that cannot carry the load or an unavailable driver rules the quote out of auto-matching
+                disqualified: Boolean((factors.vehicleFit && factors.vehicleFit.score === 0)
+                    || (factors.driverAvailability && factors.driverAvailability.score === 0)),
+                breakdown: factors
+            };
+        });
+
+        entries.sort((a, b) => a.disqualified - b.disqualified || b.score - a.score || a.amount - b.amount);
+        if (key === 'carrier') {
+            ranked.carriers = entries;
+        } else {
+            ranked.escorts[key.split(':')[1]] = entries;
+        }
+    }
+
+    return ranked;
+};
+
+module.exports = {
+    SCORE_WEIGHTS,
+    parseCapacityLbs,
+    parseDimensionsFt,
+    scoreVehicleFit,
+    scoreDriverAvailability,
+    combineScores,
+    rankQuotesForBooking
+};
@@ -0,0 +1,125 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../config/database');
+const { createNotification } = require('../routes/notifications');
+const { changeBookingStatus } = require('./bookingLifecycle');
+const { getOpenEscortPositions } = require('./bookingEscorts');
+const { resolveValidUntil } = require('./quoteLifecycle');
+const { saveLineItems } = require('./quoteLineItems');
+const { getBiddingError } = require('./tenders');
+
+// Validate and insert a provider's quote on a booking, moving the booking to 'quoted' on its first quote.
+// Must run inside the caller's transaction. `validity` holds the client's valid_until / valid_for_hours.
+// Returns { quoteId, validUntil, booking } or { status, error } for the caller to send back.
+const submitQuote = async (db, { providerId, role, bookingId, amount, lineItems, driverId, vehicleId, notes, escortPosition, validity }) => {
+    // 1. Check if booking exists and is available
+    const [booking] = await db.query(
+        'SELECT id, status, carrier_id, escort_id, requires_escort, required_escort_positions, bid_type, bid_deadline, revision FROM bookings WHERE id = ?',
+        [bookingId]
+    );
+    if (booking.length === 0) {
+        return { status: 404, error: 'Booking not found' };
+    }
+
+    const b = booking[0];
+
+    const biddingError = getBiddingError(b);
+    if (biddingError) {
+        return { status: 400, error: biddingError };
+    }
+
+    // Sealed bids have to remain open for evaluation after the deadline
+    const { validUntil, error: validityError } = resolveValidUntil(validity || {}, b.bid_type === 'sealed' ? b.bid_deadline : null);
+    if (validityError) {
+        return { status: 400, error: validityError };
+    }
+
+    let position = null;
+    if (role === 'escort') {
+        if (!amount || !vehicleId || !notes) {
+            return { status: 400, error: 'Missing required fields: Amount, Vehicle, and Notes are mandatory' };
+        }
+        if (b.requires_escort !== 1) {
+            return { status: 400, error: 'This booking does not require an escort' };
+        }
+
+        // Escorts bid on a specific position; it can be omitted when only one is open
+        const openPositions = await getOpenEscortPositions(db, b);
+        if (openPositions.length === 0) {
+            return { status: 400, error: 'All escort positions are already filled for this booking' };
+        }
+        position = escortPosition || (openPositions.length === 1 ? openPositions[0] : null);
+        if (!position) {
+            return { status: 400, error: `Please choose an escort position: ${openPositions.join(', ')}` };
+        }
+        if (!openPositions.includes(position)) {
+            return { status: 400, error: `The ${position} escort position is not open on this booking` };
+        }
+    } else if (role === 'carrier') {
+        if (!amount || !driverId || !vehicleId || !notes) {
+            return { status: 400, error: 'Missing required fields: Amount, Driver, Vehicle, and Notes are mandatory' };
+        }
+        if (b.carrier_id) {
+            return { status: 400, error: 'Carrier already assigned to this booking' };
+        }
+    } else {
+        return { status: 403, error: 'Only carriers and escorts can submit quotes' };
+    }
+
+    // 2. Check if provider already quoted (withdrawn or expired quotes can be replaced)
+    const [existingQuote] = await db.query(
+        'SELECT id FROM quotes WHERE booking_id = ? AND provider_id = ? AND status NOT IN ("withdrawn", "expired")',
+        [bookingId, providerId]
+    );
+    if (existingQuote.length > 0) {
+        return { status: 400, error: 'You have already submitted a quote for this booking' };
+    }
+
+    // 3. Create quote
+    const quoteId = uuidv4();
+    await db.query(`
+        INSERT INTO quotes (id, booking_id, provider_id, amount, driver_id, vehicle_id, notes, escort_position, valid_until, booking_revision, status)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')
+    `, [quoteId, bookingId, providerId, amount, driverId || null, vehicleId || null, notes, position, validUntil, b.revision || 1]);
+
+    if (lineItems) {
+        await saveLineItems(db, quoteId, lineItems);
+    }
+
+    // 4. Update booking status to 'quoted' if it was 'pending_quote'
+    if (b.status === 'pending_quote') {
+        await changeBookingStatus(db, {
+            bookingId,
+            fromStatus: 'pending_quote',
+            toStatus: 'quoted',
+            actorId: providerId,
+            actorRole: 'system',
+            note: 'First quote received'
+        });
+    }
+
+    return { quoteId, validUntil, booking: b };
+};
+
+// Notify all admins about a new quote (sealed bids stay hidden until bidding closes). Call after commit.
+const notifyQuoteSubmitted = async ({ quoteId, booking, providerId, role, amount }) => {
+    const [admins] = await pool.query('SELECT id FROM users WHERE role = "admin"');
+    const [bookingData] = await pool.query('SELECT cargo_type, pickup_city, pickup_state FROM bookings WHERE id = ?', [booking.id]);
+    const bookingInfo = bookingData[0];
+    const sealed = booking.bid_type === 'sealed';
+
+    for (const admin of admins) {
+        await createNotification({
+            userId: admin.id,
+            type: 'quote',
+            title: `New ${sealed ? 'Sealed Bid' : 'Quote'} from ${role.charAt(0).toUpperCase() + role.slice(1)}`,
+            message: `${sealed ? 'Sealed bid' : `$${amount} quote`} received for ${bookingInfo.cargo_type} from ${bookingInfo.pickup_city}, ${bookingInfo.pickup_state}`,
+            link: '/dashboard/admin?section=quotes',
+            metadata: { quoteId, bookingId: booking.id, providerId }
+        });
+    }
+};
+
+module.exports = {
+    submitQuote,
+    notifyQuoteSubmitted
+};
@@ -0,0 +1,312 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../config/database');
+const { createNotification } = require('../routes/notifications');
+const { normalizeState } = require('./permitRules');
+const { getRequiredEscortPositions } = require('./bookingEscorts');
+const { normalizeLineItems } = require('./quoteLineItems');
+const { matchesLanePreference } = require('./laneAlerts');
+const { scoreVehicleFit } = require('./quoteRanking');
+const { submitQuote, notifyQuoteSubmitted } = require('./quoteSubmission');
+const { getBookingStops } = require('./bookingStops');
+const { computeRouteDistance } = require('./distance');
+
+const SURCHARGE_TYPES = {
+    over_width: { field: 'dimensions_width_ft', label: 'Over-width' },
+    over_height: { field: 'dimensions_height_ft', label: 'Over-height' },
+    over_length: { field: 'dimensions_length_ft', label: 'Over-length' },
+    over_weight: { field: 'weight_lbs', label: 'Over-weight' }
+};
+
+const parseJson = (value, fallback) => {
+    if (value === null || value === undefined) return fallback;
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return fallback;
+    }
+};
+
+const optionalAmount = (value) => {
+    if (value === undefined || value === null || value === '') return { value: null };
+    const number = parseFloat(value);
+    if (isNaN(number) || number < 0) return { error: true };
+    return { value: number };
+};
+
+// Validate a rate card from the request body. Returns { card } or { error }.
+const normalizeRateCard = (body) => {
+    const card = {
+        default_driver_id: body.defaultDriverId || null,
+        default_vehicle_id: body.defaultVehicleId || null,
+        auto_submit: body.autoSubmit ? 1 : 0,
+        active: body.active === false ? 0 : 1
+    };
+
+    const amounts = {
+        baseFee: 'base_fee',
+        defaultPerMile: 'default_per_mile',
+        escortAddon: 'escort_addon',
+        fuelSurchargePercent: 'fuel_surcharge_percent'
+    };
+    for (const [key, field] of Object.entries(amounts)) {
+        const { value, error } = optionalAmount(body[key]);
+        if (error) return { error: `${key} must be zero or a positive number` };
+        card[field] = value;
+    }
+    if (card.base_fee === null) card.base_fee = 0;
+    if (card.fuel_surcharge_percent !== null && card.fuel_surcharge_percent > 100) {
+        return { error: 'fuelSurchargePercent cannot exceed 100' };
+    }
+
+    const bands = body.stateBands || [];
+    if (!Array.isArray(bands)) return { error: 'stateBands must be a list' };
+    card.state_bands = [];
+    for (let i = 0; i < bands.length; i++) {
+        const band = bands[i] || {};
+        const perMile = parseFloat(band.perMile);
+        if (!Array.isArray(band.states) || band.states.length === 0 || isNaN(perMile) || perMile < 0) {
+            return { error: `State band ${i + 1} needs a list of states and a per-mile rate` };
+        }
+        const states = [];
+        for (const state of band.states) {
+            const code = normalizeState(state);
+            if (!code) return { error: `Unknown state in band ${i + 1}: ${state}` };
+            states.push(code);
+        }
+        card.state_bands.push({ name: band.name || `Band ${i + 1}`, states, perMile });
+    }
+
+    const surcharges = body.surcharges || [];
+    if (!Array.isArray(surcharges)) return { error: 'surcharges must be a list' };
+    card.surcharges = [];
+    for (let i = 0; i < surcharges.length; i++) {
+        const surcharge = surcharges[i] || {};
+        const threshold = parseFloat(surcharge.threshold);
+        const amount = parseFloat(surcharge.amount);
+        if (!SURCHARGE_TYPES[surcharge.type]) {
+            return { error: `Surcharge ${i + 1} type must be one of: ${Object.keys(SURCHARGE_TYPES).join(', ')}` };
+        }
+        if (isNaN(threshold) || threshold <= 0 || isNaN(amount) || amount <= 0) {
+            return { error: `Surcharge ${i + 1} needs a positive threshold and amount` };
+        }
+        card.surcharges.push({ type: surcharge.type, threshold, amount });
+    }
+
+    if (card.default_per_mile === null && card.state_bands.length === 0) {
+        return { error: 'A rate card needs a default per-mile rate or at least one state band' };
+    }
+
+    return { card };
+};
+
+// Per-mile rate that applies to a booking: the band covering the pickup state, else the default.
+// Null means the card does not cover the booking.
+const getPerMileRate = (card, booking) => {
+    const origin = normalizeState(booking.pickup_state);
+    const band = parseJson(card.state_bands, []).find(b => b.states.includes(origin));
+    if (band) return { rate: parseFloat(band.perMile), band: band.name };
+    if (card.default_per_mile !== null && card.default_per_mile !== undefined) {
+        return { rate: parseFloat(card.default_per_mile), band: null };
+    }
+    return null;
+};
+
+// Road miles for pricing: the booking's stored estimate, else measured from its stops.
+// Null when the route cannot be located.
+const getBookingMiles = async (db, booking) => {
+    if (parseFloat(booking.estimated_miles) > 0) return parseFloat(booking.estimated_miles);
+    const distance = computeRouteDistance(await getBookingStops(db, booking.id));
+    return distance ? distance.estimatedMiles : null;
+};
+
+// Price a booking from a rate card as quote line items.
+// Per-mile charges need the booking's distance; without it they are left out and flagged.
+// Returns { items, total, missingDistance } or { error }.
+const priceFromRateCard = (card, booking, miles) => {
+    const perMile = getPerMileRate(card, booking);
+    if (!perMile) return { error: 'Rate card does not cover this lane' };
+
+    const lineItems = [];
+
+    if (parseFloat(card.base_fee) > 0) {
+        lineItems.push({ type: 'linehaul', description: 'Base fee', amount: parseFloat(card.base_fee) });
+    }
+    if (miles) {
+        lineItems.push({
+            type: 'per_mile',
+            description: perMile.band ? `Mileage (${perMile.band})` : 'Mileage',
+            quantity: miles,
+            unit_price: perMile.rate
+        });
+    }
+
+    for (const surcharge of parseJson(card.surcharges, [])) {
+        const { field, label } = SURCHARGE_TYPES[surcharge.type];
+        if (parseFloat(booking[field]) > surcharge.threshold) {
+            lineItems.push({ type: 'other', description: `${label} surcharge`, amount: surcharge.amount });
+        }
+    }
+
+    const escortCount = getRequiredEscortPositions(booking).length;
+    if (escortCount > 0 && parseFloat(card.escort_addon) > 0) {
+        lineItems.push({ type: 'escort', description: 'Escort coordination', quantity: escortCount, unit_price: parseFloat(card.escort_addon) });
+    }
+
+    if (parseFloat(card.fuel_surcharge_percent) > 0 && lineItems.some(item => ['linehaul', 'per_mile'].includes(item.type))) {
+        lineItems.push({ type: 'fuel_surcharge', description: 'Fuel surcharge', percent: parseFloat(card.fuel_surcharge_percent) });
+    }
+
+    const { items, total, error } = normalizeLineItems(lineItems);
+    if (error) return { error };
+    return { items, total, missingDistance: !miles };
+};
+
+// Does the booking fit the carrier's lanes and default equipment?
+const fitsCarrier = async (db, card, booking) => {
+    const [lanes] = await db.query('SELECT * FROM lane_preferences WHERE user_id = ? AND active = 1', [card.carrier_id]);
+    if (lanes.length > 0 && !lanes.some(lane => matchesLanePreference(lane, booking, 'carrier'))) return false;
+
+    if (card.default_vehicle_id) {
+        const [vehicles] = await db.query('SELECT capacity, dimensions, status FROM vehicles WHERE id = ?', [card.default_vehicle_id]);
+        if (vehicles.length > 0 && scoreVehicleFit(booking, vehicles[0]).score === 0) return false;
+    }
+    return true;
+};
+
+// Submit a draft as a real quote. Returns { quoteId } or { status, error }.
+const submitDraft = async (draft) => {
+    if (!draft.driver_id || !draft.vehicle_id) {
+        return { status: 400, error: 'Set a default driver and vehicle on your rate card before submitting drafts' };
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [rows] = await connection.query('SELECT status FROM quote_drafts WHERE id = ? FOR UPDATE', [draft.id]);
+        if (rows.length === 0 || rows[0].status !== 'draft') {
+            await connection.rollback();
+            return { status: 409, error: 'This draft is no longer open' };
+        }
+
+        const result = await submitQuote(connection, {
+            providerId: draft.carrier_id,
+            role: 'carrier',
+            bookingId: draft.booking_id,
+            amount: parseFloat(draft.amount),
+            lineItems: parseJson(draft.line_items, null),
+            driverId: draft.driver_id,
+            vehicleId: draft.vehicle_id,
+            notes: draft.notes
+        });
+        if (result.error) {
+            await connection.rollback();
+            return result;
+        }
+
+        await connection.query(
+            'UPDATE quote_drafts SET status = "submitted", quote_id = ? WHERE id = ?',
+            [result.quoteId, draft.id]
+        );
+        await connection.commit();
+
+        await notifyQuoteSubmitted({
+            quoteId: result.quoteId,
+            booking: result.booking,
+            providerId: draft.carrier_id,
+            role: 'carrier',
+            amount: draft.amount
+        });
+        return { quoteId: result.quoteId };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+// Create a draft quote on a booking from one rate card, submitting it when the card auto-submits.
+// Returns the draft, or null when the card does not fit or cover the booking.
+const generateDraftFromCard = async (card, booking, miles) => {
+    if (!(await fitsCarrier(pool, card, booking))) return null;
+
+    const price = priceFromRateCard(card, booking, miles);
+    if (price.error) return null;
+
+    const draft = {
+        id: uuidv4(),
+        booking_id: booking.id,
+        carrier_id: card.carrier_id,
+        rate_card_id: card.id,
+        amount: price.total,
+        line_items: JSON.stringify(price.items),
+        driver_id: card.default_driver_id,
+        vehicle_id: card.default_vehicle_id,
+        notes: price.missingDistance
+            ? 'Instant quote from rate card (mileage not included: no distance on the booking)'
+            : 'Instant quote from rate card'
+    };
+    await pool.query(`
+        INSERT INTO quote_drafts (id, booking_id, carrier_id, rate_card_id, amount, line_items, driver_id, vehicle_id, notes, status)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'draft')
+    `, [draft.id, draft.booking_id, draft.carrier_id, draft.rate_card_id, draft.amount, draft.line_items, draft.driver_id, draft.vehicle_id, draft.notes]);
+
+    // Incomplete prices always wait for the carrier to review them
+    let submitted = false;
+    if (card.auto_submit && !price.missingDistance) {
+        const result = await submitDraft(draft);
+        submitted = !result.error;
+    }
+
+    await createNotification({
+        userId: card.carrier_id,
+        type: 'quote',
+        title: submitted ? 'Instant Quote Submitted' : 'Draft Quote Ready',
+        message: submitted
+            ? `Your rate card quoted $${draft.amount} for ${booking.cargo_type} from ${booking.pickup_city}, ${booking.pickup_state}`
+            : `Review a $${draft.amount} draft quote for ${booking.cargo_type} from ${booking.pickup_city}, ${booking.pickup_state}`,
+        link: '/dashboard/carrier?section=quotes',
+        metadata: { bookingId: booking.id, draftId: draft.id }
+    });
+    return { ...draft, submitted };
+};
+
+// Create draft quotes on a booking for every active rate card that covers it.
+// Cards set to auto-submit turn the draft straight into a quote when the price is complete.
+// A failing card is logged and skipped so it cannot hold up the others.
+const generateDraftsForBooking = async (booking) => {
+    const [cards] = await pool.query(`
+        SELECT rc.* FROM rate_cards rc
+        JOIN users u ON rc.carrier_id = u.id
+        WHERE rc.active = 1 AND u.status = 'active'
+        AND rc.carrier_id NOT IN (SELECT carrier_id FROM quote_drafts WHERE booking_id = ?)
+        AND rc.carrier_id NOT IN (SELECT provider_id FROM quotes WHERE booking_id = ? AND status NOT IN ('withdrawn', 'expired'))
+    `, [booking.id, booking.id]);
+
+    const miles = await getBookingMiles(pool, booking);
+
+    const created = [];
+    for (const card of cards) {
+        try {
+            const draft = await generateDraftFromCard(card, booking, miles);
+            if (draft) created.push(draft);
+        } catch (error) {
+            console.error(`Rate card error for card ${card.id} on booking ${booking.id}:`, error);
+        }
+    }
+
+    return created;
+};
+
+module.exports = {
+    SURCHARGE_TYPES,
+    parseJson,
+    normalizeRateCard,
+    getPerMileRate,
+    getBookingMiles,
+    priceFromRateCard,
+    submitDraft,
+    generateDraftsForBooking
+};
@@ -0,0 +1,153 @@
+const stateLimits = require('../data/state_limits.json');
+const { normalizeState } = require('./permitRules');
+
+// How much each shared attribute counts towards a past booking being comparable (sums to 1)
+const SIMILARITY_WEIGHTS = {
+    origin: 0.25,
+    destination: 0.25,
+    sizeClass: 0.2,
+    weightClass: 0.15,
+    escort: 0.1,
+    cargoType: 0.05
+};
+
+// Past bookings below this similarity are not used at all
+const MIN_SIMILARITY = 0.45;
+const MAX_COMPARABLES = 30;
+
+// A quote this far outside the estimated range is flagged as an outlier
+const OUTLIER_TOLERANCE = 0.2;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Size class against the national planning limits: legal, oversize (permit needed) or superload
+const getSizeClass = (booking) => {
+    const { legal, superload } = stateLimits.default;
+    const dims = {
+        width_ft: parseFloat(booking.dimensions_width_ft) || 0,
+        height_ft: parseFloat(booking.dimensions_height_ft) || 0,
+        length_ft: parseFloat(booking.dimensions_length_ft) || 0
+    };
+    if (Object.keys(dims).some(key => dims[key] > superload[key])) return 'superload';
+    if (Object.keys(dims).some(key => dims[key] > legal[key])) return 'oversize';
+    return 'legal';
+};
+
+const getWeightClass = (booking) => {
+    const weight = parseFloat(booking.weight_lbs) || 0;
+    if (weight <= 48000) return 'light';
+    if (weight <= stateLimits.default.legal.weight_lbs) return 'legal';
+    if (weight <= stateLimits.default.superload.weight_lbs) return 'heavy';
+    return 'superheavy';
+};
+
+// Attributes a booking is compared on
+const describeBooking = (booking) => ({
+    origin: normalizeState(booking.pickup_state) || String(booking.pickup_state || '').toUpperCase(),
+    destination: normalizeState(booking.delivery_state) || String(booking.delivery_state || '').toUpperCase(),
+    sizeClass: getSizeClass(booking),
+    weightClass: getWeightClass(booking),
+    escort: Boolean(Number(booking.requires_escort)),
+    cargoType: String(booking.cargo_type || '').trim().toLowerCase()
+});
+
+const similarity = (a, b) => {
+    let score = 0;
+    for (const [key, weight] of Object.entries(SIMILARITY_WEIGHTS)) {
+        if (a[key] === b[key]) score += weight;
+    }
+    return Math.round(score * 100) / 100;
+};
+
+// Linear-interpolated percentile of a sorted list
+const percentile = (sorted, p) => {
+    if (sorted.length === 1) return sorted[0];
+    const index = (sorted.length - 1) * p;
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+const getConfidence = (count, averageSimilarity) => {
+    if (count >= 8 && averageSimilarity >= 0.75) return 'high';
+    if (count >= 3 && averageSimilarity >= 0.6) return 'medium';
+    return 'low';
+};
+
+// Estimate what providers will charge (carrier plus escorts) for a draft booking from similar
+// completed bookings. Returns { estimate: null, ... } when there is no comparable history.
+// Pass the booking's `id` to leave it out of its own history.
+const estimateRate = async (db, draft) => {
+    const target = describeBooking(draft);
+
+    const [history] = await db.query(`
+        SELECT b.id, b.pickup_state, b.delivery_state, b.cargo_type, b.requires_escort,
+               b.dimensions_length_ft, b.dimensions_width_ft, b.dimensions_height_ft, b.weight_lbs,
+               COALESCE(b.provider_price, b.agreed_price) as carrier_price,
+               COALESCE((SELECT SUM(be.agreed_price) FROM booking_escorts be WHERE be.booking_id = b.id AND be.status != 'released'), 0) as escort_price,
+               b.updated_at
+        FROM bookings b
+        WHERE b.status = 'completed' AND COALESCE(b.provider_price, b.agreed_price) IS NOT NULL
+        ${draft.id ? 'AND b.id != ?' : ''}
+        ORDER BY b.updated_at DESC
+        LIMIT 2000
+    `, draft.id ? [draft.id] : []);
+
+    const comparables = history
+        .map(row => ({ row, similarity: similarity(target, describeBooking(row)) }))
+        .filter(item => item.similarity >= MIN_SIMILARITY && parseFloat(item.row.carrier_price) > 0)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, MAX_COMPARABLES);
+
+    const basis = {
+        lane: `${target.origin} → ${target.destination}`,
+        sizeClass: target.sizeClass,
+        weightClass: target.weightClass,
+        requiresEscort: target.escort
+    };
+
+    if (comparables.length === 0) {
+        return { estimate: null, low: null, high: null, carrier: null, confidence: 'none', sampleSize: 0, basis };
+    }
+
+    // Interquartile range with the median as the point estimate
+    const range = (values) => {
+        const sorted = values.sort((a, b) => a - b);
+        return {
+            estimate: roundMoney(percentile(sorted, 0.5)),
+            low: roundMoney(percentile(sorted, 0.25)),
+            high: roundMoney(percentile(sorted, 0.75))
+        };
+    };
+
+    const total = range(comparables.map(item => parseFloat(item.row.carrier_price) + parseFloat(item.row.escort_price)));
+    const averageSimilarity = comparables.reduce((sum, item) => sum + item.similarity, 0) / comparables.length;
+
+    return {
+        ...total,
+        // The carrier's share on its own, for judging carrier quotes
+        carrier: range(comparables.map(item => parseFloat(item.row.carrier_price))),
+        confidence: getConfidence(comparables.length, averageSimilarity),
+        sampleSize: comparables.length,
+        averageSimilarity: Math.round(averageSimilarity * 100) / 100,
+        basis
+    };
+};
+
+// Compare a provider amount with an estimate range: percentage off the midpoint and whether it is an outlier
+const compareToEstimate = (amount, estimate) => {
+    if (!estimate || estimate.estimate === null || estimate.estimate === undefined) return null;
+    const value = parseFloat(amount);
+    return {
+        deviation_percent: Math.round(((value - estimate.estimate) / estimate.estimate) * 1000) / 10,
+        is_outlier: value < estimate.low * (1 - OUTLIER_TOLERANCE) || value > estimate.high * (1 + OUTLIER_TOLERANCE)
+    };
+};
+
+module.exports = {
+    getSizeClass,
+    getWeightClass,
+    describeBooking,
+    estimateRate,
+    compareToEstimate
+};
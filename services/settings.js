@@ -0,0 +1,19 @@
+// Platform-wide settings stored as key/value pairs in platform_settings
+
+const getSetting = async (db, key, fallback = null) => {
+    const [rows] = await db.query('SELECT value FROM platform_settings WHERE setting_key = ?', [key]);
+    return rows.length > 0 ? rows[0].value : fallback;
+};
+
+const setSetting = async (db, key, value, updatedBy) => {
+    await db.query(`
+        INSERT INTO platform_settings (setting_key, value, updated_by)
+        VALUES (?, ?, ?)
+        ON DUPLICATE KEY UPDATE value = VALUES(value), updated_by = VALUES(updated_by)
+    `, [key, value, updatedBy || null]);
+};
+
+module.exports = {
+    getSetting,
+    setSetting
+};
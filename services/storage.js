@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// File storage behind a small driver interface so uploads can move off the local disk later.
+// Every driver implements save(key, buffer, contentType), read(key) -> Buffer and remove(key).
+
+const DEFAULT_LOCAL_DIR = path.join(__dirname, '..', 'uploads');
+
+// Keys are generated by the app, but never let one escape the storage root
+const isSafeKey = (key) => typeof key === 'string' && /^[a-zA-Z0-9/_.-]+$/.test(key) && !key.split('/').includes('..');
+
+const createLocalStorage = () => {
+    const root = path.resolve(process.env.STORAGE_LOCAL_DIR || DEFAULT_LOCAL_DIR);
+    const resolve = (key) => {
+        if (!isSafeKey(key)) throw new Error(`Invalid storage key: ${key}`);
+        return path.join(root, key);
+    };
+
+    return {
+        name: 'local',
+        save: async (key, buffer) => {
+            const filePath = resolve(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer);
+            return key;
+        },
+        read: async (key) => fs.promises.readFile(resolve(key)),
+        remove: async (key) => {
+            await fs.promises.rm(resolve(key), { force: true });
+        }
+    };
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// S3 (or any S3-compatible service such as MinIO) over plain HTTP with AWS Signature Version 4,
+// so no SDK is needed. Point S3_ENDPOINT at a local stand-in for development.
+const createS3Storage = () => {
+    const region = process.env.S3_REGION || 'us-east-1';
+    const bucket = process.env.S3_BUCKET;
+    const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+    const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+        throw new Error('The s3 storage driver needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+
+    const endpoint = new URL(process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`);
+    // Path-style addressing works with local stand-ins that have no per-bucket hostnames
+    const pathStyle = process.env.S3_FORCE_PATH_STYLE !== 'false';
+
+    const request = async (method, key, body, contentType) => {
+        if (!isSafeKey(key)) throw new Error(`Invalid storage key: ${key}`);
+
+        const host = pathStyle ? endpoint.host : `${bucket}.${endpoint.host}`;
+        const objectPath = `${pathStyle ? `/${bucket}` : ''}/${key.split('/').map(encodeURIComponent).join('/')}`;
+        const payloadHash = sha256(body || '');
+        const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const dateStamp = amzDate.slice(0, 8);
+        const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+        const signedHeaders = 'host;x-amz-content-sha256;x-amz-date';
+        const canonicalRequest = [
+            method,
+            objectPath,
+            '',
+            `host:${host}\nx-amz-content-sha256:${payloadHash}\nx-amz-date:${amzDate}\n`,
+            signedHeaders,
+            payloadHash
+        ].join('\n');
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+        let signingKey = hmac(`AWS4${secretAccessKey}`, dateStamp);
+        for (const part of [region, 's3', 'aws4_request']) signingKey = hmac(signingKey, part);
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        const headers = {
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate,
+            Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+        };
+        if (contentType) headers['Content-Type'] = contentType;
+
+        const response = await fetch(`${endpoint.protocol}//${host}${objectPath}`, { method, headers, body });
+        if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+            throw new Error(`S3 ${method} ${key} failed with ${response.status}: ${await response.text()}`);
+        }
+        return response;
+    };
+
+    return {
+        name: 's3',
+        save: async (key, buffer, contentType) => {
+            await request('PUT', key, buffer, contentType);
+            return key;
+        },
+        read: async (key) => Buffer.from(await (await request('GET', key)).arrayBuffer()),
+        remove: async (key) => {
+            await request('DELETE', key);
+        }
+    };
+};
+
+const DRIVERS = {
+    local: createLocalStorage,
+    s3: createS3Storage
+};
+
+const instances = {};
+
+// A storage driver by name, or the configured one (STORAGE_DRIVER, local by default).
+// Files remember the driver they were written with, so switching drivers keeps old files readable.
+const getStorage = (name = process.env.STORAGE_DRIVER || 'local') => {
+    if (!instances[name]) {
+        if (!DRIVERS[name]) {
+            throw new Error(`Unknown storage driver "${name}". Available: ${Object.keys(DRIVERS).join(', ')}`);
+        }
+        instances[name] = DRIVERS[name]();
+    }
+    return instances[name];
+};
+
+const EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'application/pdf': 'pdf',
+    'text/plain': 'txt',
+    'text/csv': 'csv'
+};
+
+// Decode a base64 data URL from a JSON body. Returns { buffer, contentType, extension } or { error }.
+const parseDataUrl = (value, { allowedTypes, maxBytes }) => {
+    const match = /^data:([a-z]+\/[a-z0-9.+-]+);base64,([A-Za-z0-9+/=\s]+)$/.exec(String(value || ''));
+    if (!match) return { error: 'must be a base64 data URL' };
+
+    const contentType = match[1];
+    if (!allowedTypes.includes(contentType)) {
+        return { error: `must be one of: ${allowedTypes.join(', ')}` };
+    }
+
+    const buffer = Buffer.from(match[2], 'base64');
+    if (buffer.length === 0) return { error: 'is empty' };
+    if (buffer.length > maxBytes) {
+        return { error: `must be smaller than ${Math.round(maxBytes / 1024 / 1024)} MB` };
+    }
+
+    return { buffer, contentType, extension: EXTENSIONS[contentType] || 'bin' };
+};
+
+module.exports = {
+    DRIVERS,
+    getStorage,
+    parseDataUrl
+};
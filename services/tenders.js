@@ -0,0 +1,75 @@
+const { changeBookingStatus } = require('./bookingLifecycle');
+
+// 'open' bookings take quotes indefinitely and admins see them as they arrive;
+// 'sealed' tenders hide every bid until the deadline, then move to 'evaluation'.
+const BID_TYPES = ['open', 'sealed'];
+
+const BIDDING_STATUSES = ['pending_quote', 'quoted'];
+
+// Validate tender options from the request body. Returns { bidType, bidDeadline, autoAward } or { error }.
+const resolveTender = ({ bidType, bidDeadline, autoAward }) => {
+    const type = bidType || 'open';
+    if (!BID_TYPES.includes(type)) {
+        return { error: `Bid type must be one of: ${BID_TYPES.join(', ')}` };
+    }
+    if (type === 'open') {
+        return { bidType: 'open', bidDeadline: null, autoAward: false };
+    }
+
+    const deadline = new Date(bidDeadline);
+    if (!bidDeadline || isNaN(deadline.getTime())) {
+        return { error: 'Sealed-bid tenders need a valid bidding deadline' };
+    }
+    if (deadline <= new Date()) {
+        return { error: 'Bidding deadline must be in the future' };
+    }
+    return { bidType: 'sealed', bidDeadline: deadline, autoAward: Boolean(autoAward) };
+};
+
+// True while a sealed tender is still taking bids, i.e. nobody but the bidder may see them
+const areBidsSealed = (booking) => booking.bid_type === 'sealed' && BIDDING_STATUSES.includes(booking.status);
+
+// Returns an error message if providers can no longer bid on (or change bids for) the booking, otherwise null
+const getBiddingError = (booking) => {
+    if (booking.bid_type === 'sealed'
+        && (!BIDDING_STATUSES.includes(booking.status) || new Date(booking.bid_deadline) <= new Date())) {
+        return 'Bidding on this tender has closed';
+    }
+    return null;
+};
+
+// Returns an error message if a bid cannot be accepted yet, otherwise null
+const getSealedBidError = (booking) => {
+    if (areBidsSealed(booking)) {
+        return 'Sealed bids cannot be accepted until bidding closes';
+    }
+    return null;
+};
+
+// Move a sealed tender whose deadline has passed into evaluation.
+// Must run inside the caller's transaction; returns the number of bids received.
+const closeTender = async (db, booking) => {
+    await changeBookingStatus(db, {
+        bookingId: booking.id,
+        fromStatus: booking.status,
+        toStatus: 'evaluation',
+        actorId: null,
+        actorRole: 'system',
+        note: 'Sealed bidding closed'
+    });
+
+    const [bids] = await db.query(
+        'SELECT COUNT(*) as total FROM quotes WHERE booking_id = ? AND status = "pending"',
+        [booking.id]
+    );
+    return bids[0].total;
+};
+
+module.exports = {
+    BID_TYPES,
+    resolveTender,
+    areBidsSealed,
+    getBiddingError,
+    getSealedBidError,
+    closeTender
+};
@@ -0,0 +1,193 @@
+const { v4: uuidv4 } = require('uuid');
+const { getRoadFactor, haversineMiles, locateStop } = require('./distance');
+const { isAssignedDriver } = require('./bookingLifecycle');
+
+// Oversize loads rarely hold highway speed; used when recent pings don't give a usable speed
+const DEFAULT_SPEED_MPH = 45;
+
+// Pings older than this are not used to work out the current speed
+const SPEED_WINDOW_MINUTES = 60;
+
+const TRAIL_LIMIT = 100;
+const MAX_TRAIL_LIMIT = 500;
+
+const getMinPingIntervalSeconds = () => {
+    const seconds = parseInt(process.env.TRACKING_MIN_INTERVAL_SECONDS, 10);
+    return seconds >= 0 ? seconds : 30;
+};
+
+const getDefaultSpeedMph = () => {
+    const speed = parseFloat(process.env.TRACKING_DEFAULT_SPEED_MPH);
+    return speed > 0 ? speed : DEFAULT_SPEED_MPH;
+};
+
+const optionalNumber = (value, min, max) => {
+    if (value === undefined || value === null || value === '') return { value: null };
+    const number = parseFloat(value);
+    if (isNaN(number) || number < min || number > max) return { error: true };
+    return { value: number };
+};
+
+// Validate a GPS ping from the request body. Returns { ping } or { error }.
+const normalizePing = (body) => {
+    const latitude = parseFloat(body.latitude);
+    const longitude = parseFloat(body.longitude);
+    if (isNaN(latitude) || latitude < -90 || latitude > 90 || isNaN(longitude) || longitude < -180 || longitude > 180) {
+        return { error: 'A valid latitude and longitude are required' };
+    }
+
+    const ping = { latitude, longitude };
+    const ranges = {
+        speedMph: ['speed_mph', 0, 150],
+        heading: ['heading', 0, 360],
+        accuracyMeters: ['accuracy_m', 0, 100000]
+    };
+    for (const [key, [field, min, max]] of Object.entries(ranges)) {
+        const { value, error } = optionalNumber(body[key], min, max);
+        if (error) return { error: `${key} must be between ${min} and ${max}` };
+        ping[field] = value;
+    }
+
+    // Devices may send buffered pings late, but never from the future
+    ping.recorded_at = new Date();
+    if (body.recordedAt) {
+        const recordedAt = new Date(body.recordedAt);
+        if (isNaN(recordedAt.getTime()) || recordedAt.getTime() > Date.now() + 5 * 60 * 1000) {
+            return { error: 'recordedAt must be a valid time that is not in the future' };
+        }
+        ping.recorded_at = recordedAt;
+    }
+
+    return { ping };
+};
+
+// Who may post pings for a booking: its driver or one of its assigned escorts (needs `escort_ids` loaded)
+const getTrackingRole = async (db, booking, user) => {
+    if (await isAssignedDriver(db, booking, user)) return 'driver';
+    if (user.role === 'escort' && (booking.escort_id === user.id || (booking.escort_ids || []).includes(user.id))) return 'escort';
+    return null;
+};
+
+// Store a ping unless the user already sent one within the minimum interval.
+// Returns { id } or { status, error }.
+const recordPing = async (db, { bookingId, userId, role, ping }) => {
+    const interval = getMinPingIntervalSeconds();
+    const [recent] = await db.query(`
+        SELECT id FROM booking_locations
+        WHERE booking_id = ? AND user_id = ? AND created_at > DATE_SUB(NOW(), INTERVAL ? SECOND)
+        LIMIT 1
+    `, [bookingId, userId, interval]);
+    if (recent.length > 0) {
+        return { status: 429, error: `Location updates are limited to one every ${interval} seconds` };
+    }
+
+    const id = uuidv4();
+    await db.query(`
+        INSERT INTO booking_locations (id, booking_id, user_id, actor_role, latitude, longitude, speed_mph, heading, accuracy_m, recorded_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [id, bookingId, userId, role, ping.latitude, ping.longitude, ping.speed_mph, ping.heading, ping.accuracy_m, ping.recorded_at]);
+    return { id };
+};
+
+const toPoint = (row) => ({ lat: parseFloat(row.latitude), lon: parseFloat(row.longitude) });
+
+// Current speed from the trail: distance covered over the last hour of pings, else the last reported speed
+const estimateSpeedMph = (trail) => {
+    const latest = trail[trail.length - 1];
+    const windowStart = new Date(latest.recorded_at).getTime() - SPEED_WINDOW_MINUTES * 60 * 1000;
+    const recent = trail.filter(row => new Date(row.recorded_at).getTime() >= windowStart);
+
+    if (recent.length >= 2) {
+        let miles = 0;
+        for (let i = 1; i < recent.length; i++) miles += haversineMiles(toPoint(recent[i - 1]), toPoint(recent[i]));
+        const hours = (new Date(latest.recorded_at) - new Date(recent[0].recorded_at)) / 3600000;
+        // Stationary or barely moving trucks fall back to the planning speed rather than an ETA of days
+        if (hours > 0 && miles / hours >= 5) return { speedMph: miles * getRoadFactor() / hours, source: 'trail' };
+    }
+    if (parseFloat(latest.speed_mph) >= 5) return { speedMph: parseFloat(latest.speed_mph), source: 'reported' };
+    return { speedMph: getDefaultSpeedMph(), source: 'default' };
+};
+
+// ETA from the latest position to the next stop not yet reached, and on to final delivery.
+// `trail` is ordered oldest first. Returns null when there is no position or every stop is done.
+const computeEta = (trail, stops) => {
+    if (trail.length === 0) return null;
+
+    const remaining = stops.filter(stop => stop.status === 'pending');
+    if (remaining.length === 0) return null;
+
+    const points = remaining.map(locateStop);
+    if (points.some(point => !point)) return null;
+
+    const latest = trail[trail.length - 1];
+    const roadFactor = getRoadFactor();
+    const { speedMph, source } = estimateSpeedMph(trail);
+    const from = new Date(latest.recorded_at).getTime();
+
+    const nextStopMiles = haversineMiles(toPoint(latest), points[0]) * roadFactor;
+    let deliveryMiles = nextStopMiles;
+    for (let i = 1; i < points.length; i++) deliveryMiles += haversineMiles(points[i - 1], points[i]) * roadFactor;
+
+    const next = remaining[0];
+    return {
+        nextStop: { id: next.id, stop_order: next.stop_order, stop_type: next.stop_type, city: next.city, state: next.state },
+        milesToNextStop: Math.round(nextStopMiles * 10) / 10,
+        nextStopEta: new Date(from + (nextStopMiles / speedMph) * 3600000),
+        milesToDelivery: Math.round(deliveryMiles * 10) / 10,
+        deliveryEta: new Date(from + (deliveryMiles / speedMph) * 3600000),
+        speedMph: Math.round(speedMph * 10) / 10,
+        speedSource: source,
+        precision: points[0].precision
+    };
+};
+
+// Latest position, breadcrumb trail and ETA of the load, plus where each escort last reported from
+const getTrackingSummary = async (db, bookingId, stops, trailLimit) => {
+    const limit = Math.min(Math.max(parseInt(trailLimit, 10) || TRAIL_LIMIT, 1), MAX_TRAIL_LIMIT);
+
+    // The driver is the load; without driver pings the trail follows whichever escort reported last
+    const [latest] = await db.query(`
+        SELECT user_id FROM booking_locations
+        WHERE booking_id = ?
+        ORDER BY actor_role = 'driver' DESC, recorded_at DESC
+        LIMIT 1
+    `, [bookingId]);
+
+    const [rows] = latest.length === 0 ? [[]] : await db.query(`
+        SELECT id, user_id, actor_role, latitude, longitude, speed_mph, heading, accuracy_m, recorded_at
+        FROM booking_locations
+        WHERE booking_id = ? AND user_id = ?
+        ORDER BY recorded_at DESC
+        LIMIT ?
+    `, [bookingId, latest[0].user_id, limit]);
+    const trail = rows.reverse();
+
+    const [escorts] = await db.query(`
+        SELECT l.user_id, u.full_name as escort_name, be.position, l.latitude, l.longitude, l.speed_mph, l.heading, l.recorded_at
+        FROM booking_locations l
+        JOIN users u ON l.user_id = u.id
+        LEFT JOIN booking_escorts be ON be.booking_id = l.booking_id AND be.escort_id = l.user_id AND be.status = 'assigned'
+        WHERE l.booking_id = ? AND l.actor_role = 'escort'
+        AND l.recorded_at = (
+            SELECT MAX(l2.recorded_at) FROM booking_locations l2
+            WHERE l2.booking_id = l.booking_id AND l2.user_id = l.user_id
+        )
+    `, [bookingId]);
+
+    return {
+        position: trail.length > 0 ? trail[trail.length - 1] : null,
+        trail,
+        escorts,
+        eta: computeEta(trail, stops)
+    };
+};
+
+module.exports = {
+    DEFAULT_SPEED_MPH,
+    normalizePing,
+    getTrackingRole,
+    recordPing,
+    estimateSpeedMph,
+    computeEta,
+    getTrackingSummary
+};
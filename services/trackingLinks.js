@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { getBookingStops } = require('./bookingStops');
+const { getTrackingSummary } = require('./tracking');
+
+const DEFAULT_EXPIRY_HOURS = 72;
+const MAX_EXPIRY_HOURS = 720;
+
+// Location is only shared while the load is on the road
+const LIVE_STATUSES = ['booked', 'in_transit'];
+
+// Only a hash of the token is stored, so a leaked database does not leak working links
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const buildTrackingUrl = (token) => `${process.env.FRONTEND_URL || 'http://localhost:8080'}/track/${token}`;
+
+// Create a link for a booking. Returns { link, token } with the only copy of the raw token, or { error }.
+const createTrackingLink = async (db, { bookingId, createdBy, expiresInHours, label }) => {
+    const hours = expiresInHours === undefined || expiresInHours === null || expiresInHours === ''
+        ? DEFAULT_EXPIRY_HOURS
+        : parseFloat(expiresInHours);
+    if (isNaN(hours) || hours < 1 || hours > MAX_EXPIRY_HOURS) {
+        return { error: `expiresInHours must be between 1 and ${MAX_EXPIRY_HOURS}` };
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const link = {
+        id: uuidv4(),
+        booking_id: bookingId,
+        label: label ? String(label).slice(0, 100) : null,
+        token_hint: token.slice(-6),
+        expires_at: new Date(Date.now() + hours * 3600000),
+        created_by: createdBy
+    };
+
+    await db.query(`
+        INSERT INTO booking_tracking_links (id, booking_id, token_hash, token_hint, label, expires_at, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [link.id, link.booking_id, hashToken(token), link.token_hint, link.label, link.expires_at, link.created_by]);
+
+    return { link, token };
+};
+
+// The booking behind a token, or null when the token is unknown, revoked or expired
+const findBookingByToken = async (db, token) => {
+    if (!/^[a-f0-9]{64}$/.test(String(token || ''))) return null;
+
+    const [rows] = await db.query(`
+        SELECT l.id as link_id, b.*
+        FROM booking_tracking_links l
+        JOIN bookings b ON l.booking_id = b.id
+        WHERE l.token_hash = ? AND l.revoked_at IS NULL AND l.expires_at > NOW()
+    `, [hashToken(token)]);
+    if (rows.length === 0) return null;
+
+    await db.query('UPDATE booking_tracking_links SET last_viewed_at = NOW(), view_count = view_count + 1 WHERE id = ?', [rows[0].link_id]);
+    return rows[0];
+};
+
+// What a consignee without an account may see: where the load is and how far along it is.
+// No prices, no provider or contact details and no internal ids.
+const buildPublicTrackingView = async (db, booking) => {
+    const stops = await getBookingStops(db, booking.id);
+
+    const [history] = await db.query(
+        'SELECT to_status, created_at FROM booking_status_history WHERE booking_id = ? ORDER BY created_at ASC',
+        [booking.id]
+    );
+
+    let location = null;
+    let eta = null;
+    if (LIVE_STATUSES.includes(booking.status)) {
+        const tracking = await getTrackingSummary(db, booking.id, stops);
+        if (tracking.position) {
+            location = {
+                latitude: parseFloat(tracking.position.latitude),
+                longitude: parseFloat(tracking.position.longitude),
+                recorded_at: tracking.position.recorded_at
+            };
+        }
+        if (tracking.eta) {
+            const { nextStop, nextStopEta, milesToDelivery, deliveryEta } = tracking.eta;
+            eta = {
+                nextStop: { stop_order: nextStop.stop_order, stop_type: nextStop.stop_type, city: nextStop.city, state: nextStop.state },
+                nextStopEta,
+                milesToDelivery,
+                deliveryEta
+            };
+        }
+    }
+
+    const delivered = history.filter(entry => entry.to_status === 'delivered').pop();
+    const [pods] = await db.query(`
+        SELECT receiver_name, delivered_at FROM proof_of_delivery
+        WHERE booking_id = ? AND status IN ('submitted', 'acknowledged')
+        ORDER BY created_at DESC LIMIT 1
+    `, [booking.id]);
+
+    return {
+        cargo_type: booking.cargo_type,
+        shipment_date: booking.shipment_date,
+        status: booking.status,
+        origin: { city: booking.pickup_city, state: booking.pickup_state },
+        destination: { city: booking.delivery_city, state: booking.delivery_state },
+        stops: stops.map(stop => ({
+            stop_order: stop.stop_order,
+            stop_type: stop.stop_type,
+            city: stop.city,
+            state: stop.state,
+            status: stop.status,
+            arrived_at: stop.arrived_at,
+            departed_at: stop.departed_at
+        })),
+        history: history.map(entry => ({ status: entry.to_status, changed_at: entry.created_at })),
+        location,
+        eta,
+        delivery: {
+            delivered: Boolean(delivered),
+            delivered_at: pods.length > 0 ? pods[0].delivered_at : (delivered ? delivered.created_at : null),
+            received_by: delivered && pods.length > 0 ? pods[0].receiver_name : null
+        }
+    };
+};
+
+module.exports = {
+    DEFAULT_EXPIRY_HOURS,
+    buildTrackingUrl,
+    createTrackingLink,
+    findBookingByToken,
+    buildPublicTrackingView
+};
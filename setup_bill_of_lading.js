@@ -0,0 +1,33 @@
+const { pool } = require('./config/database');
+
+async function setupBillOfLading() {
+    try {
+        console.log('Setting up bill of lading generation...');
+
+        // Generated documents remember the data they were built from so they can be rebuilt when it changes
+        const [columns] = await pool.query(`
+            SELECT COLUMN_NAME
+            FROM INFORMATION_SCHEMA.COLUMNS
+            WHERE TABLE_SCHEMA = 'highnheavy'
+            AND TABLE_NAME = 'booking_documents'
+            AND COLUMN_NAME = 'source_fingerprint'
+        `);
+
+        if (columns.length === 0) {
+            await pool.query(`
+                ALTER TABLE booking_documents
+                ADD COLUMN source_fingerprint CHAR(64) NULL
+            `);
+            console.log('✅ booking_documents.source_fingerprint column added successfully.');
+        } else {
+            console.log('✅ booking_documents.source_fingerprint column already exists.');
+        }
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error setting up bill of lading generation:', error);
+        process.exit(1);
+    }
+}
+
+setupBillOfLading();
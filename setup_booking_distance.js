@@ -0,0 +1,70 @@
+const { pool } = require('./config/database');
+const { getBookingStops } = require('./services/bookingStops');
+const { getDistanceColumns } = require('./services/distance');
+
+async function setupBookingDistance() {
+    try {
+        console.log('Setting up booking distance columns...');
+
+        const columnsToAdd = [
+            { name: 'estimated_miles', type: 'DECIMAL(8, 1) NULL' },
+            { name: 'straight_line_miles', type: 'DECIMAL(8, 1) NULL' },
+            { name: 'distance_precision', type: "ENUM('zip', 'city', 'state') NULL" }
+        ];
+
+        for (const col of columnsToAdd) {
+            const [columns] = await pool.query(`
+                SELECT COLUMN_NAME
+                FROM INFORMATION_SCHEMA.COLUMNS
+                WHERE TABLE_SCHEMA = 'highnheavy'
+                AND TABLE_NAME = 'bookings'
+                AND COLUMN_NAME = ?
+            `, [col.name]);
+
+            if (columns.length === 0) {
+                await pool.query(`
+                    ALTER TABLE bookings
+                    ADD COLUMN ${col.name} ${col.type}
+                `);
+                console.log(`✅ bookings.${col.name} column added successfully.`);
+            } else {
+                console.log(`✅ bookings.${col.name} column already exists.`);
+            }
+        }
+
+        // Measure existing bookings from their stops (or their pickup/delivery fields if they have none)
+        const [bookings] = await pool.query(`
+            SELECT id, pickup_city, pickup_state, delivery_city, delivery_state
+            FROM bookings
+            WHERE estimated_miles IS NULL
+        `);
+
+        let measured = 0;
+        for (const booking of bookings) {
+            let stops = await getBookingStops(pool, booking.id);
+            if (stops.length < 2) {
+                stops = [
+                    { city: booking.pickup_city, state: booking.pickup_state },
+                    { city: booking.delivery_city, state: booking.delivery_state }
+                ];
+            }
+
+            const distance = getDistanceColumns(stops);
+            if (distance.estimated_miles === null) continue;
+
+            await pool.query(
+                'UPDATE bookings SET estimated_miles = ?, straight_line_miles = ?, distance_precision = ? WHERE id = ?',
+                [distance.estimated_miles, distance.straight_line_miles, distance.distance_precision, booking.id]
+            );
+            measured++;
+        }
+        console.log(`✅ Backfilled distance for ${measured} of ${bookings.length} existing bookings.`);
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error setting up booking distance:', error);
+        process.exit(1);
+    }
+}
+
+setupBookingDistance();
@@ -0,0 +1,65 @@
+const { pool } = require('./config/database');
+
+async function setupBookingEscorts() {
+    try {
+        console.log('Setting up booking_escorts table...');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS booking_escorts (
+                id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+                booking_id CHAR(36) NOT NULL,
+                escort_id CHAR(36) NOT NULL,
+                quote_id CHAR(36),
+                position ENUM('front', 'rear', 'height_pole') NOT NULL,
+                agreed_price DECIMAL(10, 2),
+                status ENUM('assigned', 'released', 'completed') DEFAULT 'assigned',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+                FOREIGN KEY (escort_id) REFERENCES users(id),
+                FOREIGN KEY (quote_id) REFERENCES quotes(id) ON DELETE SET NULL,
+                INDEX idx_booking_status (booking_id, status),
+                INDEX idx_escort (escort_id)
+            )
+        `);
+
+        console.log('✅ booking_escorts table created successfully.');
+
+        // Escort quotes name the position they are bidding on
+        const [columns] = await pool.query(`
+            SELECT COLUMN_NAME
+            FROM INFORMATION_SCHEMA.COLUMNS
+            WHERE TABLE_SCHEMA = 'highnheavy'
+            AND TABLE_NAME = 'quotes'
+            AND COLUMN_NAME = 'escort_position'
+        `);
+
+        if (columns.length === 0) {
+            await pool.query(`
+                ALTER TABLE quotes
+                ADD COLUMN escort_position ENUM('front', 'rear', 'height_pole') NULL
+            `);
+            console.log('✅ escort_position column added successfully.');
+        } else {
+            console.log('✅ escort_position column already exists.');
+        }
+
+        // Carry over escorts assigned through the old single bookings.escort_id column
+        const [result] = await pool.query(`
+            INSERT INTO booking_escorts (id, booking_id, escort_id, quote_id, position, agreed_price, status)
+            SELECT UUID(), b.id, b.escort_id, q.id, 'front', q.amount, 'assigned'
+            FROM bookings b
+            LEFT JOIN quotes q ON q.booking_id = b.id AND q.provider_id = b.escort_id AND q.status = 'accepted'
+            WHERE b.escort_id IS NOT NULL
+            AND NOT EXISTS (SELECT 1 FROM booking_escorts be WHERE be.booking_id = b.id AND be.escort_id = b.escort_id)
+        `);
+        console.log(`✅ Migrated ${result.affectedRows} existing escort assignments.`);
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error setting up booking_escorts:', error);
+        process.exit(1);
+    }
+}
+
+setupBookingEscorts();
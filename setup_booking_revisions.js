@@ -0,0 +1,64 @@
+const { pool } = require('./config/database');
+
+async function setupBookingRevisions() {
+    try {
+        console.log('Setting up booking revisions...');
+
+        const columnsToAdd = [
+            { table: 'bookings', name: 'revision', type: 'INT NOT NULL DEFAULT 1' },
+            { table: 'quotes', name: 'booking_revision', type: 'INT NULL' }
+        ];
+
+        for (const col of columnsToAdd) {
+            const [columns] = await pool.query(`
+                SELECT COLUMN_NAME
+                FROM INFORMATION_SCHEMA.COLUMNS
+                WHERE TABLE_SCHEMA = 'highnheavy'
+                AND TABLE_NAME = ?
+                AND COLUMN_NAME = ?
+            `, [col.table, col.name]);
+
+            if (columns.length === 0) {
+                await pool.query(`
+                    ALTER TABLE ${col.table}
+                    ADD COLUMN ${col.name} ${col.type}
+                `);
+                console.log(`✅ ${col.table}.${col.name} column added successfully.`);
+            } else {
+                console.log(`✅ ${col.table}.${col.name} column already exists.`);
+            }
+        }
+
+        // Quotes made before revisions existed were made against the first revision
+        await pool.query('UPDATE quotes SET booking_revision = 1 WHERE booking_revision IS NULL');
+
+        await pool.query(`
+            ALTER TABLE quotes
+            MODIFY COLUMN status ENUM('pending', 'needs_review', 'accepted', 'rejected', 'expired', 'withdrawn') DEFAULT 'pending'
+        `);
+        console.log('✅ quotes.status now supports needs_review.');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS booking_revisions (
+                id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+                booking_id CHAR(36) NOT NULL,
+                revision INT NOT NULL,
+                changes JSON NOT NULL,
+                is_material TINYINT(1) NOT NULL DEFAULT 0,
+                changed_by CHAR(36),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+                FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL,
+                UNIQUE KEY uniq_booking_revision (booking_id, revision)
+            )
+        `);
+        console.log('✅ booking_revisions table created successfully.');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error setting up booking revisions:', error);
+        process.exit(1);
+    }
+}
+
+setupBookingRevisions();
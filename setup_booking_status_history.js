@@ -0,0 +1,32 @@
+const { pool } = require('./config/database');
+
+async function setupBookingStatusHistory() {
+    try {
+        console.log('Setting up booking_status_history table...');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS booking_status_history (
+                id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+                booking_id CHAR(36) NOT NULL,
+                from_status VARCHAR(30),
+                to_status VARCHAR(30) NOT NULL,
+                changed_by CHAR(36),
+                actor_role VARCHAR(20) NOT NULL DEFAULT 'system',
+                note TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+                FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL,
+                INDEX idx_booking_created (booking_id, created_at)
+            )
+        `);
+
+        console.log('✅ booking_status_history table created successfully.');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error setting up booking_status_history:', error);
+        process.exit(1);
+    }
+}
+
+setupBookingStatusHistory();
@@ -0,0 +1,56 @@
+const { pool } = require('./config/database');
+
+async function setupBookingStops() {
+    try {
+        console.log('Setting up booking_stops table...');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS booking_stops (
+                id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+                booking_id CHAR(36) NOT NULL,
+                stop_order INT NOT NULL,
+                stop_type ENUM('pickup', 'staging', 'delivery') NOT NULL,
+                address VARCHAR(255) NOT NULL,
+                city VARCHAR(100) NOT NULL,
+                state VARCHAR(50) NOT NULL,
+                zip_code VARCHAR(20),
+                window_start DATETIME NULL,
+                window_end DATETIME NULL,
+                contact_name VARCHAR(255),
+                contact_phone VARCHAR(50),
+                notes TEXT,
+                status ENUM('pending', 'arrived', 'departed') DEFAULT 'pending',
+                arrived_at DATETIME NULL,
+                departed_at DATETIME NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+                UNIQUE KEY uniq_booking_stop_order (booking_id, stop_order)
+            )
+        `);
+
+        console.log('✅ booking_stops table created successfully.');
+
+        // Backfill a pickup and delivery stop for bookings created before multi-stop support
+        const [result] = await pool.query(`
+            INSERT INTO booking_stops (id, booking_id, stop_order, stop_type, address, city, state)
+            SELECT UUID(), b.id, 1, 'pickup', b.pickup_address, b.pickup_city, b.pickup_state
+            FROM bookings b
+            WHERE NOT EXISTS (SELECT 1 FROM booking_stops s WHERE s.booking_id = b.id)
+        `);
+        await pool.query(`
+            INSERT INTO booking_stops (id, booking_id, stop_order, stop_type, address, city, state)
+            SELECT UUID(), b.id, 2, 'delivery', b.delivery_address, b.delivery_city, b.delivery_state
+            FROM bookings b
+            WHERE (SELECT COUNT(*) FROM booking_stops s WHERE s.booking_id = b.id) = 1
+        `);
+        console.log(`✅ Backfilled stops for ${result.affectedRows} existing bookings.`);
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error setting up booking_stops:', error);
+        process.exit(1);
+    }
+}
+
+setupBookingStops();
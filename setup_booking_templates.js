@@ -0,0 +1,93 @@
+const { pool } = require('./config/database');
+
+async function setupBookingTemplates() {
+    try {
+        console.log('Setting up booking templates and recurring schedules...');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS booking_templates (
+                id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+                shipper_id CHAR(36) NOT NULL,
+                name VARCHAR(100) NOT NULL,
+                payload JSON NOT NULL,
+                source_booking_id CHAR(36) NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (shipper_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (source_booking_id) REFERENCES bookings(id) ON DELETE SET NULL,
+                INDEX idx_template_shipper (shipper_id)
+            )
+        `);
+        console.log('✅ booking_templates table created successfully.');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS booking_schedules (
+                id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+                template_id CHAR(36) NOT NULL,
+                frequency ENUM('weekly', 'monthly', 'dates') NOT NULL,
+                days_of_week JSON NULL,
+                interval_weeks INT NOT NULL DEFAULT 1,
+                day_of_month INT NULL,
+                dates JSON NULL,
+                start_date DATE NOT NULL,
+                end_date DATE NULL,
+                lead_days INT NOT NULL DEFAULT 14,
+                auto_offer_carrier TINYINT(1) NOT NULL DEFAULT 0,
+                active TINYINT(1) NOT NULL DEFAULT 1,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (template_id) REFERENCES booking_templates(id) ON DELETE CASCADE
+            )
+        `);
+        console.log('✅ booking_schedules table created successfully.');
+
+        // One row per schedule and shipment date, claimed before the booking is created
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS booking_schedule_occurrences (
+                id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+                schedule_id CHAR(36) NOT NULL,
+                occurrence_date DATE NOT NULL,
+                booking_id CHAR(36) NULL,
+                error VARCHAR(500) NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (schedule_id) REFERENCES booking_schedules(id) ON DELETE CASCADE,
+                FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE SET NULL,
+                UNIQUE KEY uniq_schedule_date (schedule_id, occurrence_date)
+            )
+        `);
+        console.log('✅ booking_schedule_occurrences table created successfully.');
+
+        const columnsToAdd = [
+            { name: 'template_id', type: 'CHAR(36) NULL' },
+            { name: 'schedule_id', type: 'CHAR(36) NULL' }
+        ];
+
+        for (const col of columnsToAdd) {
+            const [columns] = await pool.query(`
+                SELECT COLUMN_NAME
+                FROM INFORMATION_SCHEMA.COLUMNS
+                WHERE TABLE_SCHEMA = 'highnheavy'
+                AND TABLE_NAME = 'bookings'
+                AND COLUMN_NAME = ?
+            `, [col.name]);
+
+            if (columns.length === 0) {
+                await pool.query(`
+                    ALTER TABLE bookings
+                    ADD COLUMN ${col.name} ${col.type},
+                    ADD INDEX idx_bookings_${col.name} (${col.name})
+                `);
+                console.log(`✅ bookings.${col.name} column added successfully.`);
+            } else {
+                console.log(`✅ bookings.${col.name} column already exists.`);
+            }
+        }
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error setting up booking templates:', error);
+        process.exit(1);
+    }
+}
+
+setupBookingTemplates();
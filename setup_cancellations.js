@@ -0,0 +1,45 @@
+const { pool } = require('./config/database');
+
+async function setupCancellations() {
+    try {
+        console.log('Setting up booking_cancellations table...');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS booking_cancellations (
+                id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+                booking_id CHAR(36) NOT NULL UNIQUE,
+                cancelled_by CHAR(36) NULL,
+                actor_role VARCHAR(20) NOT NULL,
+                reason_code VARCHAR(50) NOT NULL,
+                note TEXT NULL,
+                status_at_cancel VARCHAR(20) NOT NULL,
+                hours_before_shipment DECIMAL(10, 2) NULL,
+                fee_basis DECIMAL(10, 2) NOT NULL DEFAULT 0,
+                fee_percent DECIMAL(5, 2) NOT NULL DEFAULT 0,
+                fee_flat DECIMAL(10, 2) NOT NULL DEFAULT 0,
+                fee_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+                fee_waived TINYINT(1) NOT NULL DEFAULT 0,
+                released_carrier_id CHAR(36) NULL,
+                released_driver_id CHAR(36) NULL,
+                released_escort_ids JSON NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+                FOREIGN KEY (cancelled_by) REFERENCES users(id) ON DELETE SET NULL,
+                INDEX idx_cancellation_reason (reason_code)
+            )
+        `);
+
+        console.log('✅ booking_cancellations table created successfully.');
+
+        // The fee policy is stored as JSON in platform_settings, which can outgrow VARCHAR(255)
+        await pool.query('ALTER TABLE platform_settings MODIFY COLUMN value TEXT NULL');
+        console.log('✅ platform_settings.value widened to TEXT.');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error setting up booking_cancellations:', error);
+        process.exit(1);
+    }
+}
+
+setupCancellations();
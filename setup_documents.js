@@ -0,0 +1,53 @@
+const { pool } = require('./config/database');
+
+async function setupDocuments() {
+    try {
+        console.log('Setting up booking_documents table...');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS booking_documents (
+                id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+                booking_id CHAR(36) NOT NULL,
+                doc_type ENUM('bol', 'permit', 'pod', 'invoice', 'photo', 'other') NOT NULL,
+                file_name VARCHAR(255) NOT NULL,
+                description VARCHAR(500) NULL,
+                content_type VARCHAR(100) NOT NULL,
+                size_bytes INT NOT NULL,
+                storage_driver VARCHAR(20) NOT NULL DEFAULT 'local',
+                storage_key VARCHAR(255) NOT NULL,
+                uploaded_by CHAR(36) NULL,
+                uploader_role VARCHAR(20) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+                FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL,
+                INDEX idx_booking_documents (booking_id, doc_type)
+            )
+        `);
+        console.log('✅ booking_documents table created successfully.');
+
+        // Proof-of-delivery files also remember which storage driver holds them
+        const [columns] = await pool.query(`
+            SELECT COLUMN_NAME
+            FROM INFORMATION_SCHEMA.COLUMNS
+            WHERE TABLE_SCHEMA = 'highnheavy'
+            AND TABLE_NAME = 'proof_of_delivery_files'
+            AND COLUMN_NAME = 'storage_driver'
+        `);
+        if (columns.length === 0) {
+            await pool.query(`
+                ALTER TABLE proof_of_delivery_files
+                ADD COLUMN storage_driver VARCHAR(20) NOT NULL DEFAULT 'local' AFTER kind
+            `);
+            console.log('✅ proof_of_delivery_files.storage_driver column added successfully.');
+        } else {
+            console.log('✅ proof_of_delivery_files.storage_driver column already exists.');
+        }
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error setting up booking_documents:', error);
+        process.exit(1);
+    }
+}
+
+setupDocuments();
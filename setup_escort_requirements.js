@@ -0,0 +1,60 @@
+const { pool } = require('./config/database');
+
+async function setupEscortRequirements() {
+    try {
+        console.log('Adding escort requirement columns to bookings table...');
+
+        const columnsToAdd = [
+            { name: 'required_escort_count', type: 'INT NOT NULL DEFAULT 0' },
+            { name: 'required_escort_positions', type: 'JSON NULL' },
+            { name: 'escort_requirement_source', type: "ENUM('rules', 'admin_override') NOT NULL DEFAULT 'rules'" },
+            { name: 'shipper_requested_escort', type: 'BOOLEAN NULL' }
+        ];
+
+        for (const col of columnsToAdd) {
+            const [columns] = await pool.query(`
+                SELECT COLUMN_NAME
+                FROM INFORMATION_SCHEMA.COLUMNS
+                WHERE TABLE_SCHEMA = 'highnheavy'
+                AND TABLE_NAME = 'bookings'
+                AND COLUMN_NAME = ?
+            `, [col.name]);
+
+            if (columns.length === 0) {
+                await pool.query(`
+                    ALTER TABLE bookings
+                    ADD COLUMN ${col.name} ${col.type}
+                `);
+                console.log(`✅ ${col.name} column added successfully.`);
+            } else {
+                console.log(`✅ ${col.name} column already exists.`);
+            }
+        }
+
+        console.log('Setting up escort_requirement_overrides table...');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS escort_requirement_overrides (
+                id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+                booking_id CHAR(36) NOT NULL,
+                admin_id CHAR(36),
+                previous_positions JSON,
+                new_positions JSON NOT NULL,
+                reason TEXT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+                FOREIGN KEY (admin_id) REFERENCES users(id) ON DELETE SET NULL,
+                INDEX idx_booking (booking_id)
+            )
+        `);
+
+        console.log('✅ escort_requirement_overrides table created successfully.');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error setting up escort requirements:', error);
+        process.exit(1);
+    }
+}
+
+setupEscortRequirements();
@@ -0,0 +1,94 @@
+const { pool } = require('./config/database');
+const { syncGeofences } = require('./services/geofences');
+
+async function setupGeofences() {
+    try {
+        console.log('Setting up geofences...');
+
+        const columnsToAdd = [
+            { name: 'latitude', type: 'DECIMAL(9, 6) NULL' },
+            { name: 'longitude', type: 'DECIMAL(9, 6) NULL' }
+        ];
+
+        for (const col of columnsToAdd) {
+            const [columns] = await pool.query(`
+                SELECT COLUMN_NAME
+                FROM INFORMATION_SCHEMA.COLUMNS
+                WHERE TABLE_SCHEMA = 'highnheavy'
+                AND TABLE_NAME = 'booking_stops'
+                AND COLUMN_NAME = ?
+            `, [col.name]);
+
+            if (columns.length === 0) {
+                await pool.query(`
+                    ALTER TABLE booking_stops
+                    ADD COLUMN ${col.name} ${col.type}
+                `);
+                console.log(`✅ booking_stops.${col.name} column added successfully.`);
+            } else {
+                console.log(`✅ booking_stops.${col.name} column already exists.`);
+            }
+        }
+
+        // Stops with their own coordinates give an exact distance
+        await pool.query(`
+            ALTER TABLE bookings
+            MODIFY COLUMN distance_precision ENUM('exact', 'zip', 'city', 'state') NULL
+        `);
+        console.log("✅ bookings.distance_precision now includes 'exact'.");
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS booking_geofences (
+                id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+                booking_id CHAR(36) NOT NULL,
+                stop_id CHAR(36) NOT NULL UNIQUE,
+                center_latitude DECIMAL(9, 6) NOT NULL,
+                center_longitude DECIMAL(9, 6) NOT NULL,
+                radius_miles DECIMAL(6, 2) NOT NULL,
+                precision_level ENUM('exact', 'zip', 'city') NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+                FOREIGN KEY (stop_id) REFERENCES booking_stops(id) ON DELETE CASCADE
+            )
+        `);
+        console.log('✅ booking_geofences table created successfully.');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS booking_geofence_events (
+                id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+                booking_id CHAR(36) NOT NULL,
+                stop_id CHAR(36) NOT NULL,
+                user_id CHAR(36) NULL,
+                event_type ENUM('arrival', 'departure') NOT NULL,
+                latitude DECIMAL(9, 6) NOT NULL,
+                longitude DECIMAL(9, 6) NOT NULL,
+                occurred_at DATETIME NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+                FOREIGN KEY (stop_id) REFERENCES booking_stops(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+                INDEX idx_geofence_events_booking (booking_id, occurred_at)
+            )
+        `);
+        console.log('✅ booking_geofence_events table created successfully.');
+
+        // Fence the stops of bookings that can still be driven
+        const [bookings] = await pool.query(`
+            SELECT id FROM bookings
+            WHERE status IN ('pending_quote', 'quoted', 'evaluation', 'booked', 'in_transit')
+            AND id NOT IN (SELECT booking_id FROM booking_geofences)
+        `);
+        let fenced = 0;
+        for (const booking of bookings) {
+            if (await syncGeofences(pool, booking.id) > 0) fenced++;
+        }
+        console.log(`✅ Created geofences for ${fenced} of ${bookings.length} open bookings.`);
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error setting up geofences:', error);
+        process.exit(1);
+    }
+}
+
+setupGeofences();
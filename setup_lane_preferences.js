@@ -0,0 +1,69 @@
+const { pool } = require('./config/database');
+
+async function setupLanePreferences() {
+    try {
+        console.log('Setting up lane_preferences table...');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS lane_preferences (
+                id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+                user_id CHAR(36) NOT NULL,
+                name VARCHAR(100) NULL,
+                origin_states JSON NULL,
+                destination_states JSON NULL,
+                cargo_types JSON NULL,
+                max_length_ft DECIMAL(10, 2) NULL,
+                max_width_ft DECIMAL(10, 2) NULL,
+                max_height_ft DECIMAL(10, 2) NULL,
+                max_weight_lbs DECIMAL(10, 2) NULL,
+                escort_only BOOLEAN DEFAULT FALSE,
+                active BOOLEAN DEFAULT TRUE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_user (user_id)
+            )
+        `);
+        console.log('✅ lane_preferences table created successfully.');
+
+        // Matches held back for providers who prefer a periodic digest
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS lane_alert_queue (
+                id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+                user_id CHAR(36) NOT NULL,
+                booking_id CHAR(36) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                sent_at TIMESTAMP NULL,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+                INDEX idx_user_sent (user_id, sent_at)
+            )
+        `);
+        console.log('✅ lane_alert_queue table created successfully.');
+
+        const [columns] = await pool.query(`
+            SELECT COLUMN_NAME
+            FROM INFORMATION_SCHEMA.COLUMNS
+            WHERE TABLE_SCHEMA = 'highnheavy'
+            AND TABLE_NAME = 'users'
+            AND COLUMN_NAME = 'lane_alert_mode'
+        `);
+
+        if (columns.length === 0) {
+            await pool.query(`
+                ALTER TABLE users
+                ADD COLUMN lane_alert_mode ENUM('instant', 'digest', 'off') DEFAULT 'instant'
+            `);
+            console.log('✅ users.lane_alert_mode column added successfully.');
+        } else {
+            console.log('✅ users.lane_alert_mode column already exists.');
+        }
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error setting up lane preferences:', error);
+        process.exit(1);
+    }
+}
+
+setupLanePreferences();
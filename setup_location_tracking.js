@@ -0,0 +1,34 @@
+const { pool } = require('./config/database');
+
+async function setupLocationTracking() {
+    try {
+        console.log('Setting up booking_locations table...');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS booking_locations (
+                id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+                booking_id CHAR(36) NOT NULL,
+                user_id CHAR(36) NOT NULL,
+                actor_role ENUM('driver', 'escort') NOT NULL,
+                latitude DECIMAL(9, 6) NOT NULL,
+                longitude DECIMAL(9, 6) NOT NULL,
+                speed_mph DECIMAL(5, 1) NULL,
+                heading DECIMAL(4, 1) NULL,
+                accuracy_m DECIMAL(9, 1) NULL,
+                recorded_at DATETIME NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_booking_locations_trail (booking_id, user_id, recorded_at)
+            )
+        `);
+
+        console.log('✅ booking_locations table created successfully.');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error setting up booking_locations:', error);
+        process.exit(1);
+    }
+}
+
+setupLocationTracking();
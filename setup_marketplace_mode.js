@@ -0,0 +1,44 @@
+const { pool } = require('./config/database');
+
+async function setupMarketplaceMode() {
+    try {
+        console.log('Setting up platform_settings table...');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS platform_settings (
+                setting_key VARCHAR(100) PRIMARY KEY,
+                value VARCHAR(255) NULL,
+                updated_by CHAR(36) NULL,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+            )
+        `);
+        console.log('✅ platform_settings table created successfully.');
+
+        // NULL means the shipper follows the platform-wide mode
+        const [columns] = await pool.query(`
+            SELECT COLUMN_NAME
+            FROM INFORMATION_SCHEMA.COLUMNS
+            WHERE TABLE_SCHEMA = 'highnheavy'
+            AND TABLE_NAME = 'users'
+            AND COLUMN_NAME = 'marketplace_mode'
+        `);
+
+        if (columns.length === 0) {
+            await pool.query(`
+                ALTER TABLE users
+                ADD COLUMN marketplace_mode ENUM('managed', 'self_service') NULL
+            `);
+            console.log('✅ users.marketplace_mode column added successfully.');
+        } else {
+            console.log('✅ users.marketplace_mode column already exists.');
+        }
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error setting up marketplace mode:', error);
+        process.exit(1);
+    }
+}
+
+setupMarketplaceMode();
@@ -0,0 +1,67 @@
+const { pool } = require('./config/database');
+
+async function setupPricing() {
+    try {
+        console.log('Setting up pricing_rules table...');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS pricing_rules (
+                id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+                name VARCHAR(255) NOT NULL,
+                rule_type ENUM('percentage', 'flat') NOT NULL,
+                value DECIMAL(10, 2) NOT NULL,
+                cargo_type VARCHAR(100) NULL,
+                origin_state VARCHAR(50) NULL,
+                destination_state VARCHAR(50) NULL,
+                priority INT NOT NULL DEFAULT 0,
+                active BOOLEAN DEFAULT TRUE,
+                created_by CHAR(36),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+            )
+        `);
+        console.log('✅ pricing_rules table created successfully.');
+
+        const columnsToAdd = [
+            { table: 'bookings', name: 'provider_price', type: 'DECIMAL(10, 2) NULL' },
+            { table: 'bookings', name: 'shipper_price', type: 'DECIMAL(10, 2) NULL' },
+            { table: 'bookings', name: 'pricing_rule_id', type: 'CHAR(36) NULL' },
+            { table: 'booking_escorts', name: 'shipper_price', type: 'DECIMAL(10, 2) NULL' }
+        ];
+
+        for (const col of columnsToAdd) {
+            const [columns] = await pool.query(`
+                SELECT COLUMN_NAME
+                FROM INFORMATION_SCHEMA.COLUMNS
+                WHERE TABLE_SCHEMA = 'highnheavy'
+                AND TABLE_NAME = ?
+                AND COLUMN_NAME = ?
+            `, [col.table, col.name]);
+
+            if (columns.length === 0) {
+                await pool.query(`
+                    ALTER TABLE ${col.table}
+                    ADD COLUMN ${col.name} ${col.type}
+                `);
+                console.log(`✅ ${col.table}.${col.name} column added successfully.`);
+            } else {
+                console.log(`✅ ${col.table}.${col.name} column already exists.`);
+            }
+        }
+
+        // Existing bookings were priced at the provider's amount
+        await pool.query(`
+            UPDATE bookings
+            SET provider_price = agreed_price, shipper_price = agreed_price
+            WHERE agreed_price IS NOT NULL AND provider_price IS NULL
+        `);
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error setting up pricing:', error);
+        process.exit(1);
+    }
+}
+
+setupPricing();
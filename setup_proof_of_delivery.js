@@ -0,0 +1,53 @@
+const { pool } = require('./config/database');
+
+async function setupProofOfDelivery() {
+    try {
+        console.log('Setting up proof_of_delivery tables...');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS proof_of_delivery (
+                id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+                booking_id CHAR(36) NOT NULL,
+                receiver_name VARCHAR(255) NOT NULL,
+                delivered_at DATETIME NOT NULL,
+                latitude DECIMAL(9, 6) NULL,
+                longitude DECIMAL(9, 6) NULL,
+                exceptions TEXT NULL,
+                has_damage BOOLEAN DEFAULT FALSE,
+                submitted_by CHAR(36) NULL,
+                status ENUM('submitted', 'acknowledged', 'disputed') NOT NULL DEFAULT 'submitted',
+                response_note TEXT NULL,
+                responded_by CHAR(36) NULL,
+                responded_at DATETIME NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+                FOREIGN KEY (submitted_by) REFERENCES users(id) ON DELETE SET NULL,
+                FOREIGN KEY (responded_by) REFERENCES users(id) ON DELETE SET NULL,
+                INDEX idx_pod_booking (booking_id, created_at)
+            )
+        `);
+        console.log('✅ proof_of_delivery table created successfully.');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS proof_of_delivery_files (
+                id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+                pod_id CHAR(36) NOT NULL,
+                kind ENUM('signature', 'photo') NOT NULL,
+                storage_key VARCHAR(255) NOT NULL,
+                content_type VARCHAR(100) NOT NULL,
+                size_bytes INT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (pod_id) REFERENCES proof_of_delivery(id) ON DELETE CASCADE
+            )
+        `);
+        console.log('✅ proof_of_delivery_files table created successfully.');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error setting up proof_of_delivery:', error);
+        process.exit(1);
+    }
+}
+
+setupProofOfDelivery();
@@ -0,0 +1,51 @@
+const { pool } = require('./config/database');
+
+async function setupQuoteLineItems() {
+    try {
+        console.log('Setting up quote_line_items table...');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS quote_line_items (
+                id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+                quote_id CHAR(36) NOT NULL,
+                item_type ENUM('linehaul', 'per_mile', 'fuel_surcharge', 'permits', 'escort', 'tarping', 'detention', 'other') NOT NULL,
+                description VARCHAR(255),
+                quantity DECIMAL(10, 2) NULL,
+                unit_price DECIMAL(10, 2) NULL,
+                percent DECIMAL(5, 2) NULL,
+                amount DECIMAL(10, 2) NOT NULL,
+                sort_order INT NOT NULL DEFAULT 1,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (quote_id) REFERENCES quotes(id) ON DELETE CASCADE,
+                INDEX idx_quote (quote_id)
+            )
+        `);
+        console.log('✅ quote_line_items table created successfully.');
+
+        // Keep the itemization of each revised quote alongside its amount
+        const [columns] = await pool.query(`
+            SELECT COLUMN_NAME
+            FROM INFORMATION_SCHEMA.COLUMNS
+            WHERE TABLE_SCHEMA = 'highnheavy'
+            AND TABLE_NAME = 'quote_versions'
+            AND COLUMN_NAME = 'line_items'
+        `);
+
+        if (columns.length === 0) {
+            await pool.query(`
+                ALTER TABLE quote_versions
+                ADD COLUMN line_items JSON NULL
+            `);
+            console.log('✅ quote_versions.line_items column added successfully.');
+        } else {
+            console.log('✅ quote_versions.line_items column already exists.');
+        }
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error setting up quote line items:', error);
+        process.exit(1);
+    }
+}
+
+setupQuoteLineItems();
@@ -0,0 +1,56 @@
+const { pool } = require('./config/database');
+
+async function setupQuoteNegotiations() {
+    try {
+        console.log('Adding negotiation columns to quotes table...');
+
+        const columnsToAdd = [
+            { name: 'negotiation_status', type: "ENUM('none', 'awaiting_provider', 'awaiting_platform', 'agreed', 'declined') NOT NULL DEFAULT 'none'" },
+            { name: 'negotiated_amount', type: 'DECIMAL(10, 2) NULL' }
+        ];
+
+        for (const col of columnsToAdd) {
+            const [columns] = await pool.query(`
+                SELECT COLUMN_NAME
+                FROM INFORMATION_SCHEMA.COLUMNS
+                WHERE TABLE_SCHEMA = 'highnheavy'
+                AND TABLE_NAME = 'quotes'
+                AND COLUMN_NAME = ?
+            `, [col.name]);
+
+            if (columns.length === 0) {
+                await pool.query(`
+                    ALTER TABLE quotes
+                    ADD COLUMN ${col.name} ${col.type}
+                `);
+                console.log(`✅ ${col.name} column added successfully.`);
+            } else {
+                console.log(`✅ ${col.name} column already exists.`);
+            }
+        }
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS quote_negotiations (
+                id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+                quote_id CHAR(36) NOT NULL,
+                sender_id CHAR(36),
+                sender_side ENUM('platform', 'provider') NOT NULL,
+                action ENUM('counter', 'accept', 'decline') NOT NULL,
+                amount DECIMAL(10, 2) NULL,
+                note TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (quote_id) REFERENCES quotes(id) ON DELETE CASCADE,
+                FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE SET NULL,
+                INDEX idx_quote_created (quote_id, created_at)
+            )
+        `);
+        console.log('✅ quote_negotiations table created successfully.');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error setting up quote negotiations:', error);
+        process.exit(1);
+    }
+}
+
+setupQuoteNegotiations();
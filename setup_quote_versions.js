@@ -0,0 +1,65 @@
+const { pool } = require('./config/database');
+
+async function setupQuoteVersions() {
+    try {
+        console.log('Adding expiry and version columns to quotes table...');
+
+        const columnsToAdd = [
+            { name: 'valid_until', type: 'DATETIME NULL' },
+            { name: 'version', type: 'INT NOT NULL DEFAULT 1' },
+            { name: 'withdrawn_at', type: 'DATETIME NULL' }
+        ];
+
+        for (const col of columnsToAdd) {
+            const [columns] = await pool.query(`
+                SELECT COLUMN_NAME
+                FROM INFORMATION_SCHEMA.COLUMNS
+                WHERE TABLE_SCHEMA = 'highnheavy'
+                AND TABLE_NAME = 'quotes'
+                AND COLUMN_NAME = ?
+            `, [col.name]);
+
+            if (columns.length === 0) {
+                await pool.query(`
+                    ALTER TABLE quotes
+                    ADD COLUMN ${col.name} ${col.type}
+                `);
+                console.log(`✅ ${col.name} column added successfully.`);
+            } else {
+                console.log(`✅ ${col.name} column already exists.`);
+            }
+        }
+
+        await pool.query(`
+            ALTER TABLE quotes
+            MODIFY COLUMN status ENUM('pending', 'accepted', 'rejected', 'expired', 'withdrawn') DEFAULT 'pending'
+        `);
+        console.log('✅ quotes.status now supports expired and withdrawn.');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS quote_versions (
+                id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+                quote_id CHAR(36) NOT NULL,
+                version INT NOT NULL,
+                amount DECIMAL(10, 2) NOT NULL,
+                driver_id CHAR(36),
+                vehicle_id CHAR(36),
+                notes TEXT,
+                valid_until DATETIME NULL,
+                changed_by CHAR(36),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (quote_id) REFERENCES quotes(id) ON DELETE CASCADE,
+                FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL,
+                UNIQUE KEY uniq_quote_version (quote_id, version)
+            )
+        `);
+        console.log('✅ quote_versions table created successfully.');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error setting up quote versions:', error);
+        process.exit(1);
+    }
+}
+
+setupQuoteVersions();
@@ -0,0 +1,62 @@
+const { pool } = require('./config/database');
+
+async function setupRateCards() {
+    try {
+        console.log('Setting up rate_cards table...');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS rate_cards (
+                id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+                carrier_id CHAR(36) NOT NULL UNIQUE,
+                base_fee DECIMAL(10, 2) NOT NULL DEFAULT 0,
+                default_per_mile DECIMAL(10, 2) NULL,
+                state_bands JSON NULL,
+                surcharges JSON NULL,
+                escort_addon DECIMAL(10, 2) NULL,
+                fuel_surcharge_percent DECIMAL(5, 2) NULL,
+                default_driver_id CHAR(36) NULL,
+                default_vehicle_id CHAR(36) NULL,
+                auto_submit BOOLEAN DEFAULT FALSE,
+                active BOOLEAN DEFAULT TRUE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (carrier_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (default_driver_id) REFERENCES drivers(id) ON DELETE SET NULL,
+                FOREIGN KEY (default_vehicle_id) REFERENCES vehicles(id) ON DELETE SET NULL
+            )
+        `);
+        console.log('✅ rate_cards table created successfully.');
+
+        // One draft per carrier and booking, whether it was submitted, discarded or is still open
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS quote_drafts (
+                id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+                booking_id CHAR(36) NOT NULL,
+                carrier_id CHAR(36) NOT NULL,
+                rate_card_id CHAR(36) NULL,
+                amount DECIMAL(10, 2) NOT NULL,
+                line_items JSON NULL,
+                driver_id CHAR(36) NULL,
+                vehicle_id CHAR(36) NULL,
+                notes TEXT,
+                status ENUM('draft', 'submitted', 'discarded') NOT NULL DEFAULT 'draft',
+                quote_id CHAR(36) NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+                FOREIGN KEY (carrier_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (rate_card_id) REFERENCES rate_cards(id) ON DELETE SET NULL,
+                FOREIGN KEY (quote_id) REFERENCES quotes(id) ON DELETE SET NULL,
+                UNIQUE KEY uniq_booking_carrier (booking_id, carrier_id)
+            )
+        `);
+        console.log('✅ quote_drafts table created successfully.');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error setting up rate cards:', error);
+        process.exit(1);
+    }
+}
+
+setupRateCards();
@@ -0,0 +1,59 @@
+const { pool } = require('./config/database');
+
+async function setupSealedBids() {
+    try {
+        console.log('Setting up sealed-bid tenders...');
+
+        const columnsToAdd = [
+            { name: 'bid_type', type: "ENUM('open', 'sealed') NOT NULL DEFAULT 'open'" },
+            { name: 'bid_deadline', type: 'DATETIME NULL' },
+            { name: 'auto_award', type: 'BOOLEAN DEFAULT FALSE' }
+        ];
+
+        for (const col of columnsToAdd) {
+            const [columns] = await pool.query(`
+                SELECT COLUMN_NAME
+                FROM INFORMATION_SCHEMA.COLUMNS
+                WHERE TABLE_SCHEMA = 'highnheavy'
+                AND TABLE_NAME = 'bookings'
+                AND COLUMN_NAME = ?
+            `, [col.name]);
+
+            if (columns.length === 0) {
+                await pool.query(`
+                    ALTER TABLE bookings
+                    ADD COLUMN ${col.name} ${col.type}
+                `);
+                console.log(`✅ bookings.${col.name} column added successfully.`);
+            } else {
+                console.log(`✅ bookings.${col.name} column already exists.`);
+            }
+        }
+
+        // Closed tenders sit in 'evaluation' until a bid is awarded
+        const [statusColumn] = await pool.query(`
+            SELECT COLUMN_TYPE
+            FROM INFORMATION_SCHEMA.COLUMNS
+            WHERE TABLE_SCHEMA = 'highnheavy'
+            AND TABLE_NAME = 'bookings'
+            AND COLUMN_NAME = 'status'
+        `);
+
+        if (statusColumn.length > 0 && statusColumn[0].COLUMN_TYPE.startsWith('enum') && !statusColumn[0].COLUMN_TYPE.includes("'evaluation'")) {
+            await pool.query(`
+                ALTER TABLE bookings
+                MODIFY COLUMN status ENUM('pending_quote', 'quoted', 'evaluation', 'booked', 'in_transit', 'delivered', 'completed', 'cancelled') DEFAULT 'pending_quote'
+            `);
+            console.log("✅ bookings.status now includes 'evaluation'.");
+        } else {
+            console.log("✅ bookings.status already accepts 'evaluation'.");
+        }
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error setting up sealed bids:', error);
+        process.exit(1);
+    }
+}
+
+setupSealedBids();
@@ -0,0 +1,33 @@
+const { pool } = require('./config/database');
+
+async function setupTrackingLinks() {
+    try {
+        console.log('Setting up booking_tracking_links table...');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS booking_tracking_links (
+                id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+                booking_id CHAR(36) NOT NULL,
+                token_hash CHAR(64) NOT NULL UNIQUE,
+                token_hint VARCHAR(10) NOT NULL,
+                label VARCHAR(100) NULL,
+                expires_at DATETIME NOT NULL,
+                revoked_at DATETIME NULL,
+                last_viewed_at DATETIME NULL,
+                view_count INT NOT NULL DEFAULT 0,
+                created_by CHAR(36) NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+                FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+            )
+        `);
+
+        console.log('✅ booking_tracking_links table created successfully.');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error setting up booking_tracking_links:', error);
+        process.exit(1);
+    }
+}
+
+setupTrackingLinks();